@@ -0,0 +1,147 @@
+// server/answerLibrary.js
+// Proposal team feedback on generated answers, and the library of approved answers.
+// Approved answers are canonical, human-edited answers to a question; the query
+// pipeline indexes them next to the ingested rows and prefers them in retrieval.
+const crypto = require('crypto');
+const { tenantFilePath, readJson, writeJson } = require('./jsonFileStore');
+const { ValidationError } = require('./errors');
+
+const FEEDBACK_PATH = (tenant) => tenantFilePath(tenant, 'feedback.json', process.env.FEEDBACK_PATH);
+const APPROVED_ANSWERS_PATH = (tenant) => tenantFilePath(tenant, 'approvedAnswers.json', process.env.APPROVED_ANSWERS_PATH);
+
+const RATINGS = ['up', 'down'];
+
+const loadFeedback = (tenant) => readJson(FEEDBACK_PATH(tenant), { feedback: [] });
+const loadApprovedAnswers = (tenant) => readJson(APPROVED_ANSWERS_PATH(tenant), { answers: {} });
+
+// Questions that differ only in case, spacing or punctuation share one approved answer.
+// Letters and digits of any script count, so non-Latin questions keep distinct IDs.
+const normalizeQuestion = (question) =>
+    question.normalize('NFKC').toLowerCase().replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ').trim();
+
+const approvedAnswerId = (question) =>
+    crypto.createHash('md5').update(normalizeQuestion(question)).digest('hex');
+
+const requireText = (value, field, errors) => {
+    if (typeof value !== 'string' || !value.trim()) {
+        errors.push(`${field} is required`);
+    }
+};
+
+// Record a thumbs up/down on a query response
+function recordFeedback({ responseId, question, answer, rating, comment, author, citations } = {}, tenant) {
+    const errors = [];
+    requireText(question, 'question', errors);
+    if (!RATINGS.includes(rating)) {
+        errors.push(`rating must be one of: ${RATINGS.join(', ')}`);
+    }
+    if (comment !== undefined && typeof comment !== 'string') {
+        errors.push('comment must be a string');
+    }
+    if (errors.length > 0) {
+        throw new ValidationError(`Invalid feedback: ${errors.join('; ')}`, errors);
+    }
+
+    const data = loadFeedback(tenant);
+    const entry = {
+        id: crypto.randomUUID(),
+        responseId: responseId || null,
+        question: question.trim(),
+        answer: answer || null,
+        rating,
+        comment: comment || null,
+        author: author || null,
+        citations: Array.isArray(citations) ? citations : [],
+        createdAt: new Date().toISOString()
+    };
+    data.feedback.push(entry);
+    writeJson(FEEDBACK_PATH(tenant), data);
+    return entry;
+}
+
+function listFeedback({ rating } = {}, tenant) {
+    return loadFeedback(tenant).feedback
+        .filter(entry => !rating || entry.rating === rating)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Build the approved answer record for a question, replacing any earlier one. Not saved yet:
+// the caller indexes it first, so the library never lists an answer that can't be retrieved.
+function buildApprovedAnswer({ question, answer, author, comments, category, responseId } = {}, tenant) {
+    const errors = [];
+    requireText(question, 'question', errors);
+    requireText(answer, 'answer', errors);
+    requireText(author, 'author', errors);
+    if (errors.length > 0) {
+        throw new ValidationError(`Invalid approved answer: ${errors.join('; ')}`, errors);
+    }
+
+    const data = loadApprovedAnswers(tenant);
+    const id = approvedAnswerId(question);
+    const previous = data.answers[id];
+    const now = new Date().toISOString();
+    return {
+        id,
+        question: question.trim(),
+        answer: answer.trim(),
+        comments: comments || null,
+        category: category || 'approved',
+        author: author.trim(),
+        responseId: responseId || null,
+        createdAt: previous ? previous.createdAt : now,
+        approvedAt: now,
+        // Earlier wording is kept so an edit can be traced back
+        previousVersions: previous
+            ? [...previous.previousVersions, { answer: previous.answer, author: previous.author, approvedAt: previous.approvedAt }]
+            : []
+    };
+}
+
+function saveApprovedAnswer(record, tenant) {
+    const data = loadApprovedAnswers(tenant);
+    data.answers[record.id] = record;
+    writeJson(APPROVED_ANSWERS_PATH(tenant), data);
+    return record;
+}
+
+function listApprovedAnswers(tenant) {
+    return Object.values(loadApprovedAnswers(tenant).answers)
+        .sort((a, b) => b.approvedAt.localeCompare(a.approvedAt));
+}
+
+function getApprovedAnswer(id, tenant) {
+    return loadApprovedAnswers(tenant).answers[id] || null;
+}
+
+// Write an approved answer from a knowledge base export as it is
+function restoreApprovedAnswer(record, tenant) {
+    if (!record || typeof record.question !== 'string' || typeof record.answer !== 'string') {
+        throw new ValidationError('Invalid approved answer: question and answer are required', ['question and answer are required']);
+    }
+    const data = loadApprovedAnswers(tenant);
+    const id = approvedAnswerId(record.question);
+    data.answers[id] = { previousVersions: [], ...record, id };
+    writeJson(APPROVED_ANSWERS_PATH(tenant), data);
+    return data.answers[id];
+}
+
+function removeApprovedAnswer(id, tenant) {
+    const data = loadApprovedAnswers(tenant);
+    const record = data.answers[id];
+    if (!record) return null;
+    delete data.answers[id];
+    writeJson(APPROVED_ANSWERS_PATH(tenant), data);
+    return record;
+}
+
+module.exports = {
+    RATINGS,
+    recordFeedback,
+    listFeedback,
+    buildApprovedAnswer,
+    saveApprovedAnswer,
+    listApprovedAnswers,
+    getApprovedAnswer,
+    restoreApprovedAnswer,
+    removeApprovedAnswer
+};
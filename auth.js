@@ -0,0 +1,180 @@
+// server/auth.js
+// API key authentication for the /api routes. Every key belongs to a tenant and has a role:
+//   query    - ask questions, hold conversations, give feedback, read the RFP list
+//   uploader - everything a query key can do, plus uploading, re-ingesting and deleting RFPs
+//              and maintaining approved answers
+//   admin    - everything, plus creating and revoking API keys for its own tenant
+//
+// Keys are sent as `Authorization: Bearer <key>` or `X-API-Key: <key>`. Only a hash of
+// each key is stored. ADMIN_API_KEY configures the global admin: an admin of the default
+// tenant that can also manage keys of every tenant and the shared embedding cache. Keys
+// created through the API are never global. AUTH_DISABLED=true turns authentication off
+// (local development only): every request is the global admin.
+const crypto = require('crypto');
+const { DEFAULT_TENANT, TENANT_ID_PATTERN, dataPath, readJson, writeJson } = require('./jsonFileStore');
+const { ValidationError, AuthenticationError, PermissionError } = require('./errors');
+
+const API_KEYS_PATH = () => process.env.API_KEYS_PATH || dataPath('apiKeys.json');
+
+// Ordered from least to most privileged
+const ROLES = ['query', 'uploader', 'admin'];
+
+const isAuthDisabled = () => process.env.AUTH_DISABLED === 'true';
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const loadKeys = () => readJson(API_KEYS_PATH(), { keys: {} });
+
+// Key record without the hash
+const toKeyView = ({ keyHash, ...view }) => view;
+
+// Whether `caller` (a req.auth identity) may manage the keys of `tenant`. Calls without a
+// caller come from the server itself, not from an API request.
+const canManageTenant = (caller, tenant) => !caller || caller.global || caller.tenant === tenant;
+
+// Create a key for a tenant, by default the caller's. The plain key is only returned here;
+// it can't be recovered later.
+function createApiKey({ name, tenant, role } = {}, caller) {
+    tenant = tenant || (caller ? caller.tenant : DEFAULT_TENANT);
+    if (!canManageTenant(caller, tenant)) {
+        throw new PermissionError('Only the global admin key can create keys for another tenant');
+    }
+    const errors = [];
+    if (typeof name !== 'string' || !name.trim()) {
+        errors.push('name is required');
+    }
+    if (typeof tenant !== 'string' || !TENANT_ID_PATTERN.test(tenant)) {
+        errors.push('tenant must be 1-63 letters, digits, "-" or "_"');
+    }
+    if (!ROLES.includes(role)) {
+        errors.push(`role must be one of: ${ROLES.join(', ')}`);
+    }
+    if (errors.length > 0) {
+        throw new ValidationError(`Invalid API key: ${errors.join('; ')}`, errors);
+    }
+
+    const key = `rfp_${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+        id: crypto.randomUUID(),
+        name: name.trim(),
+        tenant,
+        role,
+        // Enough to recognise a key in listings without revealing it
+        prefix: key.slice(0, 8),
+        keyHash: hashKey(key),
+        createdAt: new Date().toISOString()
+    };
+
+    const data = loadKeys();
+    data.keys[record.id] = record;
+    writeJson(API_KEYS_PATH(), data);
+    return { ...toKeyView(record), key };
+}
+
+// The keys `caller` may manage: those of its tenant, or all keys for the global admin
+function listApiKeys(caller) {
+    return Object.values(loadKeys().keys)
+        .filter(record => canManageTenant(caller, record.tenant))
+        .map(toKeyView)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Returns null for unknown keys and for keys of tenants the caller can't manage, so that
+// other tenants' key ids can't be probed
+function revokeApiKey(id, caller) {
+    const data = loadKeys();
+    const record = data.keys[id];
+    if (!record || !canManageTenant(caller, record.tenant)) return null;
+    delete data.keys[id];
+    writeJson(API_KEYS_PATH(), data);
+    return toKeyView(record);
+}
+
+// Find the identity for a presented key, or null when the key is unknown
+function resolveApiKey(key) {
+    const keyHash = hashKey(key);
+    if (process.env.ADMIN_API_KEY &&
+        crypto.timingSafeEqual(Buffer.from(keyHash, 'hex'), Buffer.from(hashKey(process.env.ADMIN_API_KEY), 'hex'))) {
+        return { keyId: 'admin', name: 'Admin', tenant: DEFAULT_TENANT, role: 'admin', global: true };
+    }
+    const record = Object.values(loadKeys().keys).find(candidate => candidate.keyHash === keyHash);
+    return record
+        ? { keyId: record.id, name: record.name, tenant: record.tenant, role: record.role, global: false }
+        : null;
+}
+
+// The key from the request headers. EventSource can't send headers, so GET requests to
+// event streams may pass it as ?api_key= instead.
+function readPresentedKey(req) {
+    const authorization = req.get('Authorization');
+    if (authorization && /^Bearer\s+/i.test(authorization)) {
+        return authorization.replace(/^Bearer\s+/i, '').trim();
+    }
+    if (req.get('X-API-Key')) {
+        return req.get('X-API-Key').trim();
+    }
+    if (req.method === 'GET' && req.path.endsWith('/events') && typeof req.query.api_key === 'string') {
+        return req.query.api_key;
+    }
+    return null;
+}
+
+// Middleware: identify the caller and set req.auth = { keyId, name, tenant, role, global }
+function authenticate(req, res, next) {
+    if (isAuthDisabled()) {
+        req.auth = { keyId: null, name: 'anonymous', tenant: DEFAULT_TENANT, role: 'admin', global: true };
+        return next();
+    }
+
+    const key = readPresentedKey(req);
+    if (!key) {
+        return next(new AuthenticationError('An API key is required (Authorization: Bearer <key> or X-API-Key)'));
+    }
+    const identity = resolveApiKey(key);
+    if (!identity) {
+        return next(new AuthenticationError('Invalid API key'));
+    }
+    req.auth = identity;
+    next();
+}
+
+// Middleware: only let through callers with at least `role`
+function requireRole(role) {
+    return (req, res, next) => {
+        if (ROLES.indexOf(req.auth.role) < ROLES.indexOf(role)) {
+            return next(new PermissionError(`This request needs the ${role} role; your API key has the ${req.auth.role} role`));
+        }
+        next();
+    };
+}
+
+// Middleware: only let through the global admin (ADMIN_API_KEY), for operations that
+// reach beyond the caller's tenant
+function requireGlobalAdmin(req, res, next) {
+    if (!req.auth.global) {
+        return next(new PermissionError('This request needs the global admin key (ADMIN_API_KEY)'));
+    }
+    next();
+}
+
+// Startup warning for deployments where no request could be authenticated
+function describeAuthConfiguration() {
+    if (isAuthDisabled()) {
+        return 'WARNING: AUTH_DISABLED=true - the API is open to anyone who can reach it';
+    }
+    if (!process.env.ADMIN_API_KEY && listApiKeys().length === 0) {
+        return 'WARNING: No API keys configured. Set ADMIN_API_KEY to create keys through /api/keys';
+    }
+    return `API key authentication enabled (${listApiKeys().length} keys${process.env.ADMIN_API_KEY ? ' plus ADMIN_API_KEY' : ''})`;
+}
+
+module.exports = {
+    ROLES,
+    authenticate,
+    requireRole,
+    requireGlobalAdmin,
+    createApiKey,
+    listApiKeys,
+    revokeApiKey,
+    describeAuthConfiguration
+};
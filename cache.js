@@ -0,0 +1,263 @@
+// server/cache.js
+// Caches in front of the model providers.
+//
+// Embedding cache: embeddings keyed by the embedding model and a hash of the text, shared by
+// ingestion and queries and persisted under DATA_DIR. Entries never go stale - the same model
+// always embeds the same text the same way - so they are only evicted when the cache is full.
+// A full cache of large embeddings runs to tens of megabytes, so the file is append-only JSON
+// Lines: new embeddings are appended, and the file is only rewritten once most of its lines
+// are entries evicted since.
+//
+// Answer cache (optional, ANSWER_CACHE=true): a question that is nearly identical to one
+// answered earlier, asked with the same filters, retrieval options and prompt template, gets
+// the earlier answer. Each tenant has its own answer cache, kept in memory and cleared whenever
+// the tenant's knowledge base changes.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_TENANT, dataPath, writeFileAtomic } = require('./jsonFileStore');
+const { cosineSimilarity } = require('./localVectorStore');
+const logger = require('./logger');
+
+const EMBEDDING_CACHE_PATH = () => process.env.EMBEDDING_CACHE_PATH || dataPath('embeddingCache.jsonl');
+const EMBEDDING_CACHE_ENABLED = process.env.EMBEDDING_CACHE !== 'false';
+const EMBEDDING_CACHE_MAX_ENTRIES = parseInt(process.env.EMBEDDING_CACHE_MAX_ENTRIES, 10) || 10000;
+
+const ANSWER_CACHE_ENABLED = process.env.ANSWER_CACHE === 'true';
+// How similar (cosine) a question's embedding must be to a cached question's
+const ANSWER_CACHE_SIMILARITY = Number(process.env.ANSWER_CACHE_SIMILARITY) || 0.97;
+const ANSWER_CACHE_TTL_MS = (parseInt(process.env.ANSWER_CACHE_TTL_MINUTES, 10) || 24 * 60) * 60 * 1000;
+const ANSWER_CACHE_MAX_ENTRIES = parseInt(process.env.ANSWER_CACHE_MAX_ENTRIES, 10) || 500;
+
+// Ingestion adds embeddings in quick succession, so writes to disk are batched
+const PERSIST_DELAY_MS = 2000;
+
+// Hit/miss counters since the server started; answer counters are per tenant
+const stats = {
+    embeddings: { hits: 0, misses: 0, evictions: 0 },
+    answers: {}
+};
+
+let embeddingEntries = null;
+// Lines appended since the last flush, and the number of lines in the file
+let pendingLines = [];
+let fileLines = 0;
+let persistTimer = null;
+
+// tenant -> [{ question, embedding, scopeKey, response, createdAt, hits }]
+const answerCaches = {};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Embeddings are stored as base64 float32 arrays, a fraction of the size of JSON numbers
+const encodeEmbedding = (embedding) => Buffer.from(new Float32Array(embedding).buffer).toString('base64');
+const decodeEmbedding = (encoded) => Array.from(new Float32Array(Uint8Array.from(Buffer.from(encoded, 'base64')).buffer));
+
+const toLine = (key, entry) => `${JSON.stringify({ key, embedding: entry.embedding })}\n`;
+
+// Later lines win, and stand in for recency: use is only tracked in memory, and compaction
+// writes the entries least recently used first
+function loadEmbeddingCache() {
+    if (embeddingEntries) return embeddingEntries;
+
+    embeddingEntries = {};
+    let contents = '';
+    try {
+        contents = fs.readFileSync(EMBEDDING_CACHE_PATH(), 'utf8');
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw new Error(`Unable to read ${EMBEDDING_CACHE_PATH()}: ${error.message}`);
+        }
+    }
+    const lines = contents.split('\n').filter(Boolean);
+    lines.forEach((line, position) => {
+        try {
+            const { key, embedding } = JSON.parse(line);
+            embeddingEntries[key] = { embedding, lastUsed: position };
+        } catch (error) {
+            // A line cut short by a crash mid-append; the embedding is simply computed again
+        }
+    });
+    fileLines = lines.length;
+    return embeddingEntries;
+}
+
+function flushEmbeddingCache() {
+    if (persistTimer) {
+        clearTimeout(persistTimer);
+        persistTimer = null;
+    }
+    if (!embeddingEntries) return;
+
+    const filePath = EMBEDDING_CACHE_PATH();
+    const liveEntries = Object.keys(embeddingEntries).length;
+    if (fileLines + pendingLines.length > 2 * Math.max(liveEntries, 1)) {
+        const keys = Object.keys(embeddingEntries)
+            .sort((a, b) => embeddingEntries[a].lastUsed - embeddingEntries[b].lastUsed);
+        writeFileAtomic(filePath, keys.map(key => toLine(key, embeddingEntries[key])).join(''));
+        fileLines = keys.length;
+    } else if (pendingLines.length > 0) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.appendFileSync(filePath, pendingLines.join(''));
+        fileLines += pendingLines.length;
+    }
+    pendingLines = [];
+}
+
+function schedulePersist() {
+    if (persistTimer) return;
+    persistTimer = setTimeout(flushEmbeddingCache, PERSIST_DELAY_MS);
+    persistTimer.unref();
+}
+
+// Don't lose the last few embeddings when a CLI run or the server exits
+process.on('exit', () => {
+    if (persistTimer) flushEmbeddingCache();
+});
+
+// Drop the least recently used tenth of the cache once it is full
+function evictEmbeddings(entries) {
+    const keys = Object.keys(entries);
+    if (keys.length <= EMBEDDING_CACHE_MAX_ENTRIES) return;
+    const excess = keys.length - Math.floor(EMBEDDING_CACHE_MAX_ENTRIES * 0.9);
+    keys.sort((a, b) => entries[a].lastUsed - entries[b].lastUsed)
+        .slice(0, excess)
+        .forEach(key => delete entries[key]);
+    stats.embeddings.evictions += excess;
+}
+
+// The embedding of `text` by model `modelId`, from the cache or computed with `embed(text)`
+async function cachedEmbedding(modelId, text, embed) {
+    if (!EMBEDDING_CACHE_ENABLED) {
+        return embed(text);
+    }
+
+    const entries = loadEmbeddingCache();
+    const key = sha256(`${modelId}\n${text}`);
+    if (entries[key]) {
+        stats.embeddings.hits++;
+        entries[key].lastUsed = Date.now();
+        return decodeEmbedding(entries[key].embedding);
+    }
+
+    stats.embeddings.misses++;
+    const embedding = await embed(text);
+    entries[key] = { embedding: encodeEmbedding(embedding), lastUsed: Date.now() };
+    pendingLines.push(toLine(key, entries[key]));
+    evictEmbeddings(entries);
+    schedulePersist();
+    return embedding;
+}
+
+function clearEmbeddingCache() {
+    const cleared = Object.keys(loadEmbeddingCache()).length;
+    if (persistTimer) {
+        clearTimeout(persistTimer);
+        persistTimer = null;
+    }
+    embeddingEntries = {};
+    pendingLines = [];
+    writeFileAtomic(EMBEDDING_CACHE_PATH(), '');
+    fileLines = 0;
+    logger.info('Cleared cached embeddings', { cleared });
+    return cleared;
+}
+
+const answerStats = (tenant) => {
+    if (!stats.answers[tenant]) {
+        stats.answers[tenant] = { hits: 0, misses: 0, invalidations: 0 };
+    }
+    return stats.answers[tenant];
+};
+
+const isAnswerCacheEnabled = () => ANSWER_CACHE_ENABLED;
+
+// Everything besides the question that decides an answer: a cached answer is only reused when this matches
+const answerScopeKey = (scope) => sha256(JSON.stringify(scope));
+
+// The tenant's unexpired cache entries
+function liveAnswers(tenant) {
+    const now = Date.now();
+    answerCaches[tenant] = (answerCaches[tenant] || []).filter(entry => now - entry.createdAt < ANSWER_CACHE_TTL_MS);
+    return answerCaches[tenant];
+}
+
+// The cached answer to the most similar earlier question, or null
+function findCachedAnswer(tenant = DEFAULT_TENANT, { embedding, scopeKey }) {
+    let best = null;
+    for (const entry of liveAnswers(tenant)) {
+        if (entry.scopeKey !== scopeKey || entry.embedding.length !== embedding.length) continue;
+        const similarity = cosineSimilarity(entry.embedding, embedding);
+        if (similarity >= ANSWER_CACHE_SIMILARITY && (!best || similarity > best.similarity)) {
+            best = { entry, similarity };
+        }
+    }
+
+    if (!best) {
+        answerStats(tenant).misses++;
+        return null;
+    }
+    answerStats(tenant).hits++;
+    best.entry.hits++;
+    return {
+        response: best.entry.response,
+        question: best.entry.question,
+        similarity: Number(best.similarity.toFixed(4)),
+        cachedAt: new Date(best.entry.createdAt).toISOString()
+    };
+}
+
+function storeAnswer(tenant = DEFAULT_TENANT, { question, embedding, scopeKey, response }) {
+    const entries = liveAnswers(tenant);
+    entries.push({ question, embedding, scopeKey, response, createdAt: Date.now(), hits: 0 });
+    if (entries.length > ANSWER_CACHE_MAX_ENTRIES) {
+        entries.splice(0, entries.length - ANSWER_CACHE_MAX_ENTRIES);
+    }
+}
+
+// Forget the tenant's cached answers; called whenever its knowledge base changes
+function invalidateAnswers(tenant = DEFAULT_TENANT, reason) {
+    const cleared = (answerCaches[tenant] || []).length;
+    answerCaches[tenant] = [];
+    answerStats(tenant).invalidations++;
+    if (cleared > 0) {
+        logger.info('Cleared cached answers', { tenant, cleared, reason });
+    }
+    return cleared;
+}
+
+const hitRate = ({ hits, misses }) => (hits + misses > 0 ? Number((hits / (hits + misses)).toFixed(3)) : null);
+
+function getCacheStats(tenant = DEFAULT_TENANT) {
+    const answers = answerStats(tenant);
+    return {
+        embeddings: {
+            enabled: EMBEDDING_CACHE_ENABLED,
+            entries: EMBEDDING_CACHE_ENABLED ? Object.keys(loadEmbeddingCache()).length : 0,
+            maxEntries: EMBEDDING_CACHE_MAX_ENTRIES,
+            ...stats.embeddings,
+            hitRate: hitRate(stats.embeddings)
+        },
+        answers: {
+            enabled: ANSWER_CACHE_ENABLED,
+            entries: liveAnswers(tenant).length,
+            maxEntries: ANSWER_CACHE_MAX_ENTRIES,
+            similarityThreshold: ANSWER_CACHE_SIMILARITY,
+            ttlMinutes: ANSWER_CACHE_TTL_MS / 60000,
+            ...answers,
+            hitRate: hitRate(answers)
+        }
+    };
+}
+
+module.exports = {
+    cachedEmbedding,
+    flushEmbeddingCache,
+    clearEmbeddingCache,
+    isAnswerCacheEnabled,
+    answerScopeKey,
+    findCachedAnswer,
+    storeAnswer,
+    invalidateAnswers,
+    getCacheStats
+};
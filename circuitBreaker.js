@@ -0,0 +1,86 @@
+// server/circuitBreaker.js
+// Circuit breakers for the backend's dependencies. After CIRCUIT_FAILURE_THRESHOLD consecutive
+// failed calls (default 5) the circuit opens and calls fail fast instead of piling retries onto
+// an outage. After CIRCUIT_RESET_SECONDS (default 30) it lets calls through again ("half open"):
+// the first success closes it, a failure opens it for another period. The health monitor also
+// trips and closes circuits from its checks.
+const { ServiceUnavailableError } = require('./errors');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD, 10) || 5;
+const RESET_TIMEOUT_MS = (parseInt(process.env.CIRCUIT_RESET_SECONDS, 10) || 30) * 1000;
+
+// `describe` names the dependency in error messages, e.g. 'The vector store'
+function createCircuitBreaker(dependency, describe = dependency) {
+    let state = 'closed';
+    let consecutiveFailures = 0;
+    let openedAt = null;
+    let lastError = null;
+
+    const transition = (next) => {
+        if (next === state) return;
+        const previous = state;
+        state = next;
+        metrics.setDependencyState(dependency, { open: next === 'open' });
+        const fields = { dependency, from: previous, to: next, error: lastError || undefined };
+        if (next === 'open') logger.warn('Circuit opened', fields);
+        else logger.info(next === 'closed' ? 'Circuit closed' : 'Circuit half open', fields);
+    };
+
+    const currentState = () => {
+        if (state === 'open' && Date.now() - openedAt >= RESET_TIMEOUT_MS) {
+            transition('half_open');
+        }
+        return state;
+    };
+
+    const trip = (error) => {
+        lastError = error ? error.message : lastError;
+        openedAt = Date.now();
+        transition('open');
+    };
+
+    metrics.setDependencyState(dependency, { open: false });
+
+    return {
+        dependency,
+        isOpen: () => currentState() === 'open',
+
+        // Throw instead of calling a dependency whose circuit is open
+        assertClosed: () => {
+            if (currentState() !== 'open') return;
+            const retryAfter = Math.max(1, Math.ceil((openedAt + RESET_TIMEOUT_MS - Date.now()) / 1000));
+            throw new ServiceUnavailableError(
+                `${describe} is unavailable${lastError ? ` (${lastError})` : ''}. Try again in ${retryAfter} seconds`,
+                { dependencies: [dependency], retryAfter }
+            );
+        },
+
+        recordSuccess: () => {
+            consecutiveFailures = 0;
+            lastError = null;
+            transition('closed');
+        },
+
+        recordFailure: (error) => {
+            consecutiveFailures++;
+            lastError = error ? error.message : null;
+            if (currentState() === 'half_open' || consecutiveFailures >= FAILURE_THRESHOLD) {
+                trip(error);
+            }
+        },
+
+        trip,
+
+        describe: () => ({
+            state: currentState(),
+            consecutiveFailures,
+            ...(state === 'open' ? { retryAt: new Date(openedAt + RESET_TIMEOUT_MS).toISOString() } : {})
+        })
+    };
+}
+
+module.exports = {
+    createCircuitBreaker
+};
@@ -0,0 +1,84 @@
+// server/citations.js
+// Numbered citations. Each context block handed to the model is numbered [1], [2], ...
+// and the model cites those numbers; citations are then mapped back to the exact
+// RFP, sheet and row they came from.
+
+// "RFP: CDW_2025_AI | Sheet: Security | Row 12 (B12:D12) | Category: Access Control",
+// or for documents "RFP: CDW_Proposal | Section: 3.2 Security | Pages 4-5"
+function describeLocation(source) {
+    if (source.provenance === 'approved') {
+        return `Approved answer | Approved by ${source.approvedBy} on ${String(source.approvedAt).slice(0, 10)}`;
+    }
+    if (source.matchedOn === 'section') {
+        return [
+            `RFP: ${source.title}`,
+            source.section ? `Section: ${source.section}` : null,
+            describePages(source)
+        ].filter(Boolean).join(' | ');
+    }
+    return [
+        `RFP: ${source.title}`,
+        `Sheet: ${source.sheetName}`,
+        source.rowNumber ? `Row ${source.rowNumber}${source.cellRange ? ` (${source.cellRange})` : ''}` : null,
+        `Category: ${source.category}`
+    ].filter(Boolean).join(' | ');
+}
+
+const describePages = ({ page, pageEnd }) => {
+    if (!page) return null;
+    return pageEnd && pageEnd !== page ? `Pages ${page}-${pageEnd}` : `Page ${page}`;
+};
+
+// Markers like [1], [2, 3] or [1][4], with any spaces before them
+const MARKER = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+const MARKER_GROUP = /([ \t]*)((?:\[\d+(?:\s*,\s*\d+)*\])+)/g;
+
+// Map the [n] markers in an answer to their context blocks. Markers pointing at
+// context the model was never given are removed from the answer.
+// Returns { answer, citations: [{ marker, rfpId, title, sheetName, rowNumber, cellRange, ... }] }
+function resolveCitations(answer, sources) {
+    const cited = new Set();
+
+    const cleaned = (answer || '').replace(MARKER_GROUP, (group, spacing, markers) => {
+        const kept = markers.replace(MARKER, (marker, list) => {
+            const valid = list.split(',')
+                .map(number => Number(number.trim()))
+                .filter(number => number >= 1 && number <= sources.length);
+            valid.forEach(number => cited.add(number));
+            return valid.length > 0 ? `[${valid.join(', ')}]` : '';
+        });
+        return kept ? `${spacing}${kept}` : '';
+    });
+
+    const citations = Array.from(cited)
+        .sort((a, b) => a - b)
+        .map(marker => {
+            const source = sources[marker - 1];
+            return {
+                marker,
+                rfpId: source.rfpId,
+                title: source.title,
+                sheetName: source.sheetName,
+                rowNumber: source.rowNumber,
+                cellRange: source.cellRange,
+                section: source.section,
+                page: source.page,
+                pageEnd: source.pageEnd,
+                category: source.category,
+                question: source.question,
+                provenance: source.provenance,
+                ...(source.provenance === 'approved' ? {
+                    approvedAnswerId: source.approvedAnswerId,
+                    approvedBy: source.approvedBy,
+                    approvedAt: source.approvedAt
+                } : {})
+            };
+        });
+
+    return { answer: cleaned, citations };
+}
+
+module.exports = {
+    describeLocation,
+    resolveCitations
+};
@@ -0,0 +1,83 @@
+// server/conversationStore.js
+// Server-side storage for multi-turn conversations
+const crypto = require('crypto');
+const { tenantFilePath, readJson, writeJson } = require('./jsonFileStore');
+
+const CONVERSATIONS_PATH = (tenant) => tenantFilePath(tenant, 'conversations.json', process.env.CONVERSATIONS_PATH);
+
+const loadConversations = (tenant) => readJson(CONVERSATIONS_PATH(tenant), { conversations: {} });
+const saveConversations = (data, tenant) => writeJson(CONVERSATIONS_PATH(tenant), data);
+
+// Summary used in listings - leaves out the messages
+const summarize = (conversation) => ({
+    id: conversation.id,
+    title: conversation.title,
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt,
+    messageCount: conversation.messages.length
+});
+
+function createConversation({ title, filters } = {}, tenant) {
+    const data = loadConversations(tenant);
+    const now = new Date().toISOString();
+    const conversation = {
+        id: crypto.randomUUID(),
+        title: title || null,
+        filters: filters || {},
+        createdAt: now,
+        updatedAt: now,
+        messages: []
+    };
+    data.conversations[conversation.id] = conversation;
+    saveConversations(data, tenant);
+    return conversation;
+}
+
+function listConversations(tenant) {
+    return Object.values(loadConversations(tenant).conversations)
+        .map(summarize)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+function getConversation(id, tenant) {
+    return loadConversations(tenant).conversations[id] || null;
+}
+
+// Add a turn to a conversation. The first question becomes the title if none was given.
+function appendMessages(id, messages, tenant) {
+    const data = loadConversations(tenant);
+    const conversation = data.conversations[id];
+    if (!conversation) return null;
+
+    const now = new Date().toISOString();
+    conversation.messages.push(...messages.map(message => ({ ...message, createdAt: now })));
+    if (!conversation.title) {
+        const firstQuestion = conversation.messages.find(message => message.role === 'user');
+        conversation.title = firstQuestion ? firstQuestion.content.slice(0, 80) : null;
+    }
+    conversation.updatedAt = now;
+    saveConversations(data, tenant);
+    return conversation;
+}
+
+function deleteConversation(id, tenant) {
+    const data = loadConversations(tenant);
+    if (!data.conversations[id]) return false;
+    delete data.conversations[id];
+    saveConversations(data, tenant);
+    return true;
+}
+
+// The chat history in the { role, content } shape the query pipeline expects
+function getHistory(conversation) {
+    return conversation.messages.map(({ role, content }) => ({ role, content }));
+}
+
+module.exports = {
+    createConversation,
+    listConversations,
+    getConversation,
+    appendMessages,
+    deleteConversation,
+    getHistory
+};
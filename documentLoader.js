@@ -0,0 +1,212 @@
+// server/documentLoader.js
+// Ingestion path for proposal documents (.docx and PDF). Text is extracted, split into
+// sections along headings and numbered sections ("3.2 Security"), and each section is
+// cut into chunks that carry their section title and page number for citations.
+//
+// Word documents have no fixed pages, so .docx chunks have a section but no page.
+const path = require('path');
+const mammoth = require('mammoth');
+const pdfParse = require('pdf-parse');
+const { FileFormatError } = require('./errors');
+
+const DOCUMENT_EXTENSIONS = ['.docx', '.pdf'];
+
+const DOCUMENT_MIME_TYPES = [
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/pdf'
+];
+
+// Longest chunk we embed, in characters; longer sections are split on line boundaries
+const MAX_CHUNK_CHARS = parseInt(process.env.DOCUMENT_CHUNK_SIZE, 10) || 1500;
+
+const PDF_SIGNATURE = Buffer.from('%PDF-');
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+// "3.2 Security", "4. Implementation Approach", "Section 5: Pricing"
+const NUMBERED_HEADING = /^(?:[Ss]ection\s+)?(\d{1,3}(?:\.\d{1,3})*)[.:)]?\s+[-–:]?\s*[A-Z]/;
+// "Appendix B - References"
+const APPENDIX_HEADING = /^(?:APPENDIX|Appendix)\s+([A-Z])\b/;
+
+const hasDocumentExtension = (fileName) =>
+    DOCUMENT_EXTENSIONS.includes(path.extname(fileName || '').toLowerCase());
+
+// 'pdf' or 'docx' for documents, null for anything else (spreadsheets are handled by spreadsheetLoader)
+function detectDocumentFormat(buffer, fileName) {
+    const extension = path.extname(fileName || '').toLowerCase();
+    if (buffer && buffer.subarray(0, 5).equals(PDF_SIGNATURE)) return 'pdf';
+    if (buffer && buffer.subarray(0, 4).equals(ZIP_SIGNATURE) && buffer.includes('word/document.xml')) return 'docx';
+
+    if (hasDocumentExtension(fileName)) {
+        throw new FileFormatError(`"${fileName}" is not a valid ${extension} document`, fileName, 415);
+    }
+    return null;
+}
+
+// Is this line a heading? Returns { title, number, level } or null.
+// Headings are short, don't end like a sentence, and are numbered or written in capitals.
+function parseHeading(line) {
+    const text = line.trim();
+    if (text.length < 3 || text.length > 100 || /[.,;]$/.test(text) || text.split(/\s+/).length > 12) {
+        return null;
+    }
+
+    const numbered = text.match(NUMBERED_HEADING);
+    if (numbered) {
+        return { title: text, number: numbered[1], level: numbered[1].split('.').length };
+    }
+    const appendix = text.match(APPENDIX_HEADING);
+    if (appendix) {
+        return { title: text, number: appendix[1].toUpperCase(), level: 1 };
+    }
+    if (/[A-Z]/.test(text) && text === text.toUpperCase() && /^[A-Z0-9 &/,()'-]+$/.test(text)) {
+        return { title: text, number: null, level: 1 };
+    }
+    return null;
+}
+
+const decodeEntities = (text) => text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+
+const stripTags = (html) => decodeEntities(html.replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+
+// Word: heading styles become <h1>-<h6>; other paragraphs, list items and table cells become lines
+async function extractDocxBlocks(buffer) {
+    const { value: html } = await mammoth.convertToHtml({ buffer });
+    const blocks = [];
+    const pattern = /<(h[1-6]|p|li|td|th)\b[^>]*>([\s\S]*?)<\/\1>/g;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+        const text = stripTags(match[2]);
+        if (!text) continue;
+        const headingLevel = /^h\d$/.test(match[1]) ? Number(match[1][1]) : null;
+        blocks.push({ text, page: null, heading: headingLevel ? { title: text, number: null, level: headingLevel } : null });
+    }
+    return { blocks, pageCount: null };
+}
+
+// PDF: text is read page by page so every line keeps its page number
+async function extractPdfBlocks(buffer) {
+    const pages = [];
+    const renderPage = async (pageData) => {
+        const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+        // Items on the same baseline belong to one line
+        let lastY;
+        let text = '';
+        for (const item of content.items) {
+            text += lastY === undefined || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+            lastY = item.transform[5];
+        }
+        pages[pageData.pageNumber - 1] = text;
+        return text;
+    };
+
+    const result = await pdfParse(buffer, { pagerender: renderPage });
+    const blocks = [];
+    pages.forEach((pageText, index) => {
+        for (const line of (pageText || '').split('\n')) {
+            const text = line.replace(/\s+/g, ' ').trim();
+            if (text) blocks.push({ text, page: index + 1, heading: null });
+        }
+    });
+    return { blocks, pageCount: result.numpages };
+}
+
+// Group blocks under the heading they follow
+function splitIntoSections(blocks) {
+    const sections = [];
+    let current = { title: null, number: null, level: 0, lines: [] };
+
+    for (const block of blocks) {
+        const heading = block.heading || parseHeading(block.text);
+        if (heading) {
+            if (current.lines.length > 0) sections.push(current);
+            current = { ...heading, page: block.page, lines: [] };
+            continue;
+        }
+        current.lines.push(block);
+    }
+    if (current.lines.length > 0) sections.push(current);
+    return sections;
+}
+
+// Cut each section into chunks of at most MAX_CHUNK_CHARS, starting with the section title
+function chunkSections(sections, maxChars = MAX_CHUNK_CHARS) {
+    const chunks = [];
+
+    for (const section of sections) {
+        let lines = [];
+        let length = 0;
+        const flush = () => {
+            if (lines.length === 0) return;
+            const body = lines.map(line => line.text).join('\n');
+            chunks.push({
+                chunkIndex: chunks.length,
+                section: section.title,
+                sectionNumber: section.number,
+                page: lines[0].page,
+                pageEnd: lines[lines.length - 1].page,
+                text: section.title ? `${section.title}\n${body}` : body
+            });
+            lines = [];
+            length = 0;
+        };
+
+        for (const line of section.lines) {
+            // Very long lines (whole paragraphs from Word) are split at sentence ends
+            const pieces = line.text.length > maxChars
+                ? line.text.match(new RegExp(`.{1,${maxChars}}(?:[.!?]\\s+|$)|.{1,${maxChars}}`, 'g'))
+                : [line.text];
+            for (const piece of pieces) {
+                if (length + piece.length > maxChars) flush();
+                lines.push({ text: piece.trim(), page: line.page });
+                length += piece.length + 1;
+            }
+        }
+        flush();
+    }
+    return chunks;
+}
+
+// Load a .docx or PDF into chunks. Returns { format, pageCount, sectionCount, chunks }.
+async function loadDocument(buffer, fileName) {
+    const format = detectDocumentFormat(buffer, fileName);
+    if (!format) {
+        throw new FileFormatError(`"${fileName}" is not a .docx or PDF document`, fileName, 415);
+    }
+
+    let extracted;
+    try {
+        extracted = format === 'pdf' ? await extractPdfBlocks(buffer) : await extractDocxBlocks(buffer);
+    } catch (error) {
+        throw new FileFormatError(
+            `"${fileName}" could not be read as ${format.toUpperCase()}; the file may be corrupt or password protected (${error.message})`,
+            fileName
+        );
+    }
+
+    const sections = splitIntoSections(extracted.blocks);
+    const chunks = chunkSections(sections);
+    if (chunks.length === 0) {
+        // Usually a scanned PDF: there is no text layer to extract
+        throw new FileFormatError(`"${fileName}" contains no extractable text`, fileName);
+    }
+
+    return {
+        format,
+        pageCount: extracted.pageCount,
+        sectionCount: sections.length,
+        chunks
+    };
+}
+
+module.exports = {
+    DOCUMENT_EXTENSIONS,
+    DOCUMENT_MIME_TYPES,
+    hasDocumentExtension,
+    detectDocumentFormat,
+    loadDocument
+};
@@ -0,0 +1,131 @@
+// server/documentRegistry.js
+// Persistent record of every ingested RFP: what was uploaded, which sheets were
+// ingested and which vector IDs belong to it. The original file is kept next to
+// the registry so an RFP can be re-ingested later.
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { dataPath, tenantFilePath, readJson, writeJson } = require('./jsonFileStore');
+
+// Each tenant has its own registry and stored files
+const REGISTRY_PATH = (tenant) => tenantFilePath(tenant, 'registry.json', process.env.DOCUMENT_REGISTRY_PATH);
+const ORIGINALS_DIR = (tenant) => tenantFilePath(tenant, 'originals');
+
+// Directory for an RFP's original file; rfpIds are user input, so never use them as raw path segments
+const originalsDirFor = (rfpId, tenant) => {
+    const safeName = String(rfpId).replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 80);
+    const hash = crypto.createHash('md5').update(String(rfpId)).digest('hex').slice(0, 8);
+    return path.join(ORIGINALS_DIR(tenant), `${safeName}-${hash}`);
+};
+
+const loadRegistry = (tenant) => readJson(REGISTRY_PATH(tenant), { rfps: {} });
+const saveRegistry = (registry, tenant) => writeJson(REGISTRY_PATH(tenant), registry);
+
+// Summary used in listings - leaves out the (possibly long) vector ID list
+const summarize = (record) => ({
+    rfpId: record.rfpId,
+    title: record.title,
+    category: record.category,
+    customMetadata: record.customMetadata || {},
+    uploadDate: record.uploadDate,
+    updatedAt: record.updatedAt,
+    fileName: record.originalFile ? record.originalFile.fileName : null,
+    sheets: record.sheets.map(sheet => sheet.sheetName),
+    itemCount: record.itemCount,
+    vectorCount: record.vectorIds.length,
+    // RFPs ingested before versioning count as version 1
+    currentVersion: record.currentVersion || 1,
+    versionCount: record.versions ? record.versions.length : 1
+});
+
+function listRFPs(tenant) {
+    return Object.values(loadRegistry(tenant).rfps)
+        .map(summarize)
+        .sort((a, b) => String(b.uploadDate).localeCompare(String(a.uploadDate)));
+}
+
+function getRFP(rfpId, tenant) {
+    return loadRegistry(tenant).rfps[rfpId] || null;
+}
+
+// Create or update an RFP's record. Vector IDs from earlier uploads are kept so
+// deleting the RFP later removes everything it ever wrote.
+function saveRFP(record, tenant) {
+    const registry = loadRegistry(tenant);
+    const previous = registry.rfps[record.rfpId];
+    const vectorIds = record.replaceVectorIds || !previous
+        ? record.vectorIds
+        : Array.from(new Set([...previous.vectorIds, ...record.vectorIds]));
+
+    const { replaceVectorIds, ...fields } = record;
+    registry.rfps[record.rfpId] = {
+        ...previous,
+        ...fields,
+        vectorIds,
+        uploadDate: previous ? previous.uploadDate : record.uploadDate,
+        updatedAt: new Date().toISOString()
+    };
+    saveRegistry(registry, tenant);
+    return registry.rfps[record.rfpId];
+}
+
+// Write an RFP's record from a knowledge base export as it is, replacing any existing record.
+// The stored original file only comes along when it is this tenant's copy of the RFP's file.
+function restoreRFP(record, tenant) {
+    const registry = loadRegistry(tenant);
+    const { originalFile, ...fields } = record;
+    const keepFile = originalFile &&
+        path.dirname(dataPath(originalFile.storedPath)) === originalsDirFor(record.rfpId, tenant) &&
+        fs.existsSync(dataPath(originalFile.storedPath));
+    registry.rfps[record.rfpId] = {
+        ...fields,
+        ...(keepFile ? { originalFile } : {}),
+        vectorIds: record.vectorIds || []
+    };
+    saveRegistry(registry, tenant);
+    return registry.rfps[record.rfpId];
+}
+
+function removeRFP(rfpId, tenant) {
+    const registry = loadRegistry(tenant);
+    const record = registry.rfps[rfpId];
+    if (!record) return null;
+
+    delete registry.rfps[rfpId];
+    saveRegistry(registry, tenant);
+
+    fs.rmSync(originalsDirFor(rfpId, tenant), { recursive: true, force: true });
+    return record;
+}
+
+// Keep a copy of the uploaded file so the RFP can be re-ingested
+function storeOriginalFile(rfpId, fileName, buffer, tenant) {
+    const dir = originalsDirFor(rfpId, tenant);
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.mkdirSync(dir, { recursive: true });
+
+    const storedName = path.basename(fileName);
+    fs.writeFileSync(path.join(dir, storedName), buffer);
+    return {
+        fileName: storedName,
+        storedPath: path.relative(dataPath(), path.join(dir, storedName)),
+        size: buffer.length
+    };
+}
+
+function readOriginalFile(record) {
+    if (!record.originalFile) {
+        throw new Error(`No original file stored for RFP ${record.rfpId}`);
+    }
+    return fs.readFileSync(dataPath(record.originalFile.storedPath));
+}
+
+module.exports = {
+    listRFPs,
+    getRFP,
+    saveRFP,
+    restoreRFP,
+    removeRFP,
+    storeOriginalFile,
+    readOriginalFile
+};
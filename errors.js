@@ -0,0 +1,82 @@
+// server/errors.js
+// Errors that carry the HTTP status the API should answer with
+
+// The request is malformed: bad filters, out-of-range options and the like
+class ValidationError extends Error {
+    constructor(message, details) {
+        super(message);
+        this.name = 'ValidationError';
+        this.status = 400;
+        this.details = details;
+    }
+}
+
+// An uploaded file isn't a spreadsheet we can read: unsupported format (415) or unreadable content (422)
+class FileFormatError extends Error {
+    constructor(message, fileName, status = 422) {
+        super(message);
+        this.name = 'FileFormatError';
+        this.status = status;
+        this.fileName = fileName;
+    }
+}
+
+// The request has no API key, or one we don't know (401)
+class AuthenticationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AuthenticationError';
+        this.status = 401;
+    }
+}
+
+// The API key is valid but its role doesn't allow the request (403)
+class PermissionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PermissionError';
+        this.status = 403;
+    }
+}
+
+// The caller sent more requests than its rate limit allows (429); retry after `retryAfter` seconds
+class RateLimitError extends Error {
+    constructor(message, retryAfter) {
+        super(message);
+        this.name = 'RateLimitError';
+        this.status = 429;
+        this.retryAfter = retryAfter;
+    }
+}
+
+// A daily or monthly model spending budget is used up (402) until the period resets
+class BudgetExceededError extends Error {
+    constructor(message, details) {
+        super(message);
+        this.name = 'BudgetExceededError';
+        this.status = 402;
+        this.details = details;
+    }
+}
+
+// A dependency (vector store, embedding or chat model) is down, so the request can't be
+// served properly (503); retry after `retryAfter` seconds
+class ServiceUnavailableError extends Error {
+    constructor(message, { dependencies = [], retryAfter } = {}) {
+        super(message);
+        this.name = 'ServiceUnavailableError';
+        this.status = 503;
+        this.dependencies = dependencies;
+        this.retryAfter = retryAfter;
+    }
+}
+
+module.exports = {
+    ValidationError,
+    FileFormatError,
+    AuthenticationError,
+    PermissionError,
+    RateLimitError,
+    BudgetExceededError,
+    ServiceUnavailableError
+};
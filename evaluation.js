@@ -0,0 +1,217 @@
+// server/evaluation.js
+// Retrieval and answer-quality evaluation against a golden set (see scripts/evaluate.js).
+//
+// A golden set is a JSON file:
+//   {
+//     "name": "security",
+//     "fixtures": [                                   // RFP files ingested before evaluating, relative to this file
+//       { "file": "fixtures/rk-2025.xlsx", "rfpId": "RK-2025", "title": "Rural King 2025", "customer": "Rural King" }
+//     ],
+//     "defaults": { "filters": {}, "retrieval": {}, "promptTemplate": "softeon-wms" },
+//     "thresholds": { "recall@5": 0.8, "mrr": 0.6 },  // optional minimums for the run to pass
+//     "questions": [
+//       {
+//         "id": "encryption-at-rest",
+//         "question": "Do you encrypt data at rest?",
+//         "expectedSources": [{ "rfpId": "RK-2025", "sheetName": "Security", "rowNumber": 12 }],
+//         "expectedFacts": ["AES-256", ["key rotation", "keys are rotated"]]   // a list means any of these
+//       }
+//     ]
+//   }
+// Expected sources match retrieved sources on every field they give: rfpId, sheetName,
+// rowNumber, section, page (within a source's page range) and question.
+//
+// Metrics per question, averaged over the golden set:
+//   recall@k          share of the expected sources among the first k retrieved sources
+//   mrr               1 / rank of the first expected source (0 when none is retrieved)
+//   citationAccuracy  share of the answer's citations that point at an expected source
+//                     (an answer without citations scores 0)
+//   factCoverage      share of the expected facts that appear in the answer
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const { ValidationError } = require('./errors');
+
+const DEFAULT_KS = [1, 3, 5];
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const SOURCE_FIELDS = ['rfpId', 'sheetName', 'rowNumber', 'section', 'page', 'question'];
+
+// Read and check a golden set. Fixture paths are resolved against the golden set's folder.
+function loadGoldenSet(filePath) {
+    let goldenSet;
+    try {
+        goldenSet = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new ValidationError(`Invalid golden set ${filePath}: ${error.message}`, [error.message]);
+    }
+
+    const errors = [];
+    if (!_.isPlainObject(goldenSet) || !Array.isArray(goldenSet.questions) || goldenSet.questions.length === 0) {
+        throw new ValidationError(`Invalid golden set ${filePath}: questions must be a non-empty list`, ['questions must be a non-empty list']);
+    }
+
+    const questions = goldenSet.questions.map((entry, index) => {
+        const id = entry.id || `q${index + 1}`;
+        if (typeof entry.question !== 'string' || !entry.question.trim()) {
+            errors.push(`${id}: question is required`);
+        }
+        const expectedSources = entry.expectedSources || [];
+        if (!Array.isArray(expectedSources) || !expectedSources.every(source =>
+            _.isPlainObject(source) && Object.keys(source).length > 0 && Object.keys(source).every(key => SOURCE_FIELDS.includes(key)))) {
+            errors.push(`${id}: expectedSources must be a list of objects with ${SOURCE_FIELDS.join(', ')}`);
+        }
+        const expectedFacts = entry.expectedFacts || [];
+        if (!Array.isArray(expectedFacts) || !expectedFacts.every(fact =>
+            typeof fact === 'string' || (Array.isArray(fact) && fact.length > 0 && fact.every(f => typeof f === 'string')))) {
+            errors.push(`${id}: expectedFacts must be a list of strings or lists of alternative strings`);
+        }
+        return { ...entry, id, expectedSources, expectedFacts };
+    });
+
+    const duplicates = _.uniq(questions.map(q => q.id).filter((id, index, ids) => ids.indexOf(id) !== index));
+    if (duplicates.length > 0) {
+        errors.push(`duplicate question ids: ${duplicates.join(', ')}`);
+    }
+
+    const baseDir = path.dirname(path.resolve(filePath));
+    const fixtures = (goldenSet.fixtures || []).map(fixture => {
+        const spec = typeof fixture === 'string' ? { file: fixture } : fixture;
+        if (!spec || typeof spec.file !== 'string') {
+            errors.push('fixtures must be file paths or objects with a file');
+            return null;
+        }
+        const resolved = path.resolve(baseDir, spec.file);
+        if (!fs.existsSync(resolved)) {
+            errors.push(`fixture not found: ${spec.file}`);
+        }
+        return { ...spec, path: resolved };
+    }).filter(Boolean);
+
+    if (errors.length > 0) {
+        throw new ValidationError(`Invalid golden set ${filePath}: ${errors.join('; ')}`, errors);
+    }
+    return {
+        name: goldenSet.name || path.basename(filePath, path.extname(filePath)),
+        fixtures,
+        defaults: goldenSet.defaults || {},
+        thresholds: goldenSet.thresholds || {},
+        questions
+    };
+}
+
+// Whether a retrieved source (or citation) is the expected one
+function sourceMatches(expected, source) {
+    return Object.entries(expected).every(([field, value]) => {
+        if (field === 'page') {
+            return source.page !== undefined && source.page <= value && value <= (source.pageEnd || source.page);
+        }
+        if (field === 'question') {
+            return normalize(source.question) === normalize(value);
+        }
+        return source[field] === value;
+    });
+}
+
+const factFound = (answer, fact) => [].concat(fact).some(alternative => normalize(answer).includes(normalize(alternative)));
+
+// Metrics for one golden question and the response queryRFPData gave
+function scoreResponse(goldenQuestion, response, ks = DEFAULT_KS) {
+    const { expectedSources, expectedFacts } = goldenQuestion;
+    const sources = response.sources || [];
+    const citations = response.citations || [];
+
+    const retrieved = sources.map((source, index) => ({
+        rank: index + 1,
+        ..._.pick(source, ['rfpId', 'sheetName', 'rowNumber', 'section', 'page', 'provenance', 'score']),
+        relevant: expectedSources.some(expected => sourceMatches(expected, source))
+    }));
+
+    const metrics = {};
+    if (expectedSources.length > 0) {
+        for (const k of ks) {
+            const found = expectedSources.filter(expected => sources.slice(0, k).some(source => sourceMatches(expected, source)));
+            metrics[`recall@${k}`] = found.length / expectedSources.length;
+        }
+        const firstRelevant = retrieved.find(source => source.relevant);
+        metrics.mrr = firstRelevant ? 1 / firstRelevant.rank : 0;
+
+        const relevantCitations = citations.filter(citation => expectedSources.some(expected => sourceMatches(expected, citation)));
+        metrics.citationAccuracy = citations.length > 0 ? relevantCitations.length / citations.length : 0;
+    }
+
+    const missingFacts = expectedFacts.filter(fact => !factFound(response.answer, fact));
+    if (expectedFacts.length > 0) {
+        metrics.factCoverage = (expectedFacts.length - missingFacts.length) / expectedFacts.length;
+    }
+
+    return {
+        metrics,
+        retrieved,
+        citations: citations.map(citation => _.pick(citation, ['marker', 'rfpId', 'sheetName', 'rowNumber', 'section', 'page', 'provenance'])),
+        missingFacts
+    };
+}
+
+const round = (value) => Number(value.toFixed(4));
+
+// Average each metric over the questions it applies to
+function summarizeResults(results) {
+    const metricNames = _.uniq(_.flatMap(results, result => Object.keys(result.metrics || {})));
+    const summary = { questions: results.length, errors: results.filter(result => result.error).length, metrics: {} };
+    for (const name of metricNames) {
+        const values = results.map(result => (result.metrics || {})[name]).filter(value => value !== undefined);
+        summary.metrics[name] = round(_.mean(values));
+    }
+    return summary;
+}
+
+// Metrics below the golden set's thresholds
+function checkThresholds(summary, thresholds) {
+    return Object.entries(thresholds)
+        .filter(([name, minimum]) => summary.metrics[name] === undefined || summary.metrics[name] < minimum)
+        .map(([name, minimum]) => ({ metric: name, minimum, actual: summary.metrics[name] === undefined ? null : summary.metrics[name] }));
+}
+
+// Differences between two saved runs: summary metric deltas and the questions whose metrics changed.
+// A metric regressed when it dropped by more than `tolerance`.
+function compareRuns(baseline, current, { tolerance = 0 } = {}) {
+    const metricNames = _.union(Object.keys(baseline.summary.metrics), Object.keys(current.summary.metrics));
+    const metrics = metricNames.map(name => {
+        const before = baseline.summary.metrics[name];
+        const after = current.summary.metrics[name];
+        const delta = before !== undefined && after !== undefined ? round(after - before) : null;
+        return { metric: name, baseline: before, current: after, delta, regressed: delta !== null && delta < -tolerance };
+    });
+
+    const baselineById = _.keyBy(baseline.questions, 'id');
+    const questions = [];
+    for (const result of current.questions) {
+        const before = baselineById[result.id];
+        if (!before) {
+            questions.push({ id: result.id, change: 'added' });
+            continue;
+        }
+        const changed = _.union(Object.keys(before.metrics || {}), Object.keys(result.metrics || {}))
+            .filter(name => (before.metrics || {})[name] !== (result.metrics || {})[name])
+            .map(name => ({ metric: name, baseline: (before.metrics || {})[name], current: (result.metrics || {})[name] }));
+        if (changed.length > 0 || Boolean(before.error) !== Boolean(result.error)) {
+            questions.push({ id: result.id, change: 'changed', metrics: changed, ...(result.error ? { error: result.error } : {}) });
+        }
+    }
+    const currentIds = new Set(current.questions.map(result => result.id));
+    baseline.questions.filter(result => !currentIds.has(result.id))
+        .forEach(result => questions.push({ id: result.id, change: 'removed' }));
+
+    return { metrics, questions, regressed: metrics.some(metric => metric.regressed) };
+}
+
+module.exports = {
+    DEFAULT_KS,
+    loadGoldenSet,
+    scoreResponse,
+    summarizeResults,
+    checkThresholds,
+    compareRuns
+};
@@ -1,560 +1,1345 @@
 // server/excelProcessor.js
 
+const _ = require('lodash');
+const crypto = require('crypto');
+const { getVectorStore, getTenantVectorStore } = require('./vectorStore');
+const { loadWorkbook } = require('./spreadsheetLoader');
+const { detectDocumentFormat, loadDocument } = require('./documentLoader');
+const { createEmbeddingProvider, createChatProvider } = require('./modelProvider');
+const { loadMappingProfiles, mapWorksheet } = require('./sheetMapper');
+const documentRegistry = require('./documentRegistry');
+const keywordIndex = require('./keywordIndex');
+const { rerank: rerankCandidates, RERANKERS } = require('./reranker');
+const { ValidationError } = require('./errors');
+const healthMonitor = require('./healthMonitor');
+const { buildQueryFilter } = require('./queryFilters');
+const { describeLocation, resolveCitations } = require('./citations');
+const { resolveTemplate, renderSystemPrompt } = require('./promptTemplates');
+const rfpVersions = require('./rfpVersions');
+const cache = require('./cache');
+const answerLibrary = require('./answerLibrary');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+// Select the vector store (Pinecone or the built-in local store) and model providers
+const vectorStore = getVectorStore();
+const embeddingProvider = createEmbeddingProvider();
+const chatProvider = createChatProvider();
+
+// Retrieval defaults; each can be overridden per query
+const DEFAULT_RETRIEVAL_OPTIONS = {
+    topK: parseInt(process.env.RETRIEVAL_TOP_K, 10) || 5,
+    vectorWeight: process.env.RETRIEVAL_VECTOR_WEIGHT !== undefined ? Number(process.env.RETRIEVAL_VECTOR_WEIGHT) : 0.7,
+    keywordWeight: process.env.RETRIEVAL_KEYWORD_WEIGHT !== undefined ? Number(process.env.RETRIEVAL_KEYWORD_WEIGHT) : 0.3,
+    minScore: process.env.RETRIEVAL_MIN_SCORE !== undefined ? Number(process.env.RETRIEVAL_MIN_SCORE) : 0,
+    rerank: process.env.RERANKER || 'none'
+};
+const MAX_TOP_K = 50;
+
+// Added to the retrieval score of approved answers so they win over ingested rows of similar relevance
+const APPROVED_ANSWER_BOOST = process.env.APPROVED_ANSWER_BOOST !== undefined ? Number(process.env.APPROVED_ANSWER_BOOST) : 0.15;
+
+const NO_MATCHES_RESPONSE = {
+    answer: "I couldn't find any relevant information for your question in the RFP documents. Could you try rephrasing your question or ask about a different aspect of the RFP?",
+    sources: [],
+    citations: []
+};
+
+// Earlier conversation messages included when rewriting and answering follow-ups
+const MAX_HISTORY_MESSAGES = 6;
+
+const REWRITE_PROMPT = `Rewrite the user's follow-up question as a single standalone question about the RFP knowledge base.
+Use the conversation to resolve pronouns and references such as "that", "it" or "what about for Rural King?".
+If the question is already standalone, return it unchanged.
+Reply with the rewritten question only - do not answer it.`;
+
+// Vectors stored before the embedding model was recorded all came from this model
+const LEGACY_EMBEDDING_MODEL = 'text-embedding-ada-002';
+
+// Upload metadata every RFP has; anything else passed at upload is custom metadata (customer, year, ...)
+const BASE_METADATA_FIELDS = ['rfpId', 'title', 'uploadDate', 'category'];
+
 // Check required environment variables
-const requiredEnvVars = ['PINECONE_API_KEY', 'PINECONE_ENVIRONMENT', 'PINECONE_INDEX_NAME', 'OPENAI_API_KEY'];
+const requiredEnvVars = _.uniq([
+    ...vectorStore.requiredEnvVars,
+    ...embeddingProvider.requiredEnvVars,
+    ...chatProvider.requiredEnvVars
+]);
 const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
 
 if (missingVars.length > 0) {
     throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
 }
 
-// Environment variable logging
-console.log('Environment Check:');
-console.log('PINECONE_API_KEY exists:', !!process.env.PINECONE_API_KEY);
-console.log('PINECONE_ENVIRONMENT:', process.env.PINECONE_ENVIRONMENT);
-console.log('PINECONE_INDEX_NAME:', process.env.PINECONE_INDEX_NAME);
-console.log('PINECONE_HOST exists:', !!process.env.PINECONE_HOST);
-console.log('OPENAI_API_KEY exists:', !!process.env.OPENAI_API_KEY);
-
-const ExcelJS = require('exceljs');
-const _ = require('lodash');
-const { OpenAI } = require('openai');
-const fetch = require('node-fetch');
-const https = require('https');
-const crypto = require('crypto');
-
-// Initialize OpenAI
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
+// Environment logging: which backends are in use, never keys or hosts
+logger.info('Environment check', {
+    vectorStore: vectorStore.name,
+    ...(vectorStore.name === 'pinecone' ? {
+        pineconeApiKeySet: !!process.env.PINECONE_API_KEY,
+        pineconeIndex: process.env.PINECONE_INDEX_NAME,
+        pineconeHostSet: !!process.env.PINECONE_HOST
+    } : {}),
+    openaiApiKeySet: !!process.env.OPENAI_API_KEY,
+    embeddingModel: `${embeddingProvider.provider}/${embeddingProvider.id}`,
+    chatModel: `${chatProvider.provider}/${chatProvider.id}`
 });
 
-// Create a custom HTTPS agent with relaxed settings
-const httpsAgent = new https.Agent({
-    rejectUnauthorized: false,
-    keepAlive: true,
-    timeout: 60000
-});
-
-// Set up Pinecone base URL - prioritize direct host if available
-const getPineconeBaseUrl = () => {
-    if (process.env.PINECONE_HOST) {
-        // If PINECONE_HOST includes the protocol, use it as is
-        if (process.env.PINECONE_HOST.startsWith('http')) {
-            return process.env.PINECONE_HOST;
-        }
-        // Otherwise, add the https:// prefix
-        return `https://${process.env.PINECONE_HOST}`;
-    }
-    // Fall back to constructing the URL from environment and index name
-    return `https://${process.env.PINECONE_INDEX_NAME}.svc.${process.env.PINECONE_ENVIRONMENT}.pinecone.io`;
-};
-
-// Direct API implementation for Pinecone
-const pineconeApi = {
-    query: async (embedding, topK = 5, filters = {}) => {
-        try {
-            const baseUrl = getPineconeBaseUrl();
-            console.log('Querying Pinecone at URL:', baseUrl);
-            
-            const response = await fetch(`${baseUrl}/query`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Api-Key': process.env.PINECONE_API_KEY
-                },
-                body: JSON.stringify({
-                    vector: embedding,
-                    topK,
-                    includeMetadata: true,
-                    filter: Object.keys(filters).length > 0 ? filters : undefined
-                }),
-                agent: httpsAgent,
-                timeout: 30000
-            });
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Pinecone API error (${response.status}): ${errorText}`);
-            }
-            
-            return await response.json();
-        } catch (error) {
-            console.error('Pinecone API query error:', error);
-            throw error;
-        }
-    },
-    
-    upsert: async (vectors) => {
-        try {
-            const baseUrl = getPineconeBaseUrl();
-            console.log('Upserting to Pinecone at URL:', baseUrl);
-            
-            const response = await fetch(`${baseUrl}/vectors/upsert`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Api-Key': process.env.PINECONE_API_KEY
-                },
-                body: JSON.stringify({
-                    vectors
-                }),
-                agent: httpsAgent,
-                timeout: 30000
-            });
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Pinecone API error (${response.status}): ${errorText}`);
-            }
-            
-            return await response.json();
-        } catch (error) {
-            console.error('Pinecone API upsert error:', error);
-            throw error;
-        }
-    },
-    
-    fetch: async (ids) => {
-        try {
-            const baseUrl = getPineconeBaseUrl();
-            console.log('Fetching from Pinecone at URL:', baseUrl);
-            
-            const response = await fetch(`${baseUrl}/vectors/fetch`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Api-Key': process.env.PINECONE_API_KEY
-                },
-                body: JSON.stringify({
-                    ids
-                }),
-                agent: httpsAgent,
-                timeout: 30000
-            });
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Pinecone API error (${response.status}): ${errorText}`);
-            }
-            
-            return await response.json();
-        } catch (error) {
-            console.error('Pinecone API fetch error:', error);
-            throw error;
+// Check the dependencies now and in the background from here on (see healthMonitor.js)
+healthMonitor.start({
+    vectorStore: async () => {
+        if (!(await vectorStore.testConnectivity())) {
+            throw new Error(`Unable to connect to the ${vectorStore.name} vector store`);
         }
     },
+    embedding: () => embeddingProvider.checkHealth(),
+    chat: () => chatProvider.checkHealth()
+});
 
-    testConnectivity: async () => {
-        try {
-            const baseUrl = getPineconeBaseUrl();
-            console.log('Testing connectivity to Pinecone at:', baseUrl);
-            
-            const response = await fetch(`${baseUrl}/describe_index_stats`, {
-                method: 'GET',
-                headers: {
-                    'Api-Key': process.env.PINECONE_API_KEY
-                },
-                agent: httpsAgent,
-                timeout: 10000
-            });
-            
-            if (response.ok) {
-                const data = await response.json();
-                console.log('Pinecone connectivity test successful!');
-                console.log('Index stats:', JSON.stringify(data).substring(0, 200) + '...');
-                return true;
-            } else {
-                console.error('Pinecone connectivity test failed with status:', response.status);
-                return false;
-            }
-        } catch (error) {
-            console.error('Pinecone connectivity test failed with error:', error.message);
-            if (error.code) {
-                console.error('Error code:', error.code);
-            }
-            return false;
-        }
-    }
-};
-
-// Test connectivity on startup
-let MOCK_MODE = false;
-(async () => {
-    try {
-        const isConnected = await pineconeApi.testConnectivity();
-        if (!isConnected) {
-            console.warn('WARNING: Unable to connect to Pinecone. Switching to MOCK_MODE.');
-            MOCK_MODE = true;
-        } else {
-            console.log('Successfully connected to Pinecone!');
-        }
-    } catch (error) {
-        console.error('Error testing Pinecone connectivity:', error);
-        console.warn('WARNING: Enabling MOCK_MODE due to connection error.');
-        MOCK_MODE = true;
-    }
-})();
-
-// Add retry logic for operations
-const withRetry = async (operation, maxRetries = 3, delay = 1000) => {
+// Add retry logic for operations; `operation` names it in logs and the rfp_retries_total metric.
+// Each attempt goes through the dependency's circuit breaker, so once a dependency is known to be
+// down the remaining attempts (and later calls) fail fast with a 503 instead of waiting it out.
+const withRetry = async (fn, operation = 'operation', maxRetries = 3, delay = 1000) => {
+    const breaker = healthMonitor.breakerFor(operation);
     for (let i = 0; i < maxRetries; i++) {
+        if (breaker) breaker.assertClosed();
         try {
-            return await operation();
+            const result = await fn();
+            if (breaker) breaker.recordSuccess();
+            return result;
         } catch (error) {
+            if (breaker) breaker.recordFailure(error);
             if (i === maxRetries - 1) throw error;
-            
-            console.log(`Operation failed, attempt ${i + 1}/${maxRetries}. Retrying in ${delay}ms...`);
-            console.error('Error:', error.message);
-            
+
+            metrics.countRetry(operation);
+            logger.warn('Operation failed, retrying', { operation, attempt: i + 1, maxRetries, delayMs: delay, error });
+
             await new Promise(resolve => setTimeout(resolve, delay));
             delay *= 2; // Exponential backoff
         }
     }
 };
 
-// Get embeddings from OpenAI
+// Get embeddings from the configured embedding provider
+// Embeddings are cached by model and text, so unchanged rows and repeated questions aren't re-embedded
 async function getEmbedding(text) {
-    const response = await openai.embeddings.create({
-        model: "text-embedding-ada-002",
-        input: text,
+    return cache.cachedEmbedding(embeddingProvider.id, text, async () => {
+        const { embedding } = await embeddingProvider.embed(text);
+        return embedding;
     });
-    return response.data[0].embedding;
 }
 
-// Generate a stable, unique ID for a piece of content
-function generateStableId(metadata, item) {
-    const content = `${metadata.rfpId}-${item.sheetName}-${item.category}-${item.text.slice(0, 50)}`;
-    return crypto.createHash('md5').update(content).digest('hex');
+// Which embedding model produced a stored vector
+function getVectorEmbeddingModel(metadata = {}) {
+    return metadata.embeddingModel || LEGACY_EMBEDDING_MODEL;
+}
+
+// Restrict a query to vectors produced by the current embedding model
+function withEmbeddingModelFilter(filterConditions) {
+    const modelFilter = embeddingProvider.id === LEGACY_EMBEDDING_MODEL
+        ? { $or: [{ embeddingModel: embeddingProvider.id }, { embeddingModel: { $exists: false } }] }
+        : { embeddingModel: embeddingProvider.id };
+    return Object.keys(filterConditions).length > 0
+        ? { $and: [filterConditions, modelFilter] }
+        : modelFilter;
 }
 
-async function processExcelRFP(buffer, metadata) {
+// Turn one spreadsheet row into the records we embed.
+// Rows with a question become a question record (embedding just the question) that carries
+// its paired answer, plus an optional answer record linked back to it. Rows without a
+// question fall back to a single record embedding the whole row.
+function buildRowRecords(metadata, row, options = {}) {
+    const { sheetName, category, rowNumber, cellRange, fields, rowData } = row;
+    const base = { sheetName, category, rowNumber, cellRange, fields, originalData: rowData };
+
+    if (fields.question) {
+        const questionRecord = { ...base, recordType: 'question', text: fields.question };
+        // Links the question and answer records of one row
+        const pairId = crypto.createHash('md5')
+            .update(`${metadata.rfpId}-${sheetName}-${rowNumber}-${fields.question}`)
+            .digest('hex');
+        const records = [{ ...questionRecord, pairId }];
+
+        if (options.embedAnswers && fields.answer) {
+            records.push({ ...base, recordType: 'answer', text: fields.answer, pairId });
+        }
+        return records;
+    }
+
+    const combinedText = Object.entries(rowData)
+        .filter(([key, value]) => value && typeof value === 'string')
+        .map(([key, value]) => `${key}: ${value}`)
+        .join('\n');
+
+    return combinedText.trim()
+        ? [{ ...base, recordType: 'row', text: combinedText }]
+        : [];
+}
+
+// Turn a document chunk into a record; it is embedded whole, with its section title
+function buildSectionRecord(metadata, chunk) {
+    return {
+        recordType: 'section',
+        text: chunk.text,
+        category: metadata.category,
+        section: chunk.section,
+        page: chunk.page,
+        pageEnd: chunk.pageEnd,
+        fields: {},
+        originalData: {}
+    };
+}
+
+// The metadata stored with a record's vector: the upload's metadata, where the record sits
+// and its content
+function buildVectorMetadata(metadata, item) {
+    return {
+        ...metadata,
+        // The upload's category is kept separately from the row's category column
+        documentCategory: metadata.category,
+        uploadTimestamp: new Date(metadata.uploadDate).getTime(),
+        category: item.category,
+        sheetName: item.sheetName,
+        rowNumber: item.rowNumber,
+        cellRange: item.cellRange,
+        ...(item.section ? { section: item.section } : {}),
+        ...(item.page ? { page: item.page, pageEnd: item.pageEnd } : {}),
+        recordType: item.recordType,
+        text: item.text,
+        ...(item.pairId ? { pairId: item.pairId } : {}),
+        ...(item.fields.question ? { question: item.fields.question } : {}),
+        ...(item.fields.answer ? { answer: item.fields.answer } : {}),
+        ...(item.fields.comments ? { comments: item.fields.comments } : {}),
+        originalData: JSON.stringify(item.originalData),
+        embeddingModel: embeddingProvider.id,
+        rowKey: item.rowKey,
+        contentHash: item.contentHash,
+        versionFrom: item.versionFrom,
+        current: true
+    };
+}
+
+// What the registry and ingestion result record about a document
+const describeDocument = (document) => ({
+    format: document.format,
+    pageCount: document.pageCount,
+    sectionCount: document.sectionCount,
+    chunkCount: document.chunks.length
+});
+
+async function processExcelRFP(buffer, metadata, options = {}) {
     try {
-        const workbook = new ExcelJS.Workbook();
-        await workbook.xlsx.load(buffer);
+        // .docx and PDF proposals are chunked by section; .xlsx, .xls, .ods and .csv all load
+        // into the same workbook model. Callers that already validated the upload pass the result along.
+        const fileName = options.fileName || `${metadata.rfpId}.xlsx`;
+        const document = options.document ||
+            (detectDocumentFormat(buffer, fileName) ? await loadDocument(buffer, fileName) : null);
+        const workbook = document ? null : options.workbook || (await loadWorkbook(buffer, fileName)).workbook;
+        const { tenant } = options;
+        const tenantStore = getTenantVectorStore(tenant);
 
         const processedData = [];
-        let totalRows = 0;
+        const mappedSheets = [];
+        const unmappedSheets = [];
+        const vectorIds = [];
         let processedRows = 0;
         let skippedRows = 0;
         let errorRows = 0;
 
+        const profiles = loadMappingProfiles();
+
+        // Embedding answers as separate records is opt-in per upload or via EMBED_ANSWERS
+        const embedAnswers = options.embedAnswers !== undefined
+            ? options.embedAnswers
+            : process.env.EMBED_ANSWERS === 'true';
+
+        if (document) {
+            logger.info('Processing document', { rfpId: metadata.rfpId, format: document.format, fileName, chunks: document.chunks.length, sections: document.sectionCount });
+            processedData.push(...document.chunks.map(chunk => buildSectionRecord(metadata, chunk)));
+        }
+
         // Process each worksheet
-        for (const worksheet of workbook.worksheets) {
-            console.log(`Processing worksheet: ${worksheet.name}`);
+        for (const worksheet of workbook ? workbook.worksheets : []) {
+            logger.debug('Processing worksheet', { rfpId: metadata.rfpId, sheetName: worksheet.name });
             const sheetName = worksheet.name;
             const jsonData = [];
 
-            // Get headers and clean them
-            const headers = worksheet.getRow(1).values
-                .slice(1) // Skip first empty cell
-                .map(header => header ? header.trim() : '');
-
-            // Count total rows
-            totalRows += worksheet.rowCount - 1; // Exclude header row
+            // Find the header row and the question/answer/category/comments columns
+            const mapping = mapWorksheet(worksheet, {
+                profiles,
+                mappingProfile: options.mappingProfile
+            });
+            if (mapping.error) {
+                logger.warn('Skipping worksheet', { rfpId: metadata.rfpId, sheetName, reason: mapping.error });
+                unmappedSheets.push({ sheetName, profile: mapping.profile, reason: mapping.error });
+                continue;
+            }
+            const { headerRow, headers, columns } = mapping;
+            logger.info('Mapped worksheet', { rfpId: metadata.rfpId, sheetName, profile: mapping.profile, headerRow });
+            mappedSheets.push({
+                sheetName,
+                profile: mapping.profile,
+                headerRow,
+                columns: _.mapValues(columns, colNumber => headers[colNumber])
+            });
 
             // Process each row
             worksheet.eachRow((row, rowNumber) => {
-                if (rowNumber > 1) { // Skip header row
+                if (rowNumber > headerRow) { // Skip title block and header row
                     const rowData = {};
+                    const filledCells = [];
                     row.eachCell((cell, colNumber) => {
-                        const header = headers[colNumber - 1];
+                        const header = headers[colNumber];
                         if (header) { // Only process cells with valid headers
                             rowData[header] = cell.text.trim();
+                            if (rowData[header]) filledCells.push(cell);
                         }
                     });
-                    if (Object.keys(rowData).length > 0) {
-                        jsonData.push(rowData);
+                    if (filledCells.length > 0) {
+                        const fields = _.mapValues(columns, colNumber => rowData[headers[colNumber]] || '');
+                        // The cells the item came from, e.g. "B12:D12", for citations
+                        const cellRange = filledCells.length === 1
+                            ? filledCells[0].address
+                            : `${filledCells[0].address}:${filledCells[filledCells.length - 1].address}`;
+                        jsonData.push({ rowNumber, cellRange, rowData, fields });
                     }
                 }
             });
 
-            // Group data by category if available
-            const groupedData = _.groupBy(jsonData, 'Category');
+            // Group data by the mapped category column if available
+            const groupedData = _.groupBy(jsonData, row => row.fields.category || 'uncategorized');
 
             // Process each category
             for (const [category, items] of Object.entries(groupedData)) {
                 for (const item of items) {
-                    const combinedText = Object.entries(item)
-                        .filter(([key, value]) => value && typeof value === 'string')
-                        .map(([key, value]) => `${key}: ${value}`)
-                        .join('\n');
-
-                    if (combinedText.trim()) {
-                        processedData.push({
-                            category: category || 'uncategorized',
-                            sheetName,
-                            text: combinedText,
-                            originalData: item
-                        });
-                    }
+                    processedData.push(...buildRowRecords(metadata, { ...item, sheetName, category }, { embedAnswers }));
                 }
             }
         }
 
-        // If in mock mode, just pretend we processed successfully
-        if (MOCK_MODE) {
-            console.log('MOCK MODE: Simulating successful processing');
-            return {
-                success: true,
-                stats: {
-                    totalItems: processedData.length,
-                    processed: processedData.length,
-                    skipped: 0,
-                    errors: 0
-                },
-                sheets: workbook.worksheets.map(sheet => sheet.name),
-                mockMode: true
-            };
-        }
+        // Nothing can be stored while the vector store or embedding model is down. Fail the upload
+        // (503) rather than report rows as ingested; waiting for the first health check means an
+        // upload right after startup doesn't race it.
+        await healthMonitor.whenChecked();
+        healthMonitor.assertAvailable(['vectorStore', 'embedding']);
+
+        // Compare with the previous upload of the RFP: unchanged records keep their vectors,
+        // changed and new records get new ones
+        const previous = rfpVersions.previousVersionState(documentRegistry.getRFP(metadata.rfpId, tenant));
+        const version = previous.version + 1;
+        const plan = rfpVersions.planVersion(metadata, processedData, previous, version);
 
-        // Store in Pinecone with error handling, duplicate prevention, and batching
-        console.log(`Total items to process: ${processedData.length}`);
+        // Store in the vector store with error handling, duplicate prevention, and batching
+        logger.info('Ingesting RFP', { rfpId: metadata.rfpId, version, items: processedData.length, changes: plan.changes });
+
+        // Per-sheet counts for progress reporting; a document counts as a single sheet
+        const progressKey = (sheetName) => sheetName || fileName;
+        const sheetProgress = _.mapValues(_.groupBy(processedData, item => progressKey(item.sheetName)), items => ({
+            total: items.length,
+            processed: 0,
+            skipped: 0,
+            errors: 0
+        }));
+        const reportProgress = (phase) => {
+            if (!options.onProgress) return;
+            options.onProgress({
+                phase,
+                totalItems: processedData.length,
+                processed: processedRows,
+                skipped: skippedRows,
+                errors: errorRows,
+                sheets: _.cloneDeep(sheetProgress)
+            });
+        };
+        reportProgress('embedding');
         
         // Process in batches of 10
         const BATCH_SIZE = 10;
-        const batches = _.chunk(processedData, BATCH_SIZE);
+        const batches = _.chunk(plan.items, BATCH_SIZE);
+        let cancelled = false;
+        // Indexed once after the batches: each addDocuments call rewrites the whole keyword index
+        const keywordDocuments = [];
         
         for (const batch of batches) {
+            // Stop between batches if the ingestion job was cancelled
+            if (options.isCancelled && options.isCancelled()) {
+                logger.info('Ingestion cancelled', { rfpId: metadata.rfpId, processed: processedRows });
+                cancelled = true;
+                break;
+            }
+
             const batchOperations = [];
+            const metadataUpdates = [];
+
+            // Check which vectors already exist with one fetch per batch (forced re-ingestion always rewrites)
+            const batchIds = batch.map(item => item.vectorId);
+            let existingVectors = {};
+            if (!options.force) {
+                try {
+                    const fetchResponse = await withRetry(() => tenantStore.fetch(batchIds), 'vector_fetch');
+                    existingVectors = fetchResponse.vectors || {};
+                } catch (fetchError) {
+                    logger.warn('Fetch check failed for batch, proceeding with upsert', { rfpId: metadata.rfpId, error: fetchError });
+                }
+            }
             
-            for (const item of batch) {
+            for (const [index, item] of batch.entries()) {
                 try {
-                    const vectorId = generateStableId(metadata, item);
-                    
-                    // Try to fetch existing vector with error handling
-                    let existingVector;
-                    try {
-                        const fetchResponse = await withRetry(() => pineconeApi.fetch([vectorId]));
-                        existingVector = fetchResponse.vectors || {};
-                    } catch (fetchError) {
-                        console.log(`Fetch check failed for ${vectorId}, proceeding with upsert`);
-                        existingVector = {};
-                    }
+                    const vectorId = batchIds[index];
                     
-                    if (!existingVector[vectorId]) {
-                        const embedding = await withRetry(() => getEmbedding(item.text));
+                    // Re-embed vectors that were produced by a different embedding model
+                    const existing = existingVectors[vectorId];
+                    if (!existing || getVectorEmbeddingModel(existing.metadata) !== embeddingProvider.id) {
+                        const embedding = await withRetry(() => getEmbedding(item.text), 'embedding');
                         
                         batchOperations.push({
                             id: vectorId,
                             values: embedding,
-                            metadata: {
-                                ...metadata,
-                                category: item.category,
-                                sheetName: item.sheetName,
-                                text: item.text,
-                                originalData: JSON.stringify(item.originalData)
-                            }
+                            metadata: buildVectorMetadata(metadata, item)
                         });
                         processedRows++;
-                        console.log(`Prepared item ${processedRows}/${processedData.length} from ${item.sheetName}`);
+                        sheetProgress[progressKey(item.sheetName)].processed++;
+                        logger.debug('Prepared item', { rfpId: metadata.rfpId, processed: processedRows, total: processedData.length, sheetName: item.sheetName });
                     } else {
+                        vectorIds.push(vectorId);
+                        // Unchanged content keeps its vector and upload date; a new position in the sheet
+                        // or new RFP metadata is written over the old metadata in place
+                        const vectorMetadata = {
+                            ...buildVectorMetadata(metadata, item),
+                            ..._.pick(existing.metadata, ['uploadDate', 'uploadTimestamp'])
+                        };
+                        if (!_.isEqual(_.omitBy(vectorMetadata, _.isNil), _.omitBy(existing.metadata, _.isNil))) {
+                            metadataUpdates.push({ id: vectorId, values: existing.values, metadata: vectorMetadata });
+                        } else {
+                            // Backfill the keyword index for content ingested before it existed
+                            keywordDocuments.push(toKeywordDocument(vectorId, existing.metadata));
+                        }
                         skippedRows++;
-                        console.log(`Skipping duplicate entry (${skippedRows} skipped so far)`);
+                        sheetProgress[progressKey(item.sheetName)].skipped++;
+                        logger.debug('Skipping duplicate entry', { rfpId: metadata.rfpId, skipped: skippedRows });
                     }
                 } catch (error) {
                     errorRows++;
-                    console.error(`Error preparing item (${errorRows} errors so far):`, error.message);
+                    sheetProgress[progressKey(item.sheetName)].errors++;
+                    logger.error('Error preparing item', { rfpId: metadata.rfpId, sheetName: item.sheetName, errors: errorRows, error });
                     continue;
                 }
             }
             
+            if (metadataUpdates.length > 0) {
+                try {
+                    await withRetry(() => tenantStore.upsert(metadataUpdates), 'vector_upsert');
+                    keywordDocuments.push(...metadataUpdates.map(update => toKeywordDocument(update.id, update.metadata)));
+                } catch (updateError) {
+                    // The vectors still hold the right content, so this is not a failed row
+                    logger.warn('Error updating metadata of unchanged records', { rfpId: metadata.rfpId, items: metadataUpdates.length, error: updateError });
+                }
+            }
+
             // Upload the batch with retry logic
             if (batchOperations.length > 0) {
                 try {
-                    await withRetry(() => pineconeApi.upsert(batchOperations));
-                    console.log(`Successfully uploaded batch of ${batchOperations.length} items`);
+                    await withRetry(() => tenantStore.upsert(batchOperations), 'vector_upsert');
+                    vectorIds.push(...batchOperations.map(operation => operation.id));
+                    keywordDocuments.push(...batchOperations.map(operation =>
+                        toKeywordDocument(operation.id, operation.metadata)
+                    ));
+                    logger.debug('Uploaded batch', { rfpId: metadata.rfpId, items: batchOperations.length });
                 } catch (batchError) {
-                    console.error(`Error uploading batch: ${batchError.message}`);
+                    logger.error('Error uploading batch', { rfpId: metadata.rfpId, items: batchOperations.length, error: batchError });
                     errorRows += batchOperations.length;
+                    for (const operation of batchOperations) {
+                        const sheet = sheetProgress[progressKey(operation.metadata.sheetName)];
+                        sheet.processed--;
+                        sheet.errors++;
+                    }
+                    processedRows -= batchOperations.length;
                 }
             }
+
+            reportProgress('embedding');
+        }
+        keywordIndex.addDocuments(keywordDocuments, tenant);
+
+        const stats = {
+            totalItems: processedData.length,
+            processed: processedRows,
+            skipped: skippedRows,
+            errors: errorRows
+        };
+
+        // A cancelled upload doesn't become a version: remove what it wrote and keep the previous version current
+        if (cancelled) {
+            const previousIds = new Set(previous.legacyVectorIds.concat(Object.values(previous.manifest).map(entry => entry.vectorId)));
+            await deleteVectors(vectorIds.filter(id => !previousIds.has(id)), tenant);
+            reportProgress('cancelled');
+            return {
+                success: true,
+                rfpId: metadata.rfpId,
+                cancelled: true,
+                stats,
+                sheets: mappedSheets.map(sheet => sheet.sheetName),
+                mappedSheets,
+                unmappedSheets
+            };
         }
 
+        // Retire the previous version's vectors that the new version no longer contains; they
+        // stay queryable as part of older versions until they fall out of the retention window
+        const manifest = rfpVersions.buildManifest(plan.items, new Set(vectorIds), previous);
+        const supersededIds = rfpVersions.supersededVectorIds(previous, manifest);
+        await supersedeVectors(supersededIds, version, tenant);
+        const supersededVectors = [
+            ...previous.supersededVectors,
+            ...supersededIds.map(vectorId => ({ vectorId, supersededIn: version }))
+        ];
+        const expired = rfpVersions.expiredVectors(supersededVectors, version);
+        await deleteVectors(expired.map(entry => entry.vectorId), tenant);
+        const retained = _.difference(supersededVectors, expired);
+
+        // Record the upload in the document registry, with the original file for re-ingestion
+        const originalFile = options.keepOriginalFile === false
+            ? undefined
+            : documentRegistry.storeOriginalFile(metadata.rfpId, fileName, buffer, tenant);
+        documentRegistry.saveRFP({
+            ...metadata,
+            customMetadata: _.omit(metadata, BASE_METADATA_FIELDS),
+            ...(originalFile ? { originalFile } : {}),
+            ingestOptions: {
+                mappingProfile: options.mappingProfile,
+                embedAnswers
+            },
+            sheets: mappedSheets,
+            unmappedSheets,
+            ...(document ? { document: describeDocument(document) } : {}),
+            stats,
+            itemCount: processedData.length,
+            // Everything still in the index: the current version plus retained superseded vectors
+            vectorIds: _.uniq([
+                ...Object.values(manifest).map(entry => entry.vectorId),
+                ...retained.map(entry => entry.vectorId)
+            ]),
+            replaceVectorIds: true,
+            currentVersion: version,
+            manifest,
+            versions: [...previous.versions, {
+                version,
+                uploadDate: new Date().toISOString(),
+                fileName,
+                itemCount: processedData.length,
+                changes: plan.changes
+            }],
+            supersededVectors: retained
+        }, tenant);
+
+        cache.flushEmbeddingCache();
+        cache.invalidateAnswers(tenant, `RFP ${metadata.rfpId} ingested`);
+        reportProgress('completed');
+
         return {
             success: true,
-            stats: {
-                totalItems: processedData.length,
-                processed: processedRows,
-                skipped: skippedRows,
-                errors: errorRows
-            },
-            sheets: workbook.worksheets.map(sheet => sheet.name)
+            rfpId: metadata.rfpId,
+            version,
+            changes: plan.changes,
+            stats,
+            sheets: mappedSheets.map(sheet => sheet.sheetName),
+            mappedSheets,
+            unmappedSheets,
+            ...(document ? { document: describeDocument(document) } : {})
         };
     } catch (error) {
-        console.error('Error processing Excel file:', error);
+        logger.error('Error processing RFP file', { rfpId: metadata.rfpId, error });
         throw error;
     }
 }
 
-async function queryRFPData(question, filters = {}) {
-    try {
-        // Special case for greetings
-        const isGreeting = question.toLowerCase().match(/^(hi|hello|hey|greetings|howdy)[\s\.,!]*$/);
-        if (isGreeting) {
-            return {
-                answer: "Hello! I'm your RFP Assistant. I can help you find information in your RFP documents. How can I assist you today?",
-                sources: []
-            };
-        }
+// Per-query retrieval settings, falling back to the configured defaults
+function resolveRetrievalOptions(overrides = {}) {
+    const settings = { ...DEFAULT_RETRIEVAL_OPTIONS, ..._.omitBy(overrides || {}, _.isUndefined) };
+    const errors = [];
 
-        // Get embedding from OpenAI
-        const queryEmbedding = await withRetry(() => getEmbedding(question));
-        console.log('Generated embedding with length:', queryEmbedding.length);
-
-        // Prepare filter conditions
-        let filterConditions = {};
-        if (Object.keys(filters).length > 0) {
-            if (filters.category) filterConditions.category = filters.category;
-            if (filters.sheetName) filterConditions.sheetName = filters.sheetName;
-        } else {
-            filterConditions = {
-                category: { $exists: true }
-            };
+    if (!Number.isInteger(settings.topK) || settings.topK < 1 || settings.topK > MAX_TOP_K) {
+        errors.push(`topK must be an integer between 1 and ${MAX_TOP_K}`);
+    }
+    for (const key of ['vectorWeight', 'keywordWeight', 'minScore']) {
+        if (typeof settings[key] !== 'number' || settings[key] < 0 || settings[key] > 1) {
+            errors.push(`${key} must be a number between 0 and 1`);
         }
+    }
+    if (settings.vectorWeight + settings.keywordWeight === 0) {
+        errors.push('vectorWeight and keywordWeight cannot both be 0');
+    }
+    if (!RERANKERS.includes(settings.rerank)) {
+        errors.push(`rerank must be one of: ${RERANKERS.join(', ')}`);
+    }
 
-        // If in mock mode, just return a simulated response
-        if (MOCK_MODE) {
-            console.log('MOCK MODE: Simulating RFP query response');
-            
-            return {
-                answer: `I'm currently operating in demo mode without database access. Your question was: "${question}". In normal operation, I would search our RFP database and provide relevant information based on the documents you've uploaded.`,
+    if (errors.length > 0) {
+        throw new ValidationError(`Invalid retrieval options: ${errors.join('; ')}`, errors);
+    }
+    return settings;
+}
+
+// Weighted fusion of vector and keyword results. BM25 scores are normalized to 0-1
+// against the best keyword match so both lists are on the same scale. Candidates that
+// neither search scored are dropped, so unrelated rows never fill up topK.
+function fuseMatches(vectorMatches, keywordMatches, { vectorWeight, keywordWeight }) {
+    const candidates = {};
+    const maxKeywordScore = keywordMatches.length > 0 ? keywordMatches[0].score : 1;
+
+    for (const match of vectorMatches) {
+        candidates[match.id] = { id: match.id, metadata: match.metadata, vectorScore: Math.max(0, match.score), keywordScore: 0 };
+    }
+    for (const match of keywordMatches) {
+        const candidate = candidates[match.id] || { id: match.id, metadata: match.metadata, vectorScore: 0 };
+        candidate.keywordScore = match.score / maxKeywordScore;
+        candidates[match.id] = candidate;
+    }
+
+    const totalWeight = vectorWeight + keywordWeight;
+    return Object.values(candidates)
+        .map(candidate => ({
+            ...candidate,
+            score: (vectorWeight * candidate.vectorScore + keywordWeight * candidate.keywordScore) / totalWeight
+        }))
+        .filter(candidate => candidate.score > 0)
+        .sort((a, b) => b.score - a.score);
+}
+
+// Boost approved answers so they outrank ingested rows of similar relevance
+function preferApprovedAnswers(matches) {
+    return matches
+        .map(match => match.metadata.recordType === 'approved'
+            ? { ...match, score: Math.min(1, match.score + APPROVED_ANSWER_BOOST) }
+            : match)
+        .sort((a, b) => b.score - a.score);
+}
+
+// Keep only the best-scoring match for each question/answer pair (matches arrive sorted by score)
+function collapsePairedMatches(matches) {
+    const seen = new Set();
+    return matches.filter(match => {
+        const key = match.metadata.pairId || match.id;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+// What the keyword index sees for a record: the full question/answer pair, so exact terms
+// in either half match
+function toKeywordDocument(id, metadata) {
+    return { id, text: formatMatchText(metadata), metadata };
+}
+
+// The text we hand to the model: the question with its paired answer, or the whole row
+function formatMatchText(metadata) {
+    if (['question', 'answer', 'approved'].includes(metadata.recordType)) {
+        return [
+            `Question: ${metadata.question || ''}`,
+            `Answer: ${metadata.answer || ''}`,
+            metadata.comments ? `Comments: ${metadata.comments}` : null
+        ].filter(Boolean).join('\n');
+    }
+    return metadata.text || '';
+}
+
+// A version filter has to name a version of the RFP that is still kept in the index
+function checkQueryableVersion(filters, tenant) {
+    if (!filters || filters.version === undefined) return;
+    const rfpId = [].concat(filters.rfpId)[0];
+    const version = Number(filters.version);
+    const record = documentRegistry.getRFP(rfpId, tenant);
+    if (!record) {
+        throw new ValidationError(`Invalid filters: unknown RFP ${rfpId}`, ['unknown rfpId']);
+    }
+    const currentVersion = record.currentVersion || 1;
+    if (!rfpVersions.isQueryableVersion(version, currentVersion)) {
+        const reason = version > currentVersion
+            ? `RFP ${rfpId} has no version ${version} (the current version is ${currentVersion})`
+            : `version ${version} of RFP ${rfpId} is no longer kept; only the last ${rfpVersions.VERSION_RETENTION} versions can be queried`;
+        throw new ValidationError(`Invalid filters: ${reason}`, [reason]);
+    }
+}
+
+// Retrieve the context for a question. Returns { contexts } for generation, or
+// { response } when the question can be answered without calling the chat model.
+async function retrieveContext(question, filters = {}, options = {}) {
+    const retrieval = resolveRetrievalOptions(options.retrieval);
+    const filterConditions = buildQueryFilter(filters);
+    checkQueryableVersion(filters, options.tenant);
+
+    // Special case for greetings
+    const isGreeting = question.toLowerCase().match(/^(hi|hello|hey|greetings|howdy)[\s\.,!]*$/);
+    if (isGreeting) {
+        return {
+            response: {
+                answer: "Hello! I'm your RFP Assistant. I can help you find information in your RFP documents. How can I assist you today?",
                 sources: [],
-                mockMode: true
-            };
-        }
+                citations: []
+            }
+        };
+    }
+
+    // Follow-ups like "what about for Rural King?" are searched as standalone questions
+    const standaloneQuestion = await rewriteFollowUpQuestion(question, options.history);
+
+    // Over-fetch so question/answer pairs, the score threshold and reranking still leave topK results
+    const { topK, vectorWeight, keywordWeight, minScore, rerank: reranker } = retrieval;
+    const candidatePool = Math.max(topK * 3, 15);
+    // Superseded content is only searched when the question is about an older version
+    const contentFilter = filters && filters.version !== undefined
+        ? filterConditions
+        : Object.keys(filterConditions).length > 0
+            ? { $and: [filterConditions, rfpVersions.CURRENT_CONTENT_FILTER] }
+            : rfpVersions.CURRENT_CONTENT_FILTER;
+    const searchFilter = withEmbeddingModelFilter(contentFilter);
+
+    // While the vector store or embedding model is down, answer from the keyword index alone
+    await healthMonitor.whenChecked();
+    const unavailable = healthMonitor.unavailable(['vectorStore', 'embedding']);
+    const degraded = unavailable.length > 0
+        ? describeDegradation(unavailable, 'Semantic search is unavailable, so sources were found by keyword search only')
+        : null;
 
-        // Query Pinecone
-        console.log('Querying Pinecone with embedding...');
-        const queryResponse = await withRetry(() => 
-            pineconeApi.query(queryEmbedding, 5, filterConditions)
+    let vectorMatches = [];
+    if (!degraded) {
+        // Query the vector store (only the tenant's own namespace)
+        const queryEmbedding = await withRetry(() => getEmbedding(standaloneQuestion), 'embedding');
+        const queryResponse = await withRetry(() =>
+            getTenantVectorStore(options.tenant).query(queryEmbedding, candidatePool, searchFilter),
+        'vector_query');
+
+        // Never use vectors that were produced by a different embedding model
+        vectorMatches = (queryResponse.matches || []).filter(match =>
+            getVectorEmbeddingModel(match.metadata) === embeddingProvider.id
         );
-        
-        console.log('Query response received:', !!queryResponse);
+        if (queryResponse.matches && vectorMatches.length < queryResponse.matches.length) {
+            logger.warn('Ignored matches embedded with a different model', { ignored: queryResponse.matches.length - vectorMatches.length, embeddingModel: embeddingProvider.id });
+        }
+    } else {
+        logger.warn('Answering from keyword search only', { unavailable });
+    }
 
-        // Handle potential empty responses
-        if (!queryResponse.matches || queryResponse.matches.length === 0) {
-            console.log('No matches found in Pinecone');
-            return {
-                answer: "I couldn't find any relevant information for your question in the RFP documents. Could you try rephrasing your question or ask about a different aspect of the RFP?",
-                sources: []
-            };
+    // Keyword search over the same records, then fuse the two result lists
+    const weights = degraded ? { vectorWeight: 0, keywordWeight: 1 } : { vectorWeight, keywordWeight };
+    const keywordMatches = weights.keywordWeight > 0
+        ? keywordIndex.search(standaloneQuestion, candidatePool, searchFilter, options.tenant)
+        : [];
+    const fused = preferApprovedAnswers(fuseMatches(vectorMatches, keywordMatches, weights));
+    const matches = collapsePairedMatches(fused).filter(match => match.score >= minScore);
+
+    // Handle potential empty responses
+    if (matches.length === 0) {
+        logger.info('No matches found in vector store or keyword index');
+        return { response: { ...NO_MATCHES_RESPONSE, ...(degraded ? { degraded } : {}) } };
+    }
+
+    const shortlist = degraded ? matches.slice(0, topK * 2) : await withOriginalData(matches.slice(0, topK * 2), options.tenant);
+
+    // Process the matches - FIX: Add error handling for JSON parsing
+    const candidates = shortlist.map(match => {
+        // Safe JSON parsing with error handling
+        let parsedOriginalData = {};
+        try {
+            // Only attempt to parse if originalData exists and is a string
+            if (match.metadata.originalData && typeof match.metadata.originalData === 'string') {
+                parsedOriginalData = JSON.parse(match.metadata.originalData);
+            }
+        } catch (error) {
+            logger.warn('Error parsing originalData for match', { error });
+            // Continue with empty object if parsing fails
         }
+        
+        return {
+            text: formatMatchText(match.metadata),
+            matchedOn: match.metadata.recordType || 'row',
+            question: match.metadata.question,
+            answer: match.metadata.answer,
+            originalData: parsedOriginalData,
+            rfpId: match.metadata.rfpId || 'unknown',
+            title: match.metadata.title || 'unknown',
+            category: match.metadata.category || 'unknown',
+            sheetName: match.metadata.sheetName || 'unknown',
+            rowNumber: match.metadata.rowNumber,
+            cellRange: match.metadata.cellRange,
+            section: match.metadata.section,
+            page: match.metadata.page,
+            pageEnd: match.metadata.pageEnd,
+            // Where the content came from: an ingested RFP row, or an answer approved by the proposal team
+            provenance: match.metadata.recordType === 'approved' ? 'approved' : 'ingested',
+            ...(match.metadata.recordType === 'approved' ? {
+                approvedAnswerId: match.metadata.approvedAnswerId,
+                approvedBy: match.metadata.approvedBy,
+                approvedAt: match.metadata.approvedAt
+            } : {}),
+            score: match.score,
+            similarity: match.vectorScore,
+            keywordScore: match.keywordScore
+        };
+    });
 
-        // Process the matches - FIX: Add error handling for JSON parsing
-        const contexts = queryResponse.matches.map(match => {
-            // Safe JSON parsing with error handling
-            let parsedOriginalData = {};
-            try {
-                // Only attempt to parse if originalData exists and is a string
-                if (match.metadata.originalData && typeof match.metadata.originalData === 'string') {
-                    parsedOriginalData = JSON.parse(match.metadata.originalData);
-                }
-            } catch (error) {
-                console.warn(`Error parsing originalData for match: ${error.message}`);
-                // Continue with empty object if parsing fails
+    // Optional reranking stage before the context goes into the prompt
+    const ranked = await rerankCandidates(reranker, standaloneQuestion, candidates, chatProvider);
+    const contexts = ranked.slice(0, topK);
+
+    return { contexts, standaloneQuestion, degraded };
+}
+
+// The keyword index doesn't keep rows' original cells: fetch the full metadata of keyword-only matches
+async function withOriginalData(matches, tenant) {
+    const missingIds = matches.filter(match => match.metadata.originalData === undefined).map(match => match.id);
+    if (missingIds.length === 0) return matches;
+    try {
+        const { vectors = {} } = await withRetry(() => getTenantVectorStore(tenant).fetch(missingIds), 'vector_fetch');
+        return matches.map(match => (vectors[match.id] ? { ...match, metadata: vectors[match.id].metadata } : match));
+    } catch (error) {
+        logger.warn('Could not fetch the original data of keyword matches', { error });
+        return matches;
+    }
+}
+
+// Reported with responses given while dependencies are down, so callers know the answer is partial
+function describeDegradation(unavailable, message) {
+    return { unavailable, message };
+}
+
+// Merge what was unavailable during retrieval and generation into one report
+function mergeDegradation(...reports) {
+    const present = reports.filter(Boolean);
+    if (present.length === 0) return null;
+    return describeDegradation(_.uniq(_.flatMap(present, 'unavailable')), present.map(report => report.message).join('. '));
+}
+
+const CHAT_UNAVAILABLE_ANSWER = 'The answer generator is unavailable right now, so no answer was written. The most relevant passages from the knowledge base are listed as sources.';
+
+// When the chat model is down, the sources are returned without a generated answer
+async function chatOutage() {
+    await healthMonitor.whenChecked();
+    return healthMonitor.unavailable(['chat']).length > 0
+        ? describeDegradation(['chat'], 'The chat model is unavailable, so no answer was generated')
+        : null;
+}
+
+// Rewrite a follow-up question into one that can be searched without the conversation
+async function rewriteFollowUpQuestion(question, history = []) {
+    if (!history || history.length === 0) {
+        return question;
+    }
+
+    const transcript = history.slice(-MAX_HISTORY_MESSAGES)
+        .map(message => `${message.role === 'assistant' ? 'Assistant' : 'User'}: ${message.content}`)
+        .join('\n');
+
+    try {
+        const completion = await withRetry(() => chatProvider.complete([
+            {
+                role: "system",
+                content: REWRITE_PROMPT
+            },
+            {
+                role: "user",
+                content: `Conversation so far:\n${transcript}\n\nFollow-up question: ${question}`
             }
-            
-            return {
-                text: match.metadata.text || '',
-                originalData: parsedOriginalData,
-                category: match.metadata.category || 'unknown',
-                sheetName: match.metadata.sheetName || 'unknown',
-                similarity: match.score
-            };
-        });
+        ], { temperature: 0, stage: 'rewrite' }), 'chat');
 
-        // Generate response using OpenAI
-        const completion = await withRetry(() =>
-            openai.chat.completions.create({
-                model: "gpt-4",
-                messages: [
-                    {
-                        role: "system",
-                        content: `ou are an RFP assistant specialized in analyzing historical RFP data from Softeon.
-
-IMPORTANT CONTEXT:
-- Your knowledge base contains RFP responses created by Softeon about their Warehouse Management System (WMS)
-- Document names (like "RuralKing_2025_AI" or "CDW_2025_AI") represent different customer-specific RFP responses - they are NOT different vendors
-- All information comes from Softeon about their own products/solutions
-- The customers (like RuralKing, CDW) are the recipients of these RFP responses, not the solution providers
-
-For all responses:
-- Provide clear, thorough explanations using accessible language
-- Balance conciseness with necessary context and explanations
-- Use direct language from the knowledge base as appropriate
-- Structure responses for easy comprehension with headers, bullet points, or numbered lists
-
-For general queries and greetings:
-- Keep introductions minimal - identify as "RFP Assistant" only when first engaging
-- Respond professionally but briefly
-- Redirect to RFP topics if query is unrelated
-
-For RFP-specific queries:
-- Provide comprehensive answers using information from the provided context
-- Use terminology and phrasing that aligns with source documents while ensuring clarity
-- If information is unavailable in the knowledge base, clearly state "I don't have that specific information in my knowledge base"
-- Present critical information in an organized, easy-to-scan format
-- Ask for clarification when a question could have multiple interpretations
-
-DOCUMENT HANDLING INSTRUCTIONS:
-1. NEVER mention document filenames in the body of your response
-2. All information should be presented as being about Softeon's WMS product/solutions
-3. Do NOT refer to "Vendor A" or "Vendor B" as all information is from the same vendor (Softeon)
-4. Only include document names in the Source attribution at the very end
-
-REQUIRED RESPONSE FORMAT:
-1. Begin with a direct answer to the main question in 1-2 sentences
-2. Provide a "Details" section with supporting information using bullet points or short paragraphs
-3. For complex answers, use appropriate headers to organize information
-4. When applicable, include a brief "Example" section
-5. End all responses with:
-   
-   ---
-   [Source: List actual document names here]
-
-EXAMPLE CORRECT RESPONSE:
-Question: "Does the WMS support carrier appointment scheduling?"
-Response:
-Yes, Softeon's Warehouse Management System supports carrier appointment scheduling for outbound shipments.
-
-**Details:**
-- The Softeon WMS includes capabilities to create an external user portal for appointment scheduling
-- Many customers utilize this feature for functions such as appointment creation and order entry
-- This functionality meets requirements for carrier appointment scheduling across multiple customer implementations
-
-**Example:**
-Carriers can use the external user portal to schedule their pick-up appointment for outbound shipments.
-
----
-[Source: RuralKing_2025_AI, CDW_2025_AI]`
-                    },
-                    {
-                        role: "user",
-                        content: `Context from RFP data:\n${contexts.map(c => 
-                            `[Sheet: ${c.sheetName}, Category: ${c.category}]\n${c.text}`
-                        ).join('\n\n')}\n\nQuestion: ${question}`
-                    }
-                ]
-            })
-        );
+        const rewritten = completion.content.trim();
+        if (rewritten && rewritten !== question) {
+            logger.info('Rewrote follow-up question', { question, rewritten });
+        }
+        return rewritten || question;
+    } catch (error) {
+        // Searching with the raw follow-up is better than failing the whole query
+        logger.warn('Unable to rewrite follow-up question, using it as asked', { error });
+        return question;
+    }
+}
 
+// Build the chat messages for a question and its retrieved context, after any earlier turns.
+// The system prompt is rendered from the selected prompt template.
+function buildChatMessages(question, contexts, history = [], template = resolveTemplate()) {
+    return [
+        {
+            role: "system",
+            content: renderSystemPrompt(template)
+        },
+        ...history.slice(-MAX_HISTORY_MESSAGES).map(({ role, content }) => ({ role, content })),
+        {
+            role: "user",
+            content: `Context from RFP data:\n${contexts.map((c, i) =>
+                `[${i + 1}] ${describeLocation(c)}\n${c.text}`
+            ).join('\n\n')}\n\nQuestion: ${question}`
+        }
+    ];
+}
+
+// Semantic answer cache. Returns { cached } with the earlier answer to a near-identical question,
+// or { remember(response) } to cache the answer once it has been generated. Follow-ups depend on
+// the conversation, so they are never cached.
+async function checkAnswerCache(question, filters, { tenant, retrieval, history = [], cache: useCache }, template) {
+    if (!cache.isAnswerCacheEnabled() || useCache === false || history.length > 0 ||
+        healthMonitor.unavailable(['embedding']).length > 0) {
+        return { remember: () => {} };
+    }
+
+    const embedding = await withRetry(() => getEmbedding(question), 'embedding');
+    const scopeKey = cache.answerScopeKey({
+        filters: buildQueryFilter(filters),
+        retrieval: resolveRetrievalOptions(retrieval),
+        promptTemplate: [template.name, template.version],
+        embeddingModel: embeddingProvider.id,
+        chatModel: chatProvider.id
+    });
+
+    const hit = cache.findCachedAnswer(tenant, { embedding, scopeKey });
+    if (hit) {
+        logger.info('Answer cache hit', { similarity: Number(hit.similarity.toFixed(3)), cachedQuestion: hit.question });
         return {
-            answer: completion.choices[0].message.content,
-            sources: contexts
+            cached: {
+                ...hit.response,
+                responseId: crypto.randomUUID(),
+                cached: { question: hit.question, similarity: hit.similarity, cachedAt: hit.cachedAt }
+            }
         };
+    }
+    return {
+        remember: (response) => cache.storeAnswer(tenant, {
+            question,
+            embedding,
+            scopeKey,
+            response: _.pick(response, ['answer', 'sources', 'citations', 'promptTemplate', 'standaloneQuestion'])
+        })
+    };
+}
+
+async function queryRFPData(question, filters = {}, options = {}) {
+    try {
+        const history = options.history || [];
+        // Unknown templates are rejected before any retrieval work
+        const template = resolveTemplate(options.promptTemplate, options.tenant);
+        const answerCache = await checkAnswerCache(question, filters, { ...options, history }, template);
+        if (answerCache.cached) {
+            return answerCache.cached;
+        }
+
+        const retrieval = await retrieveContext(question, filters, {
+            history,
+            retrieval: options.retrieval,
+            tenant: options.tenant
+        });
+        if (retrieval.response) {
+            return retrieval.response;
+        }
+        const { contexts, standaloneQuestion } = retrieval;
+        const chatDown = await chatOutage();
+        const degraded = mergeDegradation(retrieval.degraded, chatDown);
+
+        // Generate response using the chat model
+        let answer = CHAT_UNAVAILABLE_ANSWER;
+        let citations = [];
+        if (!chatDown) {
+            const completion = await withRetry(() =>
+                chatProvider.complete(buildChatMessages(question, contexts, history, template)),
+            'chat');
+            ({ answer, citations } = resolveCitations(completion.content, contexts));
+        }
+        const response = {
+            // Lets feedback and approved answers refer back to this response
+            responseId: crypto.randomUUID(),
+            answer,
+            sources: contexts,
+            citations,
+            promptTemplate: { name: template.name, version: template.version },
+            ...(standaloneQuestion !== question ? { standaloneQuestion } : {}),
+            ...(degraded ? { degraded } : {})
+        };
+        // Partial answers aren't worth reusing
+        if (!degraded) {
+            answerCache.remember(response);
+        }
+        return response;
     } catch (error) {
-        console.error('Error querying RFP data:', error);
+        // Invalid requests are the caller's problem, not a connectivity issue
+        if (error.status) throw error;
+
+        logger.error('Error querying RFP data', { error });
         
         // Provide a graceful fallback response
         return {
             answer: "I'm here to help with your RFP questions, but I'm having trouble connecting to my database right now. Could you please try again in a moment?",
             error: error.message,
-            sources: []
+            sources: [],
+            citations: []
         };
     }
 }
 
+// Answer a question while streaming: sources are reported first, then each token as the
+// model produces it. Resolves with the full answer, usage and finish status. Aborting
+// `signal` stops the upstream generation.
+async function streamRFPData(question, filters = {}, { history = [], retrieval: retrievalOptions, tenant, promptTemplate, cache: useCache, onSources, onToken, signal } = {}) {
+    const template = resolveTemplate(promptTemplate, tenant);
+
+    // A cached answer is sent like a canned response, as a single token
+    const answerCache = await checkAnswerCache(question, filters, {
+        tenant,
+        retrieval: retrievalOptions,
+        history,
+        cache: useCache
+    }, template);
+    if (answerCache.cached) {
+        if (onSources) onSources(answerCache.cached.sources);
+        if (onToken) onToken(answerCache.cached.answer);
+        return { ...answerCache.cached, usage: null, finishReason: 'stop', status: 'completed' };
+    }
+
+    const retrieval = await retrieveContext(question, filters, { history, retrieval: retrievalOptions, tenant });
+
+    // Canned responses (greetings, no matches) are sent as a single token
+    if (retrieval.response) {
+        if (onSources) onSources(retrieval.response.sources);
+        if (onToken) onToken(retrieval.response.answer);
+        return { ...retrieval.response, usage: null, finishReason: 'stop', status: 'completed' };
+    }
+
+    const { contexts, standaloneQuestion } = retrieval;
+    if (onSources) onSources(contexts);
+
+    const chatDown = await chatOutage();
+    const degraded = mergeDegradation(retrieval.degraded, chatDown);
+    const responseFields = {
+        promptTemplate: { name: template.name, version: template.version },
+        ...(standaloneQuestion !== question ? { standaloneQuestion } : {}),
+        ...(degraded ? { degraded } : {})
+    };
+    if (chatDown) {
+        if (onToken) onToken(CHAT_UNAVAILABLE_ANSWER);
+        return {
+            responseId: crypto.randomUUID(),
+            answer: CHAT_UNAVAILABLE_ANSWER,
+            sources: contexts,
+            citations: [],
+            ...responseFields,
+            usage: null,
+            finishReason: 'stop',
+            status: 'completed'
+        };
+    }
+
+    let answer = '';
+    try {
+        // No retry here: tokens may already have reached the client
+        const completion = await chatProvider.stream(buildChatMessages(question, contexts, history, template), {
+            signal,
+            onToken: (token) => {
+                answer += token;
+                if (onToken) onToken(token);
+            }
+        });
+        // Tokens were already sent as generated; the final answer has invalid citations removed
+        const { answer: citedAnswer, citations } = resolveCitations(completion.content, contexts);
+        const response = {
+            responseId: crypto.randomUUID(),
+            answer: citedAnswer,
+            sources: contexts,
+            citations,
+            ...responseFields
+        };
+        // Answers cut short by the token limit, or given while degraded, aren't worth reusing
+        if (completion.finishReason !== 'length' && !degraded) {
+            answerCache.remember(response);
+        }
+        return {
+            ...response,
+            usage: completion.usage,
+            finishReason: completion.finishReason,
+            status: 'completed'
+        };
+    } catch (error) {
+        if (signal && signal.aborted) {
+            logger.info('Streaming generation cancelled by client');
+            return { answer, sources: contexts, citations: [], usage: null, finishReason: null, status: 'cancelled' };
+        }
+        throw error;
+    }
+}
+
+// Remove records from the vector store and the keyword index
+async function deleteVectors(vectorIds, tenant) {
+    const tenantStore = getTenantVectorStore(tenant);
+    // Pinecone accepts at most 1000 IDs per delete call
+    for (const ids of _.chunk(vectorIds, 1000)) {
+        await withRetry(() => tenantStore.delete(ids), 'vector_delete');
+    }
+    keywordIndex.removeDocuments(vectorIds, tenant);
+    if (vectorIds.length > 0) {
+        cache.invalidateAnswers(tenant, `${vectorIds.length} records removed`);
+    }
+}
+
+// Mark vectors as superseded by `version`, so only queries against older versions find them
+async function supersedeVectors(vectorIds, version, tenant) {
+    const tenantStore = getTenantVectorStore(tenant);
+    for (const ids of _.chunk(vectorIds, 100)) {
+        const { vectors = {} } = await withRetry(() => tenantStore.fetch(ids), 'vector_fetch');
+        const updates = Object.entries(vectors).map(([id, vector]) => ({
+            id,
+            values: vector.values,
+            metadata: { ...vector.metadata, current: false, supersededIn: version }
+        }));
+        if (updates.length > 0) {
+            await withRetry(() => tenantStore.upsert(updates), 'vector_upsert');
+            keywordIndex.addDocuments(updates.map(update => toKeywordDocument(update.id, update.metadata)), tenant);
+        }
+    }
+}
+
+// Delete an RFP's vectors, stored file and registry entry
+async function deleteRFP(rfpId, { tenant } = {}) {
+    const record = documentRegistry.getRFP(rfpId, tenant);
+    if (!record) return null;
+
+    await deleteVectors(record.vectorIds, tenant);
+    documentRegistry.removeRFP(rfpId, tenant);
+    logger.info('Deleted RFP', { rfpId, vectors: record.vectorIds.length });
+
+    return {
+        rfpId,
+        deletedVectors: record.vectorIds.length
+    };
+}
+
+// Re-ingest an RFP from its stored original file as a new version
+async function reingestRFP(rfpId, overrides = {}, { tenant, onProgress, isCancelled } = {}) {
+    const record = documentRegistry.getRFP(rfpId, tenant);
+    if (!record) return null;
+
+    const buffer = documentRegistry.readOriginalFile(record);
+    const ingestOptions = { ...record.ingestOptions, ..._.omitBy(overrides, _.isUndefined) };
+
+    const result = await processExcelRFP(buffer, {
+        ...record.customMetadata,
+        ..._.pick(record, BASE_METADATA_FIELDS)
+    }, {
+        ...ingestOptions,
+        fileName: record.originalFile.fileName,
+        tenant,
+        onProgress,
+        isCancelled
+    });
+    if (!result.cancelled) {
+        logger.info('Re-ingested RFP', { rfpId, version: result.version });
+    }
+    return result;
+}
+
+// Save an approved answer and index it next to the ingested rows, replacing any earlier
+// approved answer to the same question
+async function approveAnswer(fields, { tenant } = {}) {
+    const record = answerLibrary.buildApprovedAnswer(fields, tenant);
+    const vectorId = `approved-${record.id}`;
+
+    const metadata = {
+        recordType: 'approved',
+        title: 'Approved answer',
+        text: record.question,
+        question: record.question,
+        answer: record.answer,
+        ...(record.comments ? { comments: record.comments } : {}),
+        category: record.category,
+        approvedAnswerId: record.id,
+        approvedBy: record.author,
+        approvedAt: record.approvedAt,
+        embeddingModel: embeddingProvider.id
+    };
+    const embedding = await withRetry(() => getEmbedding(record.question), 'embedding');
+    await withRetry(() => getTenantVectorStore(tenant).upsert([{ id: vectorId, values: embedding, metadata }]), 'vector_upsert');
+    keywordIndex.addDocuments([toKeywordDocument(vectorId, metadata)], tenant);
+    answerLibrary.saveApprovedAnswer(record, tenant);
+    cache.invalidateAnswers(tenant, 'approved answer saved');
+    logger.info('Indexed approved answer', { answerId: record.id, author: record.author });
+
+    return record;
+}
+
+async function deleteApprovedAnswer(id, { tenant } = {}) {
+    const record = answerLibrary.removeApprovedAnswer(id, tenant);
+    if (!record) return null;
+    await deleteVectors([`approved-${id}`], tenant);
+    return record;
+}
+
+// Vector metadata as it appears in an export, with the original row data as an object
+function toExportedItem(id, vector, includeEmbeddings) {
+    let originalData = vector.metadata.originalData;
+    try {
+        originalData = typeof originalData === 'string' ? JSON.parse(originalData) : originalData;
+    } catch (error) {
+        // Keep the raw string if it isn't JSON
+    }
+    return {
+        type: 'item',
+        id,
+        rfpId: vector.metadata.rfpId || null,
+        metadata: { ...vector.metadata, ...(originalData !== undefined ? { originalData } : {}) },
+        ...(includeEmbeddings ? { values: vector.values } : {})
+    };
+}
+
+// Everything stored for a tenant, as knowledge base export entries: a header, each RFP's
+// registry record followed by its stored items, the approved answers with their items, and
+// an end entry with counts (an export without one was cut short). Only the given RFP when
+// `rfpId` is set; approved answers are only part of full exports.
+async function* exportKnowledgeBase({ tenant, rfpId, includeEmbeddings = true } = {}) {
+    const tenantStore = getTenantVectorStore(tenant);
+    const counts = { rfps: 0, items: 0, approvedAnswers: 0, missingItems: 0 };
+
+    // Fetch in chunks to keep Pinecone's fetch URLs short
+    async function* storedItems(vectorIds) {
+        for (const ids of _.chunk(vectorIds, 100)) {
+            const { vectors = {} } = await withRetry(() => tenantStore.fetch(ids), 'vector_fetch');
+            for (const id of ids) {
+                if (!vectors[id]) {
+                    counts.missingItems++;
+                    continue;
+                }
+                counts.items++;
+                yield toExportedItem(id, vectors[id], includeEmbeddings);
+            }
+        }
+    }
+
+    yield {
+        type: 'header',
+        format: 'rfp-knowledge-base',
+        formatVersion: 1,
+        exportedAt: new Date().toISOString(),
+        tenant: tenant || null,
+        rfpId: rfpId || null,
+        vectorStore: vectorStore.name,
+        embeddingModel: embeddingProvider.id,
+        includesEmbeddings: includeEmbeddings
+    };
+
+    const records = rfpId
+        ? [documentRegistry.getRFP(rfpId, tenant)].filter(Boolean)
+        : documentRegistry.listRFPs(tenant).map(summary => documentRegistry.getRFP(summary.rfpId, tenant));
+    for (const record of records) {
+        counts.rfps++;
+        yield { type: 'rfp', record };
+        yield* storedItems(record.vectorIds);
+    }
+
+    if (!rfpId) {
+        const approvedAnswers = answerLibrary.listApprovedAnswers(tenant);
+        for (const record of approvedAnswers) {
+            counts.approvedAnswers++;
+            yield { type: 'approvedAnswer', record };
+        }
+        yield* storedItems(approvedAnswers.map(record => `approved-${record.id}`));
+    }
+
+    if (counts.missingItems > 0) {
+        logger.warn('Export: vectors listed in the registry were not found in the vector store', { missingItems: counts.missingItems });
+    }
+    yield { type: 'end', counts };
+}
+
+// Restore a knowledge base export ({ rfps, items, approvedAnswers }) into the tenant's vector
+// store. Items keep their IDs, so importing the same export again gives the same result.
+// Stored embeddings are reused when they come from the current embedding model; otherwise
+// the item is embedded again. Imported RFPs replace existing RFPs with the same rfpId.
+async function importKnowledgeBase({ rfps = [], items = [], approvedAnswers = [] }, { tenant, onProgress, isCancelled } = {}) {
+    const tenantStore = getTenantVectorStore(tenant);
+    const stats = { totalItems: items.length, reused: 0, reembedded: 0, errors: 0 };
+    let cancelled = false;
+
+    const reportProgress = (phase) => {
+        if (onProgress) onProgress({ phase, ...stats, processed: stats.reused + stats.reembedded });
+    };
+    reportProgress('importing');
+
+    // Keyword-indexed in one pass after the last batch
+    const keywordDocuments = [];
+    for (const batch of _.chunk(items, 50)) {
+        if (isCancelled && isCancelled()) {
+            cancelled = true;
+            break;
+        }
+
+        const operations = [];
+        for (const item of batch) {
+            try {
+                const reuse = Array.isArray(item.values) && item.values.length > 0 &&
+                    getVectorEmbeddingModel(item.metadata) === embeddingProvider.id;
+                const values = reuse ? item.values : await withRetry(() => getEmbedding(item.metadata.text), 'embedding');
+                const { originalData } = item.metadata;
+                operations.push({
+                    id: item.id,
+                    values,
+                    metadata: {
+                        ...item.metadata,
+                        ...(originalData !== undefined && typeof originalData !== 'string'
+                            ? { originalData: JSON.stringify(originalData) }
+                            : {}),
+                        embeddingModel: embeddingProvider.id
+                    }
+                });
+                stats[reuse ? 'reused' : 'reembedded']++;
+            } catch (error) {
+                stats.errors++;
+                logger.error('Error importing item', { itemId: item.id, error });
+            }
+        }
+
+        if (operations.length > 0) {
+            await withRetry(() => tenantStore.upsert(operations), 'vector_upsert');
+            keywordDocuments.push(...operations.map(operation => toKeywordDocument(operation.id, operation.metadata)));
+        }
+        reportProgress('importing');
+    }
+    keywordIndex.addDocuments(keywordDocuments, tenant);
+
+    // Registry records are restored even after a cancel, so the vectors imported so far stay tracked
+    let removedVectors = 0;
+    for (const record of rfps) {
+        const existing = documentRegistry.getRFP(record.rfpId, tenant);
+        if (existing && !cancelled) {
+            const importedIds = new Set(record.vectorIds);
+            const staleIds = existing.vectorIds.filter(id => !importedIds.has(id));
+            await deleteVectors(staleIds, tenant);
+            removedVectors += staleIds.length;
+        }
+        documentRegistry.restoreRFP(existing && cancelled
+            ? { ...record, vectorIds: _.union(existing.vectorIds, record.vectorIds) }
+            : record, tenant);
+    }
+    for (const record of approvedAnswers) {
+        answerLibrary.restoreApprovedAnswer(record, tenant);
+    }
+
+    cache.flushEmbeddingCache();
+    cache.invalidateAnswers(tenant, 'knowledge base imported');
+    reportProgress(cancelled ? 'cancelled' : 'completed');
+    logger.info('Imported knowledge base', { rfps: rfps.length, items: stats.reused + stats.reembedded, reembedded: stats.reembedded, approvedAnswers: approvedAnswers.length });
+
+    return {
+        success: true,
+        ...(cancelled ? { cancelled: true } : {}),
+        rfps: rfps.map(record => record.rfpId),
+        approvedAnswers: approvedAnswers.length,
+        removedVectors,
+        stats
+    };
+}
+
 module.exports = {
     processExcelRFP,
-    queryRFPData
+    queryRFPData,
+    streamRFPData,
+    resolveRetrievalOptions,
+    deleteRFP,
+    reingestRFP,
+    approveAnswer,
+    deleteApprovedAnswer,
+    exportKnowledgeBase,
+    importKnowledgeBase
 };
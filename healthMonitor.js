@@ -0,0 +1,132 @@
+// server/healthMonitor.js
+// Background health checks for the backend's dependencies: the vector store, the embedding model
+// and the chat model. Each dependency has a circuit breaker (circuitBreaker.js) that calls made
+// through withRetry also feed; a failed check opens it, a passing check closes it again, so the
+// server recovers on its own once a dependency is back.
+//
+//   HEALTH_CHECK_INTERVAL_SECONDS  between checks while everything is up (default 30)
+//   HEALTH_RECHECK_SECONDS         between checks while a dependency is down (default 5)
+//   HEALTH_CHECK_TIMEOUT_SECONDS   before a check counts as failed (default 10)
+const _ = require('lodash');
+const { createCircuitBreaker } = require('./circuitBreaker');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const DEPENDENCIES = {
+    vectorStore: 'The vector store',
+    embedding: 'The embedding model',
+    chat: 'The chat model'
+};
+
+const seconds = (value, fallback) => (parseInt(value, 10) || fallback) * 1000;
+const CHECK_INTERVAL_MS = seconds(process.env.HEALTH_CHECK_INTERVAL_SECONDS, 30);
+const RECHECK_INTERVAL_MS = seconds(process.env.HEALTH_RECHECK_SECONDS, 5);
+const CHECK_TIMEOUT_MS = seconds(process.env.HEALTH_CHECK_TIMEOUT_SECONDS, 10);
+
+const breakers = _.mapValues(DEPENDENCIES, (description, dependency) => createCircuitBreaker(dependency, description));
+
+const checks = _.mapValues(DEPENDENCIES, () => ({
+    status: 'unknown',
+    lastCheckedAt: null,
+    lastSuccessAt: null,
+    latencyMs: null,
+    error: null
+}));
+
+let probes = null;
+let firstCheck = null;
+let firstCheckDone = false;
+
+const withTimeout = (promise, ms) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Health check timed out after ${ms / 1000} seconds`)), ms);
+        timer.unref();
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+async function checkDependency(dependency) {
+    const check = checks[dependency];
+    const startedAt = Date.now();
+    try {
+        await withTimeout(Promise.resolve().then(probes[dependency]), CHECK_TIMEOUT_MS);
+        if (check.status === 'down') {
+            logger.info('Dependency recovered', { dependency });
+        }
+        Object.assign(check, { status: 'up', lastSuccessAt: new Date().toISOString(), error: null });
+        breakers[dependency].recordSuccess();
+    } catch (error) {
+        if (check.status !== 'down') {
+            logger.warn('Dependency is down', { dependency, error });
+        }
+        Object.assign(check, { status: 'down', error: error.message });
+        breakers[dependency].trip(error);
+    }
+    Object.assign(check, { lastCheckedAt: new Date().toISOString(), latencyMs: Date.now() - startedAt });
+    metrics.setDependencyState(dependency, { up: check.status === 'up' });
+}
+
+const runChecks = () => Promise.all(Object.keys(probes).map(checkDependency));
+
+function scheduleNextCheck() {
+    const anyDown = Object.values(checks).some(check => check.status === 'down');
+    const timer = setTimeout(() => runChecks().then(scheduleNextCheck), anyDown ? RECHECK_INTERVAL_MS : CHECK_INTERVAL_MS);
+    // Never keeps a CLI run alive
+    timer.unref();
+}
+
+// Start checking. `dependencyProbes` maps each dependency to an async function that throws when
+// it is unhealthy. Returns a promise for the first round of checks.
+function start(dependencyProbes) {
+    if (!probes) {
+        probes = dependencyProbes;
+        firstCheck = runChecks().then(() => {
+            firstCheckDone = true;
+            scheduleNextCheck();
+        });
+    }
+    return firstCheck;
+}
+
+// Resolves once the first round of checks is done, so early requests don't race it
+const whenChecked = () => firstCheck || Promise.resolve();
+
+// The dependencies among `dependencies` that calls currently fail fast for
+const unavailable = (dependencies = Object.keys(DEPENDENCIES)) =>
+    dependencies.filter(dependency => breakers[dependency].isOpen());
+
+// Throw a ServiceUnavailableError (503) if any of `dependencies` is unavailable
+function assertAvailable(dependencies) {
+    dependencies.forEach(dependency => breakers[dependency].assertClosed());
+}
+
+// The circuit breaker withRetry uses for an operation: embedding, chat or vector_*
+function breakerFor(operation) {
+    if (operation.startsWith('vector_')) return breakers.vectorStore;
+    return breakers[operation] || null;
+}
+
+// Readiness: 'starting' until the first checks finish, then 'ready' or 'degraded'
+function getReport() {
+    const dependencies = _.mapValues(checks, (check, dependency) => ({
+        ...check,
+        circuit: breakers[dependency].describe()
+    }));
+    const degraded = Object.values(dependencies).some(dependency =>
+        dependency.status === 'down' || dependency.circuit.state === 'open');
+    return {
+        status: !firstCheckDone ? 'starting' : degraded ? 'degraded' : 'ready',
+        dependencies
+    };
+}
+
+module.exports = {
+    DEPENDENCIES,
+    start,
+    whenChecked,
+    unavailable,
+    assertAvailable,
+    breakerFor,
+    getReport
+};
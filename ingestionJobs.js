@@ -0,0 +1,163 @@
+// server/ingestionJobs.js
+// Background ingestion jobs. Uploads are queued and processed one at a time;
+// each job records its status and progress so clients can poll it or follow it
+// over server-sent events. Job records are persisted, so finished jobs can
+// still be inspected after a restart.
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { DEFAULT_TENANT, dataPath, readJson, writeJson } = require('./jsonFileStore');
+const logger = require('./logger');
+
+const JOBS_PATH = () => process.env.INGESTION_JOBS_PATH || dataPath('jobs.json');
+
+// Only the most recent jobs are kept in the job history
+const MAX_JOB_HISTORY = 200;
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled', 'interrupted'];
+
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+let jobs = null;
+let queue = Promise.resolve();
+
+// Load the job history; anything that was running when the server stopped is marked interrupted
+function loadJobs() {
+    if (!jobs) {
+        jobs = readJson(JOBS_PATH(), { jobs: {} }).jobs;
+        for (const job of Object.values(jobs)) {
+            if (!FINISHED_STATUSES.includes(job.status)) {
+                job.status = 'interrupted';
+                job.finishedAt = job.finishedAt || new Date().toISOString();
+            }
+        }
+    }
+    return jobs;
+}
+
+function persistJobs() {
+    const recent = Object.values(loadJobs())
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, MAX_JOB_HISTORY);
+    jobs = Object.fromEntries(recent.map(job => [job.id, job]));
+    writeJson(JOBS_PATH(), { jobs });
+}
+
+// Jobs recorded before tenants existed belong to the default tenant
+const belongsTo = (job, tenant) => (job.tenant || DEFAULT_TENANT) === (tenant || DEFAULT_TENANT);
+
+// Public view of a job (without internal fields)
+const toJobView = (job) => {
+    const { cancelRequested, ...view } = job;
+    return view;
+};
+
+function updateJob(job, changes, event = 'progress') {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    persistJobs();
+    events.emit(job.id, event, toJobView(job));
+}
+
+// Queue a job. `details` should include the tenant the job runs for.
+// `run(context)` receives { reportProgress, isCancelled } and returns the job result.
+// The job keeps the ID of the request that queued it, and logs from the job carry both IDs.
+// Model usage during the job is attributed to the caller and operation of that request.
+function createJob(type, details, run) {
+    loadJobs();
+    const now = new Date().toISOString();
+    const { requestId, user, operation } = logger.getContext();
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        status: 'queued',
+        ...details,
+        ...(requestId ? { requestId } : {}),
+        progress: null,
+        result: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        finishedAt: null,
+        cancelRequested: false
+    };
+    jobs[job.id] = job;
+    persistJobs();
+
+    queue = queue.then(() => logger.runWithContext({ requestId, jobId: job.id, user, operation }, async () => {
+        // Jobs cancelled while queued were already finished by cancelJob
+        if (job.cancelRequested) return;
+
+        logger.info('Job started', { type });
+        updateJob(job, { status: 'running', startedAt: new Date().toISOString() });
+        try {
+            const result = await run({
+                reportProgress: (progress) => updateJob(job, { progress }),
+                isCancelled: () => job.cancelRequested
+            });
+            updateJob(job, {
+                status: result && result.cancelled ? 'cancelled' : 'completed',
+                result,
+                finishedAt: new Date().toISOString()
+            }, 'done');
+            logger.info('Job finished', { type, status: job.status });
+        } catch (error) {
+            logger.error('Job failed', { type, error });
+            updateJob(job, {
+                status: 'failed',
+                error: error.message,
+                finishedAt: new Date().toISOString()
+            }, 'done');
+        }
+    }));
+
+    return toJobView(job);
+}
+
+function listJobs({ status, type, tenant } = {}) {
+    return Object.values(loadJobs())
+        .filter(job => belongsTo(job, tenant))
+        .filter(job => (!status || job.status === status) && (!type || job.type === type))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(toJobView);
+}
+
+// Jobs of other tenants are reported as not found
+function getJob(jobId, tenant) {
+    const job = loadJobs()[jobId];
+    return job && belongsTo(job, tenant) ? toJobView(job) : null;
+}
+
+// Ask a job to stop. Queued jobs never start; running jobs stop after the current batch.
+function cancelJob(jobId, tenant) {
+    const job = loadJobs()[jobId];
+    if (!job || !belongsTo(job, tenant)) return null;
+    if (FINISHED_STATUSES.includes(job.status)) {
+        return toJobView(job);
+    }
+    job.cancelRequested = true;
+    if (job.status === 'queued') {
+        updateJob(job, { status: 'cancelled', finishedAt: new Date().toISOString() }, 'done');
+    } else {
+        updateJob(job, { status: 'cancelling' });
+    }
+    return toJobView(job);
+}
+
+const isFinished = (job) => FINISHED_STATUSES.includes(job.status);
+
+// Listen to a job's 'progress' and 'done' events. Returns an unsubscribe function.
+function subscribeToJob(jobId, listener) {
+    const handler = (event, job) => listener(event, job);
+    events.on(jobId, handler);
+    return () => events.off(jobId, handler);
+}
+
+module.exports = {
+    createJob,
+    listJobs,
+    getJob,
+    cancelJob,
+    isFinished,
+    subscribeToJob
+};
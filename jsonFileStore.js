@@ -0,0 +1,64 @@
+// server/jsonFileStore.js
+// Small helpers for the JSON files the backend keeps under DATA_DIR
+const path = require('path');
+const fs = require('fs');
+
+const DATA_DIR = process.env.DATA_DIR
+    ? path.resolve(process.env.DATA_DIR)
+    : path.join(__dirname, 'data');
+
+// Resolve a path inside the data directory
+function dataPath(...parts) {
+    return path.join(DATA_DIR, ...parts);
+}
+
+// Data for tenants other than the default one lives under DATA_DIR/tenants/<tenant>
+const DEFAULT_TENANT = 'default';
+const TENANT_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,62}$/;
+
+// Path of a tenant's data file. The default tenant keeps the files (and path overrides)
+// from before there were tenants.
+function tenantFilePath(tenant, fileName, overridePath) {
+    if (!tenant || tenant === DEFAULT_TENANT) {
+        return overridePath || dataPath(fileName);
+    }
+    if (!TENANT_ID_PATTERN.test(tenant)) {
+        throw new Error(`Invalid tenant ID: ${tenant}`);
+    }
+    return dataPath('tenants', tenant, fileName);
+}
+
+// Read a JSON file, returning the fallback if it doesn't exist yet
+function readJson(filePath, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return fallback;
+        }
+        throw new Error(`Unable to read ${filePath}: ${error.message}`);
+    }
+}
+
+// Write a file atomically so a crash never leaves a half-written file
+function writeFileAtomic(filePath, contents) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, contents);
+    fs.renameSync(tempPath, filePath);
+}
+
+function writeJson(filePath, data) {
+    writeFileAtomic(filePath, JSON.stringify(data));
+}
+
+module.exports = {
+    DATA_DIR,
+    DEFAULT_TENANT,
+    TENANT_ID_PATTERN,
+    dataPath,
+    tenantFilePath,
+    readJson,
+    writeJson,
+    writeFileAtomic
+};
@@ -0,0 +1,156 @@
+// server/keywordIndex.js
+// BM25 keyword index kept alongside the vectors. Catches questions that hinge on
+// exact terms embeddings blur together: module names, EDI transaction numbers
+// like "856", acronyms like "RF" or "LPN".
+const _ = require('lodash');
+const { DEFAULT_TENANT, tenantFilePath, readJson, writeJson } = require('./jsonFileStore');
+const { matchesFilter } = require('./metadataFilter');
+
+// One index per tenant, like the vector store namespaces
+const INDEX_PATH = (tenant) => tenantFilePath(tenant, 'keywordIndex.json', process.env.KEYWORD_INDEX_PATH);
+
+// Rewritten at most this often; an ingest adds many documents in quick succession
+const PERSIST_DELAY_MS = 2000;
+
+// Metadata the index doesn't need: searches filter on the rest, and keyword-only matches are
+// quoted from it while the vector store is down. The row's original cells stay in the vector store.
+const UNINDEXED_METADATA = ['originalData', 'uploadDate', 'rowKey', 'contentHash'];
+
+// BM25 tuning constants (the usual defaults)
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'has', 'have',
+    'how', 'i', 'if', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their',
+    'this', 'to', 'was', 'we', 'what', 'when', 'which', 'will', 'with', 'you', 'your'
+]);
+
+// Lowercased words and numbers in any script; short tokens are kept because acronyms matter here
+function tokenize(text) {
+    return ((text || '').normalize('NFKC').toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || [])
+        .filter(token => !STOPWORDS.has(token));
+}
+
+// Indexes by tenant. Corpus statistics are rebuilt on the next search after documents change.
+const indexes = {};
+const dirtyTenants = new Set();
+let persistTimer = null;
+
+function loadIndex(tenant = DEFAULT_TENANT) {
+    if (!indexes[tenant]) {
+        indexes[tenant] = readJson(INDEX_PATH(tenant), { docs: {} });
+    }
+    return indexes[tenant];
+}
+
+// Document frequencies and average length, derived from the stored documents
+function rebuildStats(index) {
+    const documentFrequency = {};
+    let totalLength = 0;
+    const docs = Object.values(index.docs);
+    for (const doc of docs) {
+        totalLength += doc.length;
+        for (const term of Object.keys(doc.terms)) {
+            documentFrequency[term] = (documentFrequency[term] || 0) + 1;
+        }
+    }
+    index.stats = {
+        documentFrequency,
+        documentCount: docs.length,
+        averageLength: docs.length > 0 ? totalLength / docs.length : 0
+    };
+}
+
+function flushKeywordIndex() {
+    if (persistTimer) {
+        clearTimeout(persistTimer);
+        persistTimer = null;
+    }
+    for (const tenant of dirtyTenants) {
+        writeJson(INDEX_PATH(tenant), { docs: indexes[tenant].docs });
+    }
+    dirtyTenants.clear();
+}
+
+// Documents changed: drop the statistics and write the index out shortly
+function markChanged(index, tenant = DEFAULT_TENANT) {
+    index.stats = null;
+    dirtyTenants.add(tenant);
+    if (persistTimer) return;
+    persistTimer = setTimeout(flushKeywordIndex, PERSIST_DELAY_MS);
+    persistTimer.unref();
+}
+
+process.on('exit', () => {
+    if (persistTimer) flushKeywordIndex();
+});
+
+// Add or replace documents: [{ id, text, metadata }]
+function addDocuments(documents, tenant) {
+    if (documents.length === 0) return;
+    const index = loadIndex(tenant);
+    for (const { id, text, metadata } of documents) {
+        const tokens = tokenize(text);
+        const terms = {};
+        for (const token of tokens) {
+            terms[token] = (terms[token] || 0) + 1;
+        }
+        index.docs[id] = { length: tokens.length, terms, metadata: _.omit(metadata, UNINDEXED_METADATA) };
+    }
+    markChanged(index, tenant);
+}
+
+function removeDocuments(ids, tenant) {
+    const index = loadIndex(tenant);
+    let removed = 0;
+    for (const id of ids) {
+        if (index.docs[id]) {
+            delete index.docs[id];
+            removed++;
+        }
+    }
+    if (removed > 0) {
+        markChanged(index, tenant);
+    }
+    return removed;
+}
+
+// BM25 search. Returns [{ id, score, metadata }] sorted by score, like a vector query's matches.
+function search(query, topK = 5, filter = {}, tenant) {
+    const index = loadIndex(tenant);
+    if (!index.stats) rebuildStats(index);
+    const { docs, stats } = index;
+    const queryTerms = Array.from(new Set(tokenize(query)));
+    if (queryTerms.length === 0 || stats.documentCount === 0) return [];
+
+    const idf = {};
+    for (const term of queryTerms) {
+        const df = stats.documentFrequency[term] || 0;
+        idf[term] = Math.log(1 + (stats.documentCount - df + 0.5) / (df + 0.5));
+    }
+
+    const results = [];
+    for (const [id, doc] of Object.entries(docs)) {
+        let score = 0;
+        for (const term of queryTerms) {
+            const tf = doc.terms[term];
+            if (!tf) continue;
+            const lengthNorm = 1 - B + B * (doc.length / (stats.averageLength || 1));
+            score += idf[term] * (tf * (K1 + 1)) / (tf + K1 * lengthNorm);
+        }
+        if (score > 0 && matchesFilter(doc.metadata, filter)) {
+            results.push({ id, score, metadata: doc.metadata });
+        }
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, topK);
+}
+
+module.exports = {
+    tokenize,
+    addDocuments,
+    removeDocuments,
+    search,
+    flushKeywordIndex
+};
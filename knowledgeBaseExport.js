@@ -0,0 +1,225 @@
+// server/knowledgeBaseExport.js
+// File formats for knowledge base exports (see exportKnowledgeBase in excelProcessor).
+//
+// JSON Lines is the backup format: one entry per line - a header, each RFP's registry
+// record followed by its items (vector metadata, original row data and, optionally, the
+// embedding), the approved answers, and an end line with counts. It can be imported again.
+// The .xlsx export is for reading and auditing: an RFP overview sheet, one sheet per RFP
+// with its items ordered by source sheet and row, and the approved answers.
+const fs = require('fs');
+const readline = require('readline');
+const ExcelJS = require('exceljs');
+const _ = require('lodash');
+const { ValidationError } = require('./errors');
+
+const EXPORT_FORMATS = ['jsonl', 'xlsx'];
+
+// Largest export that can be imported, through the API or the CLI. Exports with embeddings
+// are far larger than RFP files, so this is separate from the upload limit.
+const IMPORT_MAX_BYTES = (parseInt(process.env.KB_IMPORT_MAX_MB, 10) || 500) * 1024 * 1024;
+
+const EXPORT_FORMAT_NAME = 'rfp-knowledge-base';
+
+// Excel refuses cells longer than this
+const MAX_CELL_LENGTH = 32767;
+
+// Write export entries as JSON Lines through `write(chunk)`
+async function writeJsonLines(entries, write) {
+    for await (const entry of entries) {
+        await write(`${JSON.stringify(entry)}\n`);
+    }
+}
+
+// Read a JSON Lines export file into { header, rfps, items, approvedAnswers, complete }.
+// `complete` is false when the end line is missing, i.e. the export was cut short. The file
+// is read line by line: an export with embeddings can be larger than a string may be.
+async function readJsonLines(filePath) {
+    const { size } = await fs.promises.stat(filePath);
+    if (size > IMPORT_MAX_BYTES) {
+        throw new ValidationError(`The export is ${Math.ceil(size / 1024 / 1024)}MB; imports are limited to ${IMPORT_MAX_BYTES / 1024 / 1024}MB (KB_IMPORT_MAX_MB)`);
+    }
+
+    const parsed = { header: null, rfps: [], items: [], approvedAnswers: [], complete: false };
+    const errors = [];
+
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath, 'utf8'), crlfDelay: Infinity });
+    let index = -1;
+    for await (const line of lines) {
+        index++;
+        if (!line.trim()) continue;
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (error) {
+            errors.push(`line ${index + 1} is not valid JSON`);
+            continue;
+        }
+
+        if (index === 0 || !parsed.header) {
+            if (entry.type !== 'header' || entry.format !== EXPORT_FORMAT_NAME) {
+                errors.push('the first line must be the header of a knowledge base export');
+            }
+            parsed.header = entry;
+        } else if (entry.type === 'rfp' && entry.record && entry.record.rfpId) {
+            parsed.rfps.push({ ...entry.record, vectorIds: entry.record.vectorIds || [] });
+        } else if (entry.type === 'item' && entry.id && entry.metadata) {
+            parsed.items.push(entry);
+        } else if (entry.type === 'approvedAnswer' && entry.record) {
+            parsed.approvedAnswers.push(entry.record);
+        } else if (entry.type === 'end') {
+            parsed.complete = true;
+        } else {
+            errors.push(`line ${index + 1} is not a knowledge base entry`);
+        }
+    }
+
+    if (!parsed.header && errors.length === 0) {
+        errors.push('the file is empty');
+    }
+    if (errors.length > 0) {
+        throw new ValidationError(`Invalid knowledge base export: ${errors.slice(0, 10).join('; ')}`, errors);
+    }
+    return parsed;
+}
+
+const cellText = (value) => {
+    if (value === undefined || value === null) return null;
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > MAX_CELL_LENGTH ? `${text.slice(0, MAX_CELL_LENGTH - 3)}...` : text;
+};
+
+// Worksheet names are at most 31 characters, without []:*?/\ and unique in the workbook
+function worksheetName(rfpId, usedNames) {
+    const base = String(rfpId).replace(/[[\]:*?/\\]/g, '_').slice(0, 31) || 'RFP';
+    let name = base;
+    for (let counter = 2; usedNames.has(name.toLowerCase()); counter++) {
+        name = `${base.slice(0, 31 - String(counter).length - 1)}~${counter}`;
+    }
+    usedNames.add(name.toLowerCase());
+    return name;
+}
+
+function addSheet(workbook, name, columns, rows) {
+    const worksheet = workbook.addWorksheet(name);
+    worksheet.columns = columns;
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+    rows.forEach(row => worksheet.addRow(row));
+    worksheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+    return worksheet;
+}
+
+const ITEM_COLUMNS = [
+    { header: 'Sheet', key: 'sheetName', width: 20 },
+    { header: 'Row', key: 'rowNumber', width: 7 },
+    { header: 'Cells', key: 'cellRange', width: 10 },
+    { header: 'Section', key: 'section', width: 25 },
+    { header: 'Page', key: 'page', width: 7 },
+    { header: 'Record type', key: 'recordType', width: 12 },
+    { header: 'Category', key: 'category', width: 15 },
+    { header: 'Question', key: 'question', width: 50 },
+    { header: 'Answer', key: 'answer', width: 60 },
+    { header: 'Comments', key: 'comments', width: 30 },
+    { header: 'Text', key: 'text', width: 60 },
+    { header: 'Current', key: 'current', width: 9 },
+    { header: 'Version from', key: 'versionFrom', width: 9 },
+    { header: 'Superseded in', key: 'supersededIn', width: 9 },
+    { header: 'Embedding model', key: 'embeddingModel', width: 22 },
+    { header: 'Original data', key: 'originalData', width: 40 },
+    { header: 'Vector ID', key: 'id', width: 34 }
+];
+
+const itemRow = ({ id, metadata }) => ({
+    id,
+    sheetName: metadata.sheetName || null,
+    rowNumber: metadata.rowNumber || null,
+    cellRange: metadata.cellRange || null,
+    section: cellText(metadata.section),
+    page: metadata.page || null,
+    recordType: metadata.recordType || 'row',
+    category: cellText(metadata.category),
+    question: cellText(metadata.question),
+    answer: cellText(metadata.answer),
+    comments: cellText(metadata.comments),
+    // Question and answer records embed text that is already in those columns
+    text: ['question', 'answer'].includes(metadata.recordType) ? null : cellText(metadata.text),
+    current: metadata.current === false ? 'no' : 'yes',
+    versionFrom: metadata.versionFrom || null,
+    supersededIn: metadata.supersededIn || null,
+    embeddingModel: metadata.embeddingModel || null,
+    originalData: cellText(metadata.originalData)
+});
+
+// Build the readable .xlsx export from export entries
+async function buildExportWorkbook(entries) {
+    const rfps = [];
+    const itemsByRfp = {};
+    const approvedAnswers = [];
+    for await (const entry of entries) {
+        if (entry.type === 'rfp') rfps.push(entry.record);
+        if (entry.type === 'item' && entry.rfpId) (itemsByRfp[entry.rfpId] = itemsByRfp[entry.rfpId] || []).push(entry);
+        if (entry.type === 'approvedAnswer') approvedAnswers.push(entry.record);
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+    const usedNames = new Set(['rfps', 'approved answers']);
+    const sheetNames = _.fromPairs(rfps.map(record => [record.rfpId, worksheetName(record.rfpId, usedNames)]));
+
+    addSheet(workbook, 'RFPs', [
+        { header: 'RFP ID', key: 'rfpId', width: 25 },
+        { header: 'Worksheet', key: 'worksheet', width: 25 },
+        { header: 'Title', key: 'title', width: 35 },
+        { header: 'Category', key: 'category', width: 15 },
+        { header: 'Custom metadata', key: 'customMetadata', width: 35 },
+        { header: 'File', key: 'fileName', width: 30 },
+        { header: 'Uploaded', key: 'uploadDate', width: 22 },
+        { header: 'Updated', key: 'updatedAt', width: 22 },
+        { header: 'Version', key: 'currentVersion', width: 9 },
+        { header: 'Items', key: 'items', width: 9 }
+    ], rfps.map(record => ({
+        rfpId: record.rfpId,
+        worksheet: sheetNames[record.rfpId],
+        title: record.title,
+        category: record.category,
+        customMetadata: _.isEmpty(record.customMetadata) ? null : JSON.stringify(record.customMetadata),
+        fileName: record.originalFile ? record.originalFile.fileName : null,
+        uploadDate: record.uploadDate,
+        updatedAt: record.updatedAt,
+        currentVersion: record.currentVersion || 1,
+        items: (itemsByRfp[record.rfpId] || []).length
+    })));
+
+    for (const record of rfps) {
+        const rows = _.sortBy((itemsByRfp[record.rfpId] || []).map(itemRow), [
+            row => row.sheetName || '',
+            row => row.rowNumber || 0,
+            row => row.page || 0,
+            row => row.current === 'yes' ? 0 : 1,
+            row => row.recordType
+        ]);
+        addSheet(workbook, sheetNames[record.rfpId], ITEM_COLUMNS, rows);
+    }
+
+    addSheet(workbook, 'Approved answers', [
+        { header: 'Question', key: 'question', width: 50 },
+        { header: 'Answer', key: 'answer', width: 70 },
+        { header: 'Comments', key: 'comments', width: 30 },
+        { header: 'Category', key: 'category', width: 15 },
+        { header: 'Approved by', key: 'author', width: 20 },
+        { header: 'Approved at', key: 'approvedAt', width: 22 }
+    ], approvedAnswers.map(record => _.mapValues(
+        _.pick(record, ['question', 'answer', 'comments', 'category', 'author', 'approvedAt']),
+        cellText
+    )));
+
+    return workbook;
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    IMPORT_MAX_BYTES,
+    writeJsonLines,
+    readJsonLines,
+    buildExportWorkbook
+};
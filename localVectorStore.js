@@ -0,0 +1,109 @@
+// server/localVectorStore.js
+// Vector store adapter that keeps vectors in a JSON file and searches them in-process.
+// Meant for dev machines, demos and tests - not for large knowledge bases.
+const path = require('path');
+const { dataPath, readJson, writeJson } = require('./jsonFileStore');
+const { matchesFilter } = require('./metadataFilter');
+const logger = require('./logger');
+
+function cosineSimilarity(a, b) {
+    if (a.length !== b.length) {
+        throw new Error(`Vector dimension mismatch: ${a.length} vs ${b.length}`);
+    }
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    if (normA === 0 || normB === 0) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+function createLocalVectorStore(filePath = process.env.LOCAL_VECTOR_STORE_PATH || dataPath('vectors.json')) {
+    const storePath = path.resolve(filePath);
+    let data = null;
+
+    // Load the store from disk on first use. Vectors in the default namespace ('') live in
+    // `vectors`, as they did before namespaces; the others under `namespaces[name]`.
+    const load = (namespace = '') => {
+        if (!data) {
+            const stored = readJson(storePath, { vectors: {} });
+            data = { vectors: stored.vectors || {}, namespaces: stored.namespaces || {} };
+            logger.info('Loaded local vector store', { vectors: Object.keys(data.vectors).length, path: storePath });
+        }
+        if (!namespace) return data.vectors;
+        if (!data.namespaces[namespace]) data.namespaces[namespace] = {};
+        return data.namespaces[namespace];
+    };
+
+    const persist = () => writeJson(storePath, data);
+
+    return {
+        name: 'local',
+        requiredEnvVars: [],
+
+        query: async (embedding, topK = 5, filters = {}, namespace) => {
+            const matches = Object.values(load(namespace))
+                .filter(vector => matchesFilter(vector.metadata, filters))
+                .map(vector => ({
+                    id: vector.id,
+                    score: cosineSimilarity(embedding, vector.values),
+                    metadata: vector.metadata
+                }))
+                .sort((a, b) => b.score - a.score)
+                .slice(0, topK);
+
+            return { matches };
+        },
+
+        upsert: async (newVectors, namespace) => {
+            const store = load(namespace);
+            for (const vector of newVectors) {
+                store[vector.id] = {
+                    id: vector.id,
+                    values: vector.values,
+                    metadata: vector.metadata || {}
+                };
+            }
+            persist();
+            return { upsertedCount: newVectors.length };
+        },
+
+        fetch: async (ids, namespace) => {
+            const store = load(namespace);
+            const found = {};
+            for (const id of ids) {
+                if (store[id]) found[id] = store[id];
+            }
+            return { vectors: found };
+        },
+
+        delete: async (ids, namespace) => {
+            const store = load(namespace);
+            for (const id of ids) {
+                delete store[id];
+            }
+            persist();
+            return {};
+        },
+
+        testConnectivity: async () => {
+            try {
+                load();
+                return true;
+            } catch (error) {
+                logger.error('Local vector store could not be loaded', { error });
+                return false;
+            }
+        }
+    };
+}
+
+module.exports = {
+    createLocalVectorStore,
+    cosineSimilarity
+};
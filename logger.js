@@ -0,0 +1,81 @@
+// server/logger.js
+// Structured logging. Each entry is one JSON line:
+//   {"time":"2025-03-01T12:00:00.000Z","level":"info","msg":"Request completed","requestId":"...","status":200}
+// Entries written while handling a request carry the request's ID (and entries from a background
+// job also the job's ID), so a slow or failed request can be followed through retrieval, the
+// vector store and model calls.
+//
+// LOG_LEVEL: debug, info (default), warn or error. LOG_FORMAT=pretty prints readable lines
+// for local development instead of JSON.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const requestContext = new AsyncLocalStorage();
+
+const minimumLevel = () => Math.max(0, LEVELS.indexOf((process.env.LOG_LEVEL || 'info').toLowerCase()));
+
+// Run `fn` with a context ({ requestId, jobId, ... }) that every log entry inside it picks up
+function runWithContext(context, fn) {
+    return requestContext.run(context, fn);
+}
+
+const getContext = () => requestContext.getStore() || {};
+
+// Errors don't serialize to JSON on their own
+function serializeError(error, withStack) {
+    if (!(error instanceof Error)) return error;
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.status ? { status: error.status } : {}),
+        ...(withStack && error.stack ? { stack: error.stack } : {})
+    };
+}
+
+function format(entry) {
+    if (process.env.LOG_FORMAT !== 'pretty') {
+        return JSON.stringify(entry);
+    }
+    const { time, level, msg, requestId, ...fields } = entry;
+    const details = Object.entries(fields)
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join(' ');
+    return `${time} ${level.toUpperCase().padEnd(5)}${requestId ? ` [${requestId.slice(0, 8)}]` : ''} ${msg}${details ? ` ${details}` : ''}`;
+}
+
+function log(level, msg, fields = {}) {
+    if (LEVELS.indexOf(level) < minimumLevel()) return;
+
+    const { requestId, jobId } = getContext();
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg,
+        ...(requestId ? { requestId } : {}),
+        ...(jobId ? { jobId } : {})
+    };
+    for (const [key, value] of Object.entries(fields)) {
+        if (value !== undefined) {
+            entry[key] = serializeError(value, level === 'error');
+        }
+    }
+
+    const line = format(entry);
+    if (level === 'error') {
+        console.error(line);
+    } else if (level === 'warn') {
+        console.warn(line);
+    } else {
+        console.log(line);
+    }
+}
+
+module.exports = {
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields),
+    runWithContext,
+    getContext
+};
@@ -0,0 +1,65 @@
+// server/metadataFilter.js
+// In-process evaluation of Pinecone-style metadata filters, e.g.
+// { category: 'Security', year: { $gte: 2024 }, $or: [{ rfpId: 'A' }, { rfpId: 'B' }] }
+const _ = require('lodash');
+
+// Compare a single metadata value against one operator
+function matchesOperator(value, operator, operand) {
+    // List-valued metadata matches if any element matches (Pinecone semantics)
+    const values = Array.isArray(value) ? value : [value];
+
+    switch (operator) {
+        case '$eq':
+            return values.some(v => _.isEqual(v, operand));
+        case '$ne':
+            return !values.some(v => _.isEqual(v, operand));
+        case '$in':
+            return values.some(v => operand.some(o => _.isEqual(v, o)));
+        case '$nin':
+            return !values.some(v => operand.some(o => _.isEqual(v, o)));
+        case '$gt':
+            return values.some(v => v > operand);
+        case '$gte':
+            return values.some(v => v >= operand);
+        case '$lt':
+            return values.some(v => v < operand);
+        case '$lte':
+            return values.some(v => v <= operand);
+        case '$exists':
+            return (value !== undefined && value !== null) === Boolean(operand);
+        default:
+            throw new Error(`Unsupported filter operator: ${operator}`);
+    }
+}
+
+// Returns true when the metadata object satisfies the filter
+function matchesFilter(metadata = {}, filter = {}) {
+    return Object.entries(filter || {}).every(([key, condition]) => {
+        if (key === '$and') {
+            return condition.every(subFilter => matchesFilter(metadata, subFilter));
+        }
+        if (key === '$or') {
+            return condition.some(subFilter => matchesFilter(metadata, subFilter));
+        }
+
+        const value = metadata[key];
+
+        // Shorthand equality: { category: 'Security' }
+        if (!_.isPlainObject(condition)) {
+            return matchesOperator(value, '$eq', condition);
+        }
+
+        return Object.entries(condition).every(([operator, operand]) => {
+            // Missing fields only satisfy $exists: false, $ne and $nin
+            if ((value === undefined || value === null) &&
+                !['$exists', '$ne', '$nin'].includes(operator)) {
+                return false;
+            }
+            return matchesOperator(value, operator, operand);
+        });
+    });
+}
+
+module.exports = {
+    matchesFilter
+};
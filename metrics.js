@@ -0,0 +1,158 @@
+// server/metrics.js
+// Prometheus metrics, served in the text exposition format at /metrics:
+//   http_request_duration_seconds{method,route,status}  histogram of API request latency
+//   rfp_stage_duration_seconds{stage}                    histogram of pipeline stage latency: embedding,
+//                                                        chat_answer, chat_rewrite, chat_rerank,
+//                                                        vector_query, vector_upsert, vector_fetch, vector_delete
+//   rfp_retries_total{operation}                         operations retried by withRetry
+//   rfp_errors_total{stage}                              failed stage calls (including ones retried later)
+//   rfp_tokens_total{stage,model,type}                   model tokens used, type prompt or completion
+//   rfp_dependency_up{dependency}                        1 while the last health check of a dependency passed
+//   rfp_circuit_open{dependency}                         1 while a dependency's circuit breaker fails calls fast
+// plus a few process gauges.
+const logger = require('./logger');
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const registry = [];
+
+const labelKey = (labels) => JSON.stringify(labels);
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    return entries.length > 0 ? `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}` : '';
+};
+
+function counter(name, help) {
+    const series = new Map();
+    const metric = {
+        inc: (labels = {}, amount = 1) => {
+            const key = labelKey(labels);
+            const entry = series.get(key) || { labels, value: 0 };
+            entry.value += amount;
+            series.set(key, entry);
+        },
+        render: () => [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} counter`,
+            ...Array.from(series.values()).map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+        ]
+    };
+    registry.push(metric);
+    return metric;
+}
+
+function histogram(name, help, buckets = LATENCY_BUCKETS) {
+    const series = new Map();
+    const metric = {
+        observe: (labels, value) => {
+            const key = labelKey(labels);
+            const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+            buckets.forEach((bound, index) => {
+                if (value <= bound) entry.counts[index]++;
+            });
+            entry.sum += value;
+            entry.count++;
+            series.set(key, entry);
+        },
+        render: () => [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} histogram`,
+            ...Array.from(series.values()).flatMap(({ labels, counts, sum, count }) => [
+                ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+                `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+                `${name}_sum${formatLabels(labels)} ${sum}`,
+                `${name}_count${formatLabels(labels)} ${count}`
+            ])
+        ]
+    };
+    registry.push(metric);
+    return metric;
+}
+
+function gauge(name, help) {
+    const series = new Map();
+    const metric = {
+        set: (labels, value) => series.set(labelKey(labels), { labels, value }),
+        render: () => [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} gauge`,
+            ...Array.from(series.values()).map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+        ]
+    };
+    registry.push(metric);
+    return metric;
+}
+
+const httpRequestDuration = histogram('http_request_duration_seconds', 'Latency of API requests');
+const stageDuration = histogram('rfp_stage_duration_seconds', 'Latency of pipeline stages: embedding, chat and vector store calls');
+const retriesTotal = counter('rfp_retries_total', 'Operations retried after a failure');
+const errorsTotal = counter('rfp_errors_total', 'Failed pipeline stage calls');
+const tokensTotal = counter('rfp_tokens_total', 'Model tokens used');
+const dependencyUp = gauge('rfp_dependency_up', 'Whether the last health check of a dependency passed');
+const circuitOpen = gauge('rfp_circuit_open', 'Whether calls to a dependency are failing fast');
+
+const secondsSince = (start) => Number(process.hrtime.bigint() - start) / 1e9;
+
+// Time a pipeline stage. The duration is recorded in the histogram, logged at debug level and
+// added to the current request's stage totals, which are logged when the request completes.
+async function timeStage(stage, fn, fields = {}) {
+    const start = process.hrtime.bigint();
+    const finish = () => {
+        const seconds = secondsSince(start);
+        stageDuration.observe({ stage }, seconds);
+        const { stages } = logger.getContext();
+        if (stages) {
+            stages[stage] = Math.round((stages[stage] || 0) + seconds * 1000);
+        }
+        return Math.round(seconds * 1000);
+    };
+
+    try {
+        const result = await fn();
+        logger.debug(`${stage} completed`, { stage, durationMs: finish(), ...fields });
+        return result;
+    } catch (error) {
+        errorsTotal.inc({ stage });
+        logger.warn(`${stage} failed`, { stage, durationMs: finish(), error, ...fields });
+        throw error;
+    }
+}
+
+function countTokens(stage, model, usage) {
+    if (!usage) return;
+    if (usage.promptTokens) tokensTotal.inc({ stage, model, type: 'prompt' }, usage.promptTokens);
+    if (usage.completionTokens) tokensTotal.inc({ stage, model, type: 'completion' }, usage.completionTokens);
+}
+
+const countRetry = (operation) => retriesTotal.inc({ operation });
+
+const observeHttpRequest = (labels, seconds) => httpRequestDuration.observe(labels, seconds);
+
+function setDependencyState(dependency, { up, open }) {
+    if (up !== undefined) dependencyUp.set({ dependency }, up ? 1 : 0);
+    if (open !== undefined) circuitOpen.set({ dependency }, open ? 1 : 0);
+}
+
+function render() {
+    const memory = process.memoryUsage();
+    const gauges = [
+        ['process_resident_memory_bytes', 'Resident memory size in bytes', memory.rss],
+        ['nodejs_heap_used_bytes', 'V8 heap used in bytes', memory.heapUsed],
+        ['process_uptime_seconds', 'Seconds since the process started', process.uptime()]
+    ].flatMap(([name, help, value]) => [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${value}`]);
+
+    return [...registry.flatMap(metric => metric.render()), ...gauges].join('\n') + '\n';
+}
+
+module.exports = {
+    timeStage,
+    countTokens,
+    countRetry,
+    observeHttpRequest,
+    setDependencyState,
+    secondsSince,
+    render
+};
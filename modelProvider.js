@@ -0,0 +1,326 @@
+// server/modelProvider.js
+// Embedding and chat model providers.
+//
+// Supported providers:
+//   openai            - OpenAI's API (OPENAI_API_KEY)
+//   openai-compatible - any server that speaks the OpenAI API, e.g. a self-hosted model (*_BASE_URL)
+//   local             - deterministic in-process models for offline development and tests
+//
+// Embedding providers expose: { id, model, dimensions, embed(text) -> { embedding, usage } }
+// Chat providers expose:      { id, model, complete(messages, options) -> { content, usage },
+//                              stream(messages, { onToken, signal }) -> { content, usage, finishReason } }
+// Both expose checkHealth(), which throws when the model's API can't be reached. It only
+// lists models, so health checks don't spend tokens.
+// Chat options may name the pipeline stage the call belongs to (stage: 'answer' (default), 'rewrite'
+// or 'rerank'); every call is timed and its tokens counted under that stage in metrics.js, and
+// its usage recorded against the caller in usageTracker.js.
+const { OpenAI } = require('openai');
+const crypto = require('crypto');
+const metrics = require('./metrics');
+const usageTracker = require('./usageTracker');
+
+const DEFAULT_EMBEDDING_MODELS = {
+    openai: 'text-embedding-ada-002',
+    'openai-compatible': 'text-embedding-ada-002',
+    local: 'local-hash-embedding'
+};
+
+const DEFAULT_CHAT_MODELS = {
+    openai: 'gpt-4',
+    'openai-compatible': 'gpt-4',
+    local: 'local-extractive'
+};
+
+const LOCAL_EMBEDDING_DIMENSIONS = 256;
+
+const parseNumber = (value) => {
+    if (value === undefined || value === '') return undefined;
+    const number = Number(value);
+    if (Number.isNaN(number)) {
+        throw new Error(`Expected a number in model configuration but got "${value}"`);
+    }
+    return number;
+};
+
+// Read embedding model settings from the environment
+function getEmbeddingConfig() {
+    const provider = (process.env.EMBEDDING_PROVIDER || 'openai').toLowerCase();
+    return {
+        provider,
+        model: process.env.EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODELS[provider],
+        dimensions: parseNumber(process.env.EMBEDDING_DIMENSIONS),
+        baseURL: process.env.EMBEDDING_BASE_URL || process.env.OPENAI_BASE_URL,
+        apiKey: process.env.EMBEDDING_API_KEY || process.env.OPENAI_API_KEY
+    };
+}
+
+// Read chat model settings from the environment
+function getChatConfig() {
+    const provider = (process.env.CHAT_PROVIDER || 'openai').toLowerCase();
+    return {
+        provider,
+        model: process.env.CHAT_MODEL || DEFAULT_CHAT_MODELS[provider],
+        temperature: parseNumber(process.env.CHAT_TEMPERATURE),
+        maxTokens: parseNumber(process.env.CHAT_MAX_TOKENS),
+        baseURL: process.env.CHAT_BASE_URL || process.env.OPENAI_BASE_URL,
+        apiKey: process.env.CHAT_API_KEY || process.env.OPENAI_API_KEY
+    };
+}
+
+// Build an OpenAI SDK client for either OpenAI or an OpenAI-compatible server
+function createOpenAIClient(config) {
+    if (config.provider === 'openai-compatible' && !config.baseURL) {
+        throw new Error('The openai-compatible provider requires a base URL (EMBEDDING_BASE_URL, CHAT_BASE_URL or OPENAI_BASE_URL)');
+    }
+    return new OpenAI({
+        // Self-hosted servers often don't check the key, but the SDK requires one
+        apiKey: config.apiKey || 'not-needed',
+        baseURL: config.baseURL || undefined
+    });
+}
+
+// OpenAI can look the model up; compatible servers don't all support that, but they list models
+const checkModelApi = (client, config) => (config.provider === 'openai'
+    ? client.models.retrieve(config.model)
+    : client.models.list());
+
+const requiredEnvVarsFor = (config) =>
+    config.provider === 'openai' && !config.apiKey ? ['OPENAI_API_KEY'] : [];
+
+// The ID recorded with every vector, so vectors from different models are never mixed
+const embeddingModelId = (model, dimensions) => dimensions ? `${model}@${dimensions}` : model;
+
+const tokenize = (text) => (text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+
+// Rough token estimate for providers that don't report usage
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+// Feature-hashed bag of words and bigrams: similar wording gives similar vectors
+function localEmbedding(text, dimensions) {
+    const vector = new Array(dimensions).fill(0);
+    const tokens = tokenize(text);
+    const features = tokens.concat(tokens.slice(1).map((token, i) => `${tokens[i]} ${token}`));
+
+    for (const feature of features) {
+        const hash = crypto.createHash('md5').update(feature).digest();
+        const index = hash.readUInt32BE(0) % dimensions;
+        const sign = hash[4] & 1 ? 1 : -1;
+        vector[index] += sign;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm === 0 ? vector : vector.map(value => value / norm);
+}
+
+function buildEmbeddingProvider(config) {
+    if (!DEFAULT_EMBEDDING_MODELS[config.provider]) {
+        throw new Error(`Unknown EMBEDDING_PROVIDER "${config.provider}". Expected one of: ${Object.keys(DEFAULT_EMBEDDING_MODELS).join(', ')}`);
+    }
+
+    if (config.provider === 'local') {
+        const dimensions = config.dimensions || LOCAL_EMBEDDING_DIMENSIONS;
+        return {
+            provider: 'local',
+            model: config.model,
+            dimensions,
+            id: embeddingModelId(config.model, dimensions),
+            requiredEnvVars: [],
+            checkHealth: async () => {},
+            embed: async (text) => ({
+                embedding: localEmbedding(text, dimensions),
+                usage: { promptTokens: estimateTokens(text), totalTokens: estimateTokens(text) }
+            })
+        };
+    }
+
+    let client = null;
+    return {
+        provider: config.provider,
+        model: config.model,
+        dimensions: config.dimensions,
+        id: embeddingModelId(config.model, config.dimensions),
+        requiredEnvVars: requiredEnvVarsFor(config),
+        checkHealth: async () => {
+            client = client || createOpenAIClient(config);
+            await checkModelApi(client, config);
+        },
+        embed: async (text) => {
+            client = client || createOpenAIClient(config);
+            const response = await client.embeddings.create({
+                model: config.model,
+                input: text,
+                ...(config.dimensions ? { dimensions: config.dimensions } : {})
+            });
+            return {
+                embedding: response.data[0].embedding,
+                usage: {
+                    promptTokens: response.usage ? response.usage.prompt_tokens : estimateTokens(text),
+                    totalTokens: response.usage ? response.usage.total_tokens : estimateTokens(text)
+                }
+            };
+        }
+    };
+}
+
+// Pull the retrieved context out of the user prompt for the local chat model
+function extractContext(prompt) {
+    const match = prompt.match(/Context from RFP data:\n([\s\S]*?)\n\nQuestion:/);
+    return match ? match[1].trim() : '';
+}
+
+const estimateUsage = (messages, content) => {
+    const promptTokens = estimateTokens(messages.map(message => message.content).join('\n'));
+    const completionTokens = estimateTokens(content);
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+};
+
+const abortError = () => {
+    const error = new Error('Generation aborted');
+    error.name = 'AbortError';
+    return error;
+};
+
+function buildChatProvider(config) {
+    if (!DEFAULT_CHAT_MODELS[config.provider]) {
+        throw new Error(`Unknown CHAT_PROVIDER "${config.provider}". Expected one of: ${Object.keys(DEFAULT_CHAT_MODELS).join(', ')}`);
+    }
+
+    if (config.provider === 'local') {
+        // Answers with the best matching context block, so output is stable for a given knowledge base.
+        // Follow-up rewrite requests are answered with the question unchanged.
+        const localAnswer = (messages) => {
+            const prompt = messages[messages.length - 1].content;
+            const followUp = prompt.match(/\nFollow-up question: ([\s\S]*)$/);
+            if (followUp) return followUp[1].trim();
+
+            const firstBlock = extractContext(prompt).split('\n\n')[0];
+            return firstBlock
+                ? `Based on the knowledge base:\n\n${firstBlock}`
+                : "I don't have that specific information in my knowledge base";
+        };
+
+        return {
+            provider: 'local',
+            model: config.model,
+            id: config.model,
+            requiredEnvVars: [],
+            checkHealth: async () => {},
+            complete: async (messages) => {
+                const content = localAnswer(messages);
+                return { content, usage: estimateUsage(messages, content) };
+            },
+            stream: async (messages, options = {}) => {
+                const content = localAnswer(messages);
+                let streamed = '';
+                // Emit word by word, yielding between tokens like a real stream
+                for (const token of content.match(/\S+\s*|\s+/g) || []) {
+                    if (options.signal && options.signal.aborted) throw abortError();
+                    await new Promise(resolve => setImmediate(resolve));
+                    streamed += token;
+                    if (options.onToken) options.onToken(token);
+                }
+                return { content: streamed, usage: estimateUsage(messages, streamed), finishReason: 'stop' };
+            }
+        };
+    }
+
+    let client = null;
+    const getClient = () => {
+        client = client || createOpenAIClient(config);
+        return client;
+    };
+
+    // Per-call overrides fall back to the configured temperature and max tokens
+    const completionParams = (messages, options) => {
+        const temperature = options.temperature !== undefined ? options.temperature : config.temperature;
+        const maxTokens = options.maxTokens !== undefined ? options.maxTokens : config.maxTokens;
+        return {
+            model: config.model,
+            messages,
+            ...(temperature !== undefined ? { temperature } : {}),
+            ...(maxTokens !== undefined ? { max_tokens: maxTokens } : {})
+        };
+    };
+
+    const toUsage = (usage) => ({
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0,
+        totalTokens: usage.total_tokens || 0
+    });
+
+    return {
+        provider: config.provider,
+        model: config.model,
+        id: config.model,
+        requiredEnvVars: requiredEnvVarsFor(config),
+        checkHealth: async () => {
+            await checkModelApi(getClient(), config);
+        },
+        complete: async (messages, options = {}) => {
+            const completion = await getClient().chat.completions.create(completionParams(messages, options));
+            return {
+                content: completion.choices[0].message.content,
+                usage: toUsage(completion.usage || {})
+            };
+        },
+        stream: async (messages, options = {}) => {
+            const stream = await getClient().chat.completions.create({
+                ...completionParams(messages, options),
+                stream: true,
+                // Self-hosted servers may not support usage reporting on streams
+                ...(config.provider === 'openai' ? { stream_options: { include_usage: true } } : {})
+            }, { signal: options.signal });
+
+            let content = '';
+            let usage = null;
+            let finishReason = null;
+            for await (const chunk of stream) {
+                const choice = chunk.choices && chunk.choices[0];
+                if (choice) {
+                    const token = choice.delta && choice.delta.content;
+                    if (token) {
+                        content += token;
+                        if (options.onToken) options.onToken(token);
+                    }
+                    if (choice.finish_reason) finishReason = choice.finish_reason;
+                }
+                if (chunk.usage) usage = toUsage(chunk.usage);
+            }
+            return { content, usage: usage || estimateUsage(messages, content), finishReason };
+        }
+    };
+}
+
+function createEmbeddingProvider(config = getEmbeddingConfig()) {
+    const provider = buildEmbeddingProvider(config);
+    return {
+        ...provider,
+        embed: (text) => metrics.timeStage('embedding', async () => {
+            const result = await provider.embed(text);
+            metrics.countTokens('embedding', provider.id, result.usage);
+            usageTracker.recordModelCall('embedding', provider.id, result.usage);
+            return result;
+        }, { model: provider.id })
+    };
+}
+
+function createChatProvider(config = getChatConfig()) {
+    const provider = buildChatProvider(config);
+    const timed = (method) => (messages, options = {}) => {
+        const stage = options.stage || 'answer';
+        return metrics.timeStage(`chat_${stage}`, async () => {
+            const result = await provider[method](messages, options);
+            metrics.countTokens(stage, provider.id, result.usage);
+            usageTracker.recordModelCall(stage, provider.id, result.usage);
+            return result;
+        }, { model: provider.id });
+    };
+    return { ...provider, complete: timed('complete'), stream: timed('stream') };
+}
+
+module.exports = {
+    createEmbeddingProvider,
+    createChatProvider,
+    getEmbeddingConfig,
+    getChatConfig
+};
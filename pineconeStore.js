@@ -0,0 +1,97 @@
+// server/pineconeStore.js
+// Vector store adapter for Pinecone's REST API. Calls are timed and logged by vectorStore.js;
+// the index URL and stats are deliberately never logged.
+const fetch = require('node-fetch');
+const https = require('https');
+const logger = require('./logger');
+
+// Create a custom HTTPS agent with relaxed settings
+const httpsAgent = new https.Agent({
+    rejectUnauthorized: false,
+    keepAlive: true,
+    timeout: 60000
+});
+
+// Set up Pinecone base URL - prioritize direct host if available
+const getPineconeBaseUrl = () => {
+    if (process.env.PINECONE_HOST) {
+        // If PINECONE_HOST includes the protocol, use it as is
+        if (process.env.PINECONE_HOST.startsWith('http')) {
+            return process.env.PINECONE_HOST;
+        }
+        // Otherwise, add the https:// prefix
+        return `https://${process.env.PINECONE_HOST}`;
+    }
+    // Fall back to constructing the URL from environment and index name
+    return `https://${process.env.PINECONE_INDEX_NAME}.svc.${process.env.PINECONE_ENVIRONMENT}.pinecone.io`;
+};
+
+// POST a JSON body to a Pinecone data-plane endpoint
+async function pineconeRequest(endpoint, body) {
+    const baseUrl = getPineconeBaseUrl();
+
+    const response = await fetch(`${baseUrl}${endpoint}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Api-Key': process.env.PINECONE_API_KEY
+        },
+        body: JSON.stringify(body),
+        agent: httpsAgent,
+        timeout: 30000
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Pinecone API error (${response.status}): ${errorText}`);
+    }
+
+    return await response.json();
+}
+
+function createPineconeStore() {
+    return {
+        name: 'pinecone',
+        requiredEnvVars: ['PINECONE_API_KEY', 'PINECONE_ENVIRONMENT', 'PINECONE_INDEX_NAME'],
+
+        query: (embedding, topK = 5, filters = {}, namespace) => pineconeRequest('/query', {
+            vector: embedding,
+            topK,
+            includeMetadata: true,
+            filter: Object.keys(filters).length > 0 ? filters : undefined,
+            namespace: namespace || undefined
+        }),
+
+        upsert: (vectors, namespace) => pineconeRequest('/vectors/upsert', { vectors, namespace: namespace || undefined }),
+
+        fetch: (ids, namespace) => pineconeRequest('/vectors/fetch', { ids, namespace: namespace || undefined }),
+
+        delete: (ids, namespace) => pineconeRequest('/vectors/delete', { ids, namespace: namespace || undefined }),
+
+        testConnectivity: async () => {
+            try {
+                const response = await fetch(`${getPineconeBaseUrl()}/describe_index_stats`, {
+                    method: 'GET',
+                    headers: {
+                        'Api-Key': process.env.PINECONE_API_KEY
+                    },
+                    agent: httpsAgent,
+                    timeout: 10000
+                });
+
+                // The health monitor logs outages; these details help tell a bad key from a network problem
+                if (!response.ok) {
+                    logger.debug('Pinecone connectivity test failed', { status: response.status });
+                }
+                return response.ok;
+            } catch (error) {
+                logger.debug('Pinecone connectivity test failed', { error, code: error.code });
+                return false;
+            }
+        }
+    };
+}
+
+module.exports = {
+    createPineconeStore
+};
@@ -0,0 +1,290 @@
+// server/promptTemplates.js
+// Versioned prompt templates for answer generation. A template describes who the
+// assistant answers for and how it should answer:
+//   {
+//     name: 'acme-tms',
+//     profile: {
+//       company: 'Acme',
+//       product: 'Transportation Management System (TMS)',
+//       context: ['Answers cover the cloud edition only']    // optional extra background lines
+//     },
+//     tone: '- Keep answers short and formal',
+//     answerFormat: '1. Begin with a direct answer ...',
+//     refusal: "I don't have that specific information in my knowledge base",
+//     example: 'Question: ...\nResponse: ...'                // optional
+//   }
+// {{company}} and {{product}} can be used in every text field. The citation and
+// approved-answer rules are not configurable: the query pipeline depends on them.
+//
+// Each tenant keeps its own templates. Saving a template adds a version and makes it
+// active; rolling back re-activates an earlier version. The built-in Softeon WMS template
+// is always available, and is the default unless PROMPT_TEMPLATE or the tenant picks another.
+const _ = require('lodash');
+const { tenantFilePath, readJson, writeJson } = require('./jsonFileStore');
+const { ValidationError } = require('./errors');
+
+const PROMPT_TEMPLATES_PATH = (tenant) => tenantFilePath(tenant, 'promptTemplates.json', process.env.PROMPT_TEMPLATES_PATH);
+
+const BUILT_IN_TEMPLATE_NAME = 'softeon-wms';
+
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,62}$/;
+
+const TEXT_FIELDS = ['tone', 'answerFormat', 'refusal', 'example'];
+
+const BUILT_IN_TEMPLATE = {
+    profile: {
+        company: 'Softeon',
+        product: 'Warehouse Management System (WMS)',
+        context: [
+            'Document names like "RuralKing_2025_AI" or "CDW_2025_AI" are responses to customers such as RuralKing and CDW'
+        ]
+    },
+    tone: `- Provide clear, thorough explanations using accessible language
+- Balance conciseness with necessary context and explanations
+- Use direct language from the knowledge base as appropriate
+- Structure responses for easy comprehension with headers, bullet points, or numbered lists`,
+    answerFormat: `1. Begin with a direct answer to the main question in 1-2 sentences
+2. Provide a "Details" section with supporting information using bullet points or short paragraphs
+3. For complex answers, use appropriate headers to organize information
+4. When applicable, include a brief "Example" section`,
+    refusal: "I don't have that specific information in my knowledge base",
+    example: `Question: "Does the WMS support carrier appointment scheduling?"
+Response:
+Yes, {{company}}'s Warehouse Management System supports carrier appointment scheduling for outbound shipments.
+
+**Details:**
+- The {{company}} WMS includes capabilities to create an external user portal for appointment scheduling [1]
+- Many customers utilize this feature for functions such as appointment creation and order entry [2]
+- This functionality meets requirements for carrier appointment scheduling across multiple customer implementations [1][2]
+
+**Example:**
+Carriers can use the external user portal to schedule their pick-up appointment for outbound shipments [1].`
+};
+
+const builtInRecord = () => ({
+    name: BUILT_IN_TEMPLATE_NAME,
+    activeVersion: 1,
+    versions: [{ version: 1, ...BUILT_IN_TEMPLATE, note: 'Built-in template', author: null, createdAt: null }]
+});
+
+// The tenant's templates, with the built-in one unless it was saved over
+function loadTemplates(tenant) {
+    const data = readJson(PROMPT_TEMPLATES_PATH(tenant), { defaultTemplate: null, templates: {} });
+    if (!data.templates[BUILT_IN_TEMPLATE_NAME]) {
+        data.templates[BUILT_IN_TEMPLATE_NAME] = builtInRecord();
+    }
+    return data;
+}
+
+const saveTemplates = (data, tenant) => writeJson(PROMPT_TEMPLATES_PATH(tenant), data);
+
+const defaultTemplateName = (data) => data.defaultTemplate || process.env.PROMPT_TEMPLATE || BUILT_IN_TEMPLATE_NAME;
+
+const activeVersionOf = (record) => record.versions.find(v => v.version === record.activeVersion);
+
+// Listing view: the template without its version history
+const summarize = (record, data) => ({
+    name: record.name,
+    builtIn: record.name === BUILT_IN_TEMPLATE_NAME,
+    isDefault: record.name === defaultTemplateName(data),
+    activeVersion: record.activeVersion,
+    versionCount: record.versions.length,
+    company: activeVersionOf(record).profile.company,
+    product: activeVersionOf(record).profile.product,
+    updatedAt: record.updatedAt || null
+});
+
+// Check template fields; `base` supplies anything a new version leaves out
+function validateTemplate(fields, base) {
+    const errors = [];
+    const profile = { ...(base ? base.profile : {}), ...(_.isPlainObject(fields.profile) ? fields.profile : {}) };
+    if (fields.profile !== undefined && !_.isPlainObject(fields.profile)) {
+        errors.push('profile must be an object with company and product');
+    }
+    for (const key of ['company', 'product']) {
+        if (typeof profile[key] !== 'string' || !profile[key].trim()) {
+            errors.push(`profile.${key} is required`);
+        }
+    }
+    if (typeof profile.context === 'string') {
+        profile.context = [profile.context];
+    }
+    if (profile.context !== undefined && !(Array.isArray(profile.context) && profile.context.every(line => typeof line === 'string'))) {
+        errors.push('profile.context must be a list of strings');
+    }
+
+    // New templates start from the built-in wording, except its product-specific example
+    const defaults = base || _.omit(BUILT_IN_TEMPLATE, 'example');
+    const template = { profile: { company: profile.company, product: profile.product, context: profile.context || [] } };
+    for (const field of TEXT_FIELDS) {
+        const value = fields[field] !== undefined ? fields[field] : defaults[field];
+        if (value !== undefined && value !== null && typeof value !== 'string') {
+            errors.push(`${field} must be a string`);
+        }
+        template[field] = value || '';
+    }
+    if (!template.refusal.trim()) {
+        errors.push('refusal is required');
+    }
+
+    if (errors.length > 0) {
+        throw new ValidationError(`Invalid prompt template: ${errors.join('; ')}`, errors);
+    }
+    return template;
+}
+
+function listTemplates(tenant) {
+    const data = loadTemplates(tenant);
+    return Object.values(data.templates)
+        .map(record => summarize(record, data))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function getTemplate(name, tenant) {
+    const data = loadTemplates(tenant);
+    const record = data.templates[name];
+    return record ? { ...record, isDefault: name === defaultTemplateName(data) } : null;
+}
+
+// Save a new version of a template (creating the template if needed) and make it active.
+// Fields left out of an update keep their value from the active version.
+function saveTemplate({ name, note, ...fields } = {}, { tenant, author } = {}) {
+    if (typeof name !== 'string' || !TEMPLATE_NAME_PATTERN.test(name)) {
+        throw new ValidationError('Invalid prompt template: name must be 1-63 lowercase letters, digits, "-" or "_"', ['name is invalid']);
+    }
+
+    const data = loadTemplates(tenant);
+    const existing = data.templates[name];
+    const template = validateTemplate(fields, existing ? activeVersionOf(existing) : null);
+
+    const now = new Date().toISOString();
+    const versions = existing ? existing.versions : [];
+    const version = {
+        version: versions.length > 0 ? _.max(versions.map(v => v.version)) + 1 : 1,
+        ...template,
+        note: note || null,
+        author: author || null,
+        createdAt: now
+    };
+    data.templates[name] = {
+        name,
+        activeVersion: version.version,
+        versions: [...versions, version],
+        createdAt: existing && existing.createdAt ? existing.createdAt : now,
+        updatedAt: now
+    };
+    saveTemplates(data, tenant);
+    return data.templates[name];
+}
+
+// Make an earlier version active again
+function rollbackTemplate(name, version, tenant) {
+    const data = loadTemplates(tenant);
+    const record = data.templates[name];
+    if (!record) return null;
+    if (!record.versions.some(v => v.version === version)) {
+        throw new ValidationError(`Prompt template ${name} has no version ${version}`, ['version not found']);
+    }
+    data.templates[name] = { ...record, activeVersion: version, updatedAt: new Date().toISOString() };
+    saveTemplates(data, tenant);
+    return data.templates[name];
+}
+
+// Use a template for the tenant's queries unless a request asks for another
+function setDefaultTemplate(name, tenant) {
+    const data = loadTemplates(tenant);
+    if (!data.templates[name]) return null;
+    data.defaultTemplate = name;
+    saveTemplates(data, tenant);
+    return data.templates[name];
+}
+
+function deleteTemplate(name, tenant) {
+    const data = loadTemplates(tenant);
+    const record = data.templates[name];
+    if (!record || name === BUILT_IN_TEMPLATE_NAME) return null;
+    delete data.templates[name];
+    if (data.defaultTemplate === name) {
+        data.defaultTemplate = null;
+    }
+    saveTemplates(data, tenant);
+    return record;
+}
+
+// The template version to answer with: the requested one, else the tenant's default.
+// `selection` is a template name or { name, version }. Returns { name, version, ...fields }.
+function resolveTemplate(selection, tenant) {
+    const { name, version } = typeof selection === 'string' ? { name: selection } : (selection || {});
+    const data = loadTemplates(tenant);
+    const templateName = name || defaultTemplateName(data);
+    const record = data.templates[templateName];
+    if (!record) {
+        throw new ValidationError(`Unknown prompt template "${templateName}". Available templates: ${Object.keys(data.templates).join(', ')}`, ['unknown prompt template']);
+    }
+    const selected = version !== undefined
+        ? record.versions.find(v => v.version === Number(version))
+        : activeVersionOf(record);
+    if (!selected) {
+        throw new ValidationError(`Prompt template ${templateName} has no version ${version}`, ['version not found']);
+    }
+    return { name: templateName, ...selected };
+}
+
+// One pass with a replacer, so "$&" in a company name or {{product}} inside it stay literal
+const fillPlaceholders = (text, profile) =>
+    text.replace(/\{\{\s*(company|product)\s*\}\}/g, (placeholder, field) => profile[field]);
+
+// The system prompt for a template version
+function renderSystemPrompt(template) {
+    const { profile } = template;
+    const sections = [
+        `You are an RFP assistant specialized in analyzing historical RFP data from {{company}}.`,
+
+        `IMPORTANT CONTEXT:
+- Your knowledge base contains RFP responses created by {{company}} about their {{product}}
+- Document names represent different customer-specific RFP responses - they are NOT different vendors
+- All information comes from {{company}} about their own products/solutions
+- The customers named in documents are the recipients of these RFP responses, not the solution providers${profile.context.map(line => `\n- ${line}`).join('')}`,
+
+        template.tone ? `For all responses:\n${template.tone}` : null,
+
+        `For general queries and greetings:
+- Keep introductions minimal - identify as "RFP Assistant" only when first engaging
+- Respond professionally but briefly
+- Redirect to RFP topics if query is unrelated`,
+
+        `For RFP-specific queries:
+- Provide comprehensive answers using information from the provided context
+- Use terminology and phrasing that aligns with source documents while ensuring clarity
+- If information is unavailable in the knowledge base, clearly state "${template.refusal}"
+- Present critical information in an organized, easy-to-scan format
+- Ask for clarification when a question could have multiple interpretations
+- Context blocks marked "Approved answer" were reviewed by the proposal team - prefer them over other context when they disagree`,
+
+        `DOCUMENT HANDLING INSTRUCTIONS:
+1. NEVER mention document filenames in the body of your response
+2. All information should be presented as being about {{company}}'s {{product}}
+3. Do NOT refer to "Vendor A" or "Vendor B" as all information is from the same vendor ({{company}})
+4. Attribute information only through the numbered citations described below`,
+
+        `REQUIRED RESPONSE FORMAT:
+${template.answerFormat ? `${template.answerFormat.trim()}\n` : ''}- Cite the numbered context blocks you used, e.g. [1] or [2][3], right after the statements they support
+- Only cite numbers of context blocks you were given - never invent sources`,
+
+        template.example ? `EXAMPLE CORRECT RESPONSE:\n${template.example}` : null
+    ];
+    return fillPlaceholders(sections.filter(Boolean).join('\n\n'), profile);
+}
+
+module.exports = {
+    BUILT_IN_TEMPLATE_NAME,
+    listTemplates,
+    getTemplate,
+    saveTemplate,
+    rollbackTemplate,
+    setDefaultTemplate,
+    deleteTemplate,
+    resolveTemplate,
+    validateTemplate,
+    renderSystemPrompt
+};
@@ -0,0 +1,212 @@
+// server/queryFilters.js
+// Query filters and custom upload metadata.
+//
+// Clients scope questions with a filter object like:
+//   {
+//     rfpId: 'RK-2025' | ['RK-2025', 'CDW-2025'],
+//     title, customer, industry, year, category, documentCategory, sheetName,   // value or list of values
+//     uploadedAfter: '2025-01-01', uploadedBefore: '2025-12-31',               // ISO dates, inclusive
+//     metadata: { region: 'EMEA' },                                          // other custom upload fields
+//     exclude: { customer: ['CDW'] },                                        // same fields, any value excluded
+//     version: 2                                                             // with a single rfpId: that version of the RFP
+//   }
+// which is validated and translated into the vector store's (Pinecone-style) filter syntax.
+const _ = require('lodash');
+const { ValidationError } = require('./errors');
+const { versionFilter } = require('./rfpVersions');
+
+// Filter fields and the vector metadata key each one matches.
+// `category` is the row's category column; `documentCategory` is the category given at upload.
+const VALUE_FIELDS = {
+    rfpId: 'rfpId',
+    title: 'title',
+    customer: 'customer',
+    industry: 'industry',
+    year: 'year',
+    category: 'category',
+    documentCategory: 'documentCategory',
+    sheetName: 'sheetName'
+};
+
+const DATE_FIELDS = ['uploadedAfter', 'uploadedBefore'];
+
+// Custom metadata the upload form accepts as named fields; anything else goes in a JSON `metadata` field
+const CUSTOM_METADATA_FIELDS = ['customer', 'industry', 'year'];
+
+// Keys the ingestion pipeline writes itself, which custom metadata may not overwrite
+const RESERVED_METADATA_KEYS = [
+    'rfpId', 'title', 'uploadDate', 'uploadTimestamp', 'category', 'documentCategory', 'sheetName',
+    'rowNumber', 'recordType', 'text', 'pairId', 'question', 'answer', 'comments', 'originalData',
+    'embeddingModel', 'rowKey', 'contentHash', 'versionFrom', 'current', 'supersededIn'
+];
+
+const METADATA_KEY_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,63}$/;
+
+const isScalar = (value) => typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean';
+
+// A filter value is a scalar or a non-empty list of scalars
+function validateValue(field, value, errors) {
+    const values = Array.isArray(value) ? value : [value];
+    if (values.length === 0 || !values.every(isScalar)) {
+        errors.push(`${field} must be a string, number, boolean or a non-empty list of them`);
+        return null;
+    }
+    // Form fields and query strings send years as text; vectors store them as numbers
+    return field === 'year'
+        ? values.map(v => (typeof v === 'string' && /^\d{4}$/.test(v) ? Number(v) : v))
+        : values;
+}
+
+function parseDate(field, value, errors) {
+    const timestamp = typeof value === 'string' || typeof value === 'number' ? new Date(value).getTime() : NaN;
+    if (Number.isNaN(timestamp)) {
+        errors.push(`${field} must be an ISO date such as 2025-01-31`);
+        return null;
+    }
+    return timestamp;
+}
+
+// Conditions for a { field: value | [values] } object, either included ($in) or excluded ($nin)
+function valueConditions(fields, { exclude, prefix, errors }) {
+    const conditions = [];
+    for (const [field, value] of Object.entries(fields)) {
+        const key = prefix === 'metadata' ? field : VALUE_FIELDS[field];
+        if (prefix === 'metadata' && (!METADATA_KEY_PATTERN.test(field) || RESERVED_METADATA_KEYS.includes(field))) {
+            errors.push(`metadata.${field} is not a custom metadata field`);
+            continue;
+        }
+        if (!key) {
+            errors.push(`Unknown filter "${prefix ? `${prefix}.` : ''}${field}"`);
+            continue;
+        }
+        if (value === undefined || value === null || value === '') continue;
+
+        const values = validateValue(prefix ? `${prefix}.${field}` : field, value, errors);
+        if (!values) continue;
+        if (exclude) {
+            conditions.push({ [key]: { $nin: values } });
+        } else {
+            conditions.push({ [key]: values.length === 1 ? { $eq: values[0] } : { $in: values } });
+        }
+    }
+    return conditions;
+}
+
+// Validate query filters and translate them into a vector store filter.
+// Returns {} when nothing is filtered; throws a ValidationError describing every problem otherwise.
+function buildQueryFilter(filters) {
+    if (filters === undefined || filters === null) return {};
+    if (!_.isPlainObject(filters)) {
+        throw new ValidationError('Invalid filters: filters must be an object', ['filters must be an object']);
+    }
+
+    const errors = [];
+    const { exclude, metadata, version, ...fields } = filters;
+    const dates = _.pick(fields, DATE_FIELDS);
+    const values = _.omit(fields, DATE_FIELDS);
+
+    const conditions = valueConditions(values, { exclude: false, errors });
+
+    if (metadata !== undefined) {
+        if (_.isPlainObject(metadata)) {
+            conditions.push(...valueConditions(metadata, { exclude: false, prefix: 'metadata', errors }));
+        } else {
+            errors.push('metadata must be an object of custom field values');
+        }
+    }
+
+    if (exclude !== undefined) {
+        if (_.isPlainObject(exclude)) {
+            const { metadata: excludedMetadata, ...excludedFields } = exclude;
+            conditions.push(...valueConditions(excludedFields, { exclude: true, prefix: 'exclude', errors }));
+            if (_.isPlainObject(excludedMetadata)) {
+                conditions.push(...valueConditions(excludedMetadata, { exclude: true, prefix: 'metadata', errors }));
+            } else if (excludedMetadata !== undefined) {
+                errors.push('exclude.metadata must be an object of custom field values');
+            }
+        } else {
+            errors.push('exclude must be an object such as { "customer": ["CDW"] }');
+        }
+    }
+
+    // Upload dates are matched on the numeric uploadTimestamp, since range operators only apply to numbers
+    const after = dates.uploadedAfter ? parseDate('uploadedAfter', dates.uploadedAfter, errors) : null;
+    const before = dates.uploadedBefore ? parseDate('uploadedBefore', dates.uploadedBefore, errors) : null;
+    if (after !== null && before !== null && after > before) {
+        errors.push('uploadedAfter must not be later than uploadedBefore');
+    }
+    if (after !== null || before !== null) {
+        conditions.push({
+            uploadTimestamp: {
+                ...(after !== null ? { $gte: after } : {}),
+                // A bare date means the whole day
+                ...(before !== null ? { $lte: /^\d{4}-\d{2}-\d{2}$/.test(dates.uploadedBefore) ? before + 86399999 : before } : {})
+            }
+        });
+    }
+
+    // Versions are numbered per RFP, so asking about one needs exactly one RFP
+    if (version !== undefined) {
+        if (!Number.isInteger(Number(version)) || Number(version) < 1) {
+            errors.push('version must be a version number (1, 2, ...)');
+        } else if ([].concat(fields.rfpId || []).length !== 1) {
+            errors.push('version can only be used together with a single rfpId');
+        } else {
+            conditions.push(versionFilter(Number(version)));
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ValidationError(`Invalid filters: ${errors.join('; ')}`, errors);
+    }
+    if (conditions.length === 0) return {};
+    return conditions.length === 1 ? conditions[0] : { $and: conditions };
+}
+
+// Pull custom metadata (customer, industry, year and a JSON `metadata` object) out of an upload form.
+// Values must be strings, numbers or booleans so the vector store can filter on them.
+function parseCustomMetadata(body = {}) {
+    const errors = [];
+    let extra = {};
+    if (body.metadata) {
+        try {
+            extra = typeof body.metadata === 'string' ? JSON.parse(body.metadata) : body.metadata;
+        } catch (error) {
+            errors.push('metadata must be a JSON object');
+        }
+        if (!_.isPlainObject(extra)) {
+            errors.push('metadata must be a JSON object');
+            extra = {};
+        }
+    }
+
+    const custom = {};
+    const fields = { ...extra, ..._.pick(body, CUSTOM_METADATA_FIELDS) };
+    for (const [key, value] of Object.entries(fields)) {
+        if (value === undefined || value === null || value === '') continue;
+        if (!METADATA_KEY_PATTERN.test(key) || RESERVED_METADATA_KEYS.includes(key)) {
+            errors.push(`"${key}" cannot be used as a custom metadata field`);
+        } else if (!isScalar(value)) {
+            errors.push(`${key} must be a string, number or boolean`);
+        } else if (key === 'year') {
+            const year = Number(value);
+            if (!Number.isInteger(year) || year < 1900 || year > 2999) {
+                errors.push('year must be a four-digit year');
+            } else {
+                custom.year = year;
+            }
+        } else {
+            custom[key] = typeof value === 'string' ? value.trim() : value;
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ValidationError(`Invalid upload metadata: ${errors.join('; ')}`, errors);
+    }
+    return custom;
+}
+
+module.exports = {
+    buildQueryFilter,
+    parseCustomMetadata
+};
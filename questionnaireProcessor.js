@@ -0,0 +1,150 @@
+// server/questionnaireProcessor.js
+const _ = require('lodash');
+const { queryRFPData } = require('./excelProcessor');
+const { loadMappingProfiles, mapWorksheet } = require('./sheetMapper');
+const { loadWorkbook } = require('./spreadsheetLoader');
+const logger = require('./logger');
+
+// Questions shorter than this are treated as section labels, not questions
+const MIN_QUESTION_LENGTH = 5;
+
+const ANSWER_CONCURRENCY = parseInt(process.env.ANSWER_CONCURRENCY, 10) || 3;
+
+const ADDED_COLUMNS = [
+    { header: 'Draft Answer', width: 80 },
+    // Similarity of the best source to the question, not a measure of how correct the answer is
+    { header: 'Similarity Score', width: 16 },
+    { header: 'Source', width: 40 }
+];
+
+// Build a short "where did this come from" label: the cited rows, or every source when nothing was cited
+function describeSources(sources, citations = []) {
+    if (citations.length > 0) {
+        return citations
+            .map(citation => `[${citation.marker}] ${citation.title} / ${citation.section || citation.sheetName}` +
+                (citation.rowNumber ? ` row ${citation.rowNumber}` : '') +
+                (citation.page ? ` p. ${citation.page}` : ''))
+            .join('; ');
+    }
+    const location = (source) => `${source.title} / ${source.section || source.sheetName}`;
+    return _.uniqBy(sources, location)
+        .map(location)
+        .join('; ');
+}
+
+// Answer every question in a blank RFP workbook and return the filled .xlsx
+async function answerQuestionnaire(buffer, filters = {}, options = {}) {
+    try {
+        // Questionnaires can arrive in any supported format; the answers always go back as .xlsx
+        const { workbook } = await loadWorkbook(buffer, options.fileName || 'questionnaire.xlsx');
+
+        let totalQuestions = 0;
+        let answered = 0;
+        // Placeholder answers: no matching sources, or written without the chat model or vector search
+        let noMatches = 0;
+        let degraded = 0;
+        let errors = 0;
+        const sheets = [];
+        const skippedSheets = [];
+        const profiles = loadMappingProfiles();
+
+        for (const worksheet of workbook.worksheets) {
+            // A blank questionnaire only needs a question column
+            const mapping = mapWorksheet(worksheet, {
+                profiles,
+                mappingProfile: options.mappingProfile,
+                requiredRoles: ['question']
+            });
+            if (mapping.error) {
+                logger.info('No question column found on worksheet', { sheetName: worksheet.name, reason: mapping.error });
+                skippedSheets.push({ sheetName: worksheet.name, reason: mapping.error });
+                continue;
+            }
+
+            const { headerRow } = mapping;
+            const questionColumn = mapping.columns.question;
+            logger.info('Answering worksheet', { sheetName: worksheet.name, headerRow, questionColumn });
+
+            // Append the new columns after the last used column, styled like the question header
+            const firstAddedColumn = worksheet.columnCount + 1;
+            const headerStyle = worksheet.getRow(headerRow).getCell(questionColumn).style;
+            ADDED_COLUMNS.forEach((column, index) => {
+                const cell = worksheet.getRow(headerRow).getCell(firstAddedColumn + index);
+                cell.value = column.header;
+                cell.style = _.cloneDeep(headerStyle);
+                worksheet.getColumn(firstAddedColumn + index).width = column.width;
+            });
+
+            const questionRows = [];
+            for (let rowNumber = headerRow + 1; rowNumber <= worksheet.rowCount; rowNumber++) {
+                const question = worksheet.getRow(rowNumber).getCell(questionColumn).text.trim();
+                if (question.length >= MIN_QUESTION_LENGTH) {
+                    questionRows.push({ rowNumber, question });
+                }
+            }
+            totalQuestions += questionRows.length;
+
+            // Answer a few questions at a time to keep within API rate limits
+            for (const batch of _.chunk(questionRows, ANSWER_CONCURRENCY)) {
+                await Promise.all(batch.map(async ({ rowNumber, question }) => {
+                    const row = worksheet.getRow(rowNumber);
+                    const response = await queryRFPData(question, filters, {
+                        tenant: options.tenant,
+                        promptTemplate: options.promptTemplate
+                    });
+                    const sources = response.sources || [];
+
+                    const answerCell = row.getCell(firstAddedColumn);
+                    answerCell.value = response.answer;
+                    answerCell.alignment = { wrapText: true, vertical: 'top' };
+
+                    const similarityCell = row.getCell(firstAddedColumn + 1);
+                    similarityCell.value = sources.length > 0
+                        ? Math.round(sources[0].score * 100) / 100
+                        : null;
+                    similarityCell.numFmt = '0.00';
+                    similarityCell.alignment = { vertical: 'top' };
+
+                    const sourceCell = row.getCell(firstAddedColumn + 2);
+                    sourceCell.value = describeSources(sources, response.citations);
+                    sourceCell.alignment = { wrapText: true, vertical: 'top' };
+
+                    if (response.error) {
+                        errors++;
+                    } else if (response.degraded) {
+                        degraded++;
+                    } else if (sources.length === 0) {
+                        noMatches++;
+                    } else {
+                        answered++;
+                    }
+                }));
+                logger.debug('Answered questions', { done: answered + noMatches + degraded + errors, total: totalQuestions });
+            }
+
+            sheets.push(worksheet.name);
+        }
+
+        const output = await workbook.xlsx.writeBuffer();
+
+        return {
+            buffer: Buffer.from(output),
+            stats: {
+                totalQuestions,
+                answered,
+                noMatches,
+                degraded,
+                errors
+            },
+            sheets,
+            skippedSheets
+        };
+    } catch (error) {
+        logger.error('Error answering questionnaire', { error });
+        throw error;
+    }
+}
+
+module.exports = {
+    answerQuestionnaire
+};
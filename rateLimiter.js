@@ -0,0 +1,90 @@
+// server/rateLimiter.js
+// Per-caller rate limits for the /api routes. Callers are identified by API key (or by IP
+// address when authentication is disabled). Limits are sliding windows kept in memory, so
+// they apply per server process.
+//
+//   RATE_LIMIT_PER_MINUTE         every /api request (default 120)
+//   QUERY_RATE_LIMIT_PER_MINUTE   questions: queries, streamed queries and conversation turns (default 30)
+//   INGEST_RATE_LIMIT_PER_HOUR    uploads, re-ingestion, questionnaires and imports (default 60)
+//
+// A limit of 0 turns that limiter off.
+const { RateLimitError } = require('./errors');
+
+const parseLimit = (value, fallback) => {
+    if (value === undefined || value === '') return fallback;
+    const limit = parseInt(value, 10);
+    return Number.isNaN(limit) || limit < 0 ? fallback : limit;
+};
+
+const callerKey = (req) => (req.auth && req.auth.keyId ? `key:${req.auth.keyId}` : `ip:${req.ip}`);
+
+// Middleware allowing each caller `limit` requests per `windowMs`. Sets the RateLimit-* headers
+// and answers 429 with Retry-After once the limit is reached.
+function createRateLimiter({ name, limit, windowMs }) {
+    // caller -> timestamps of the requests inside the current window
+    const windows = new Map();
+    let lastSweep = Date.now();
+
+    // Forget callers that have been idle for a whole window
+    const sweep = (now) => {
+        if (now - lastSweep < windowMs) return;
+        lastSweep = now;
+        for (const [key, timestamps] of windows) {
+            if (timestamps[timestamps.length - 1] <= now - windowMs) windows.delete(key);
+        }
+    };
+
+    return (req, res, next) => {
+        if (limit === 0) return next();
+
+        const now = Date.now();
+        sweep(now);
+        const key = callerKey(req);
+        const timestamps = (windows.get(key) || []).filter(time => time > now - windowMs);
+        windows.set(key, timestamps);
+
+        const resetSeconds = Math.ceil(((timestamps[0] || now) + windowMs - now) / 1000);
+        res.setHeader('RateLimit-Limit', limit);
+        res.setHeader('RateLimit-Reset', resetSeconds);
+
+        if (timestamps.length >= limit) {
+            res.setHeader('RateLimit-Remaining', 0);
+            res.setHeader('Retry-After', resetSeconds);
+            return next(new RateLimitError(
+                `Rate limit exceeded: at most ${limit} ${name} per ${windowMs >= 3600000 ? 'hour' : 'minute'}. Try again in ${resetSeconds} seconds`,
+                resetSeconds
+            ));
+        }
+        timestamps.push(now);
+        res.setHeader('RateLimit-Remaining', limit - timestamps.length);
+        next();
+    };
+}
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const limitRequests = createRateLimiter({
+    name: 'requests',
+    limit: parseLimit(process.env.RATE_LIMIT_PER_MINUTE, 120),
+    windowMs: MINUTE
+});
+
+const limitQueries = createRateLimiter({
+    name: 'questions',
+    limit: parseLimit(process.env.QUERY_RATE_LIMIT_PER_MINUTE, 30),
+    windowMs: MINUTE
+});
+
+const limitIngestion = createRateLimiter({
+    name: 'uploads and imports',
+    limit: parseLimit(process.env.INGEST_RATE_LIMIT_PER_HOUR, 60),
+    windowMs: HOUR
+});
+
+module.exports = {
+    createRateLimiter,
+    limitRequests,
+    limitQueries,
+    limitIngestion
+};
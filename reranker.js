@@ -0,0 +1,92 @@
+// server/reranker.js
+// Optional reranking stage that reorders retrieval candidates before they go into the prompt.
+//
+//   lexical - favors candidates containing the question's terms and phrases (no API calls)
+//   llm     - asks the chat model to grade each candidate's relevance
+//
+// Rerankers take candidates shaped { text, score, ... } and return them sorted by
+// rerankScore, with `score` updated to the reranked value.
+const { tokenize } = require('./keywordIndex');
+const logger = require('./logger');
+
+const RERANKERS = ['none', 'lexical', 'llm'];
+
+// How much the reranker's judgement counts against the retrieval score
+const RERANK_WEIGHT = 0.5;
+
+const blend = (candidate, rerankScore) => ({
+    ...candidate,
+    retrievalScore: candidate.score,
+    rerankScore,
+    score: (1 - RERANK_WEIGHT) * candidate.score + RERANK_WEIGHT * rerankScore
+});
+
+const byScore = (a, b) => b.score - a.score;
+
+function lexicalRerank(question, candidates) {
+    const terms = Array.from(new Set(tokenize(question)));
+    const phrases = terms.slice(1).map((term, i) => `${terms[i]} ${term}`);
+    if (terms.length === 0) return candidates;
+
+    return candidates.map(candidate => {
+        const tokens = tokenize(candidate.text);
+        const tokenSet = new Set(tokens);
+        const joined = ` ${tokens.join(' ')} `;
+
+        const termCoverage = terms.filter(term => tokenSet.has(term)).length / terms.length;
+        const phraseCoverage = phrases.length > 0
+            ? phrases.filter(phrase => joined.includes(` ${phrase} `)).length / phrases.length
+            : termCoverage;
+        return blend(candidate, 0.7 * termCoverage + 0.3 * phraseCoverage);
+    }).sort(byScore);
+}
+
+async function llmRerank(question, candidates, chatProvider) {
+    const listing = candidates
+        .map((candidate, i) => `[${i + 1}] ${candidate.text.slice(0, 1000)}`)
+        .join('\n\n');
+
+    try {
+        const completion = await chatProvider.complete([
+            {
+                role: 'system',
+                content: 'You grade how well each numbered passage answers a question about RFP responses. ' +
+                    'Reply with a JSON array of numbers from 0 (irrelevant) to 10 (directly answers it), one per passage, in order. Reply with the array only.'
+            },
+            {
+                role: 'user',
+                content: `Question: ${question}\n\nPassages:\n${listing}`
+            }
+        ], { temperature: 0, stage: 'rerank' });
+
+        const grades = JSON.parse(completion.content.match(/\[[\s\S]*\]/)[0]);
+        if (!Array.isArray(grades) || grades.length !== candidates.length) {
+            throw new Error(`expected ${candidates.length} grades, got ${grades.length}`);
+        }
+        return candidates
+            .map((candidate, i) => blend(candidate, Math.max(0, Math.min(10, Number(grades[i]) || 0)) / 10))
+            .sort(byScore);
+    } catch (error) {
+        // Keep the retrieval order rather than failing the query
+        logger.warn('LLM reranking failed, keeping retrieval order', { error });
+        return candidates;
+    }
+}
+
+async function rerank(type, question, candidates, chatProvider) {
+    if (!type || type === 'none' || candidates.length < 2) {
+        return candidates;
+    }
+    if (type === 'lexical') {
+        return lexicalRerank(question, candidates);
+    }
+    if (type === 'llm') {
+        return llmRerank(question, candidates, chatProvider);
+    }
+    throw new Error(`Unknown reranker "${type}". Expected one of: ${RERANKERS.join(', ')}`);
+}
+
+module.exports = {
+    RERANKERS,
+    rerank
+};
@@ -0,0 +1,211 @@
+// server/rfpVersions.js
+// Versioned ingestion. Every upload of an RFP creates a new version. Each record gets a row key
+// (which record it is: sheet + question, sheet + row number, or section + chunk) and a hash of
+// its content; comparing both with the previous version's manifest tells which records were
+// added, changed, removed or left unchanged. A row whose content turns up under another row
+// number of the same sheet (rows were inserted or deleted above it) is unchanged, not removed
+// and added. Where a record sits (row number, cell range) and the RFP's metadata are not
+// content: when only they change, the record stays unchanged and its vector's metadata is
+// updated in place.
+//
+// The vector of a changed or removed record is marked superseded
+// ({ current: false, supersededIn: <version> }) and kept, so questions can still be asked
+// against older versions, until the version falls out of the retention window.
+const crypto = require('crypto');
+const _ = require('lodash');
+
+// How many versions of each RFP stay queryable
+const VERSION_RETENTION = parseInt(process.env.RFP_VERSION_RETENTION, 10) || 5;
+
+// Filter that hides superseded content; vectors written before versioning have no `current` field
+const CURRENT_CONTENT_FILTER = { current: { $ne: false } };
+
+const md5 = (value) => crypto.createHash('md5').update(value).digest('hex');
+
+const normalizeText = (text) => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Give every record a row key. Rows without a question are keyed by their position, so an
+// edited row keeps its key; planVersion recognises rows that only moved by their content.
+// Keys repeat for duplicate questions on a sheet and for the chunks of one section, so later
+// occurrences are numbered: "...#2", "...#3".
+function assignRowKeys(items) {
+    const seen = {};
+    return items.map(item => {
+        let key;
+        if (item.recordType === 'section') {
+            key = `section|${item.section || ''}`;
+        } else if (item.recordType === 'question' || item.recordType === 'answer') {
+            key = `${item.recordType}|${item.sheetName}|${normalizeText(item.fields.question)}`;
+        } else {
+            key = `row|${item.sheetName}|${item.rowNumber}`;
+        }
+        seen[key] = (seen[key] || 0) + 1;
+        return { ...item, rowKey: seen[key] > 1 ? `${key}#${seen[key]}` : key };
+    });
+}
+
+// Hash of a record's content: its text and its question, answer, category and comments
+function contentHash(item) {
+    return crypto.createHash('sha256').update(JSON.stringify(
+        _.pick(item, ['recordType', 'text', 'fields'])
+    )).digest('hex');
+}
+
+// Vector ID for a record's content. Question and answer records get their own ID space.
+function vectorIdFor(metadata, item, hash) {
+    const prefix = item.recordType && item.recordType !== 'row' ? `${item.recordType}-` : '';
+    return md5(`${prefix}${metadata.rfpId}-${item.rowKey}-${hash}`);
+}
+
+// The versioning state of an RFP's registry record. RFPs ingested before versioning count as
+// version 1, with no manifest: all their vectors are replaced by the next upload.
+function previousVersionState(record) {
+    if (!record) {
+        return { version: 0, manifest: {}, versions: [], supersededVectors: [], legacyVectorIds: [] };
+    }
+    if (!record.currentVersion) {
+        return {
+            version: 1,
+            manifest: {},
+            versions: [{
+                version: 1,
+                uploadDate: record.uploadDate,
+                fileName: record.originalFile ? record.originalFile.fileName : null,
+                itemCount: record.itemCount,
+                changes: null
+            }],
+            supersededVectors: [],
+            legacyVectorIds: record.vectorIds || []
+        };
+    }
+    return {
+        version: record.currentVersion,
+        manifest: record.manifest || {},
+        versions: record.versions || [],
+        supersededVectors: record.supersededVectors || [],
+        legacyVectorIds: []
+    };
+}
+
+// Sheet + content of a row record's manifest entry, to find rows that moved
+const rowContentKey = (rowKey, hash) => `${rowKey.slice(0, rowKey.lastIndexOf('|'))}\n${hash}`;
+
+// Compare records with the previous manifest. Returns the records annotated with
+// { rowKey, contentHash, vectorId, change, versionFrom } and counts of each kind of change.
+function planVersion(metadata, items, previous, version) {
+    // Content that returns after being superseded gets a fresh vector; the old one still belongs to older versions
+    const supersededIds = new Set(previous.supersededVectors.map(entry => entry.vectorId));
+    const hashed = assignRowKeys(items).map(item => ({ ...item, contentHash: contentHash(item) }));
+
+    // Previous records matched to a record of this upload, by row key
+    const claimed = new Set();
+    const unchanged = (item, previousKey) => {
+        const before = previous.manifest[previousKey];
+        claimed.add(previousKey);
+        return { ...item, vectorId: before.vectorId, versionFrom: before.versionFrom, change: 'unchanged' };
+    };
+
+    // Records whose content is still under the same key
+    const matched = hashed.map(item => {
+        const before = previous.manifest[item.rowKey];
+        return before && before.contentHash === item.contentHash ? unchanged(item, item.rowKey) : null;
+    });
+
+    // Rows whose content moved to another row number of the same sheet
+    const movable = {};
+    Object.entries(previous.manifest).forEach(([key, entry]) => {
+        if (key.startsWith('row|') && !claimed.has(key)) {
+            const contentKey = rowContentKey(key, entry.contentHash);
+            (movable[contentKey] = movable[contentKey] || []).push(key);
+        }
+    });
+    hashed.forEach((item, index) => {
+        const candidates = item.recordType === 'row' && !matched[index] && movable[rowContentKey(item.rowKey, item.contentHash)];
+        if (candidates && candidates.length > 0) {
+            matched[index] = unchanged(item, candidates.shift());
+        }
+    });
+
+    // Everything else is new content: a changed record when its key's previous content wasn't
+    // matched elsewhere, otherwise an added one
+    const planned = hashed.map((item, index) => {
+        if (matched[index]) return matched[index];
+        const replaces = previous.manifest[item.rowKey] && !claimed.has(item.rowKey);
+        const vectorId = vectorIdFor(metadata, item, item.contentHash);
+        return {
+            ...item,
+            vectorId: supersededIds.has(vectorId) ? md5(`${vectorId}-v${version}`) : vectorId,
+            versionFrom: version,
+            change: replaces ? 'changed' : 'added'
+        };
+    });
+    planned.filter(item => item.change === 'changed').forEach(item => claimed.add(item.rowKey));
+
+    return {
+        items: planned,
+        changes: {
+            added: planned.filter(item => item.change === 'added').length,
+            changed: planned.filter(item => item.change === 'changed').length,
+            removed: Object.keys(previous.manifest).filter(key => !claimed.has(key)).length,
+            unchanged: planned.filter(item => item.change === 'unchanged').length,
+            // Vectors from before versioning can't be matched to rows, so they are all replaced
+            ...(previous.legacyVectorIds.length > 0 ? { legacyVectorsReplaced: previous.legacyVectorIds.length } : {})
+        }
+    };
+}
+
+// The new version's manifest: rowKey -> { vectorId, contentHash, versionFrom }. Changed records
+// that failed to embed keep their previous vector, so the next upload tries them again.
+function buildManifest(items, storedIds, previous) {
+    const manifest = {};
+    for (const item of items) {
+        if (storedIds.has(item.vectorId)) {
+            manifest[item.rowKey] = { vectorId: item.vectorId, contentHash: item.contentHash, versionFrom: item.versionFrom };
+        } else if (item.change === 'changed') {
+            manifest[item.rowKey] = previous.manifest[item.rowKey];
+        }
+    }
+    return manifest;
+}
+
+// Vectors of the previous version that are not part of the new one
+function supersededVectorIds(previous, manifest) {
+    const currentIds = new Set(Object.values(manifest).map(entry => entry.vectorId));
+    return _.uniq([
+        ...Object.values(previous.manifest).map(entry => entry.vectorId),
+        ...previous.legacyVectorIds
+    ]).filter(id => !currentIds.has(id));
+}
+
+// Vector filter for the content of one RFP version
+function versionFilter(version) {
+    return {
+        $and: [
+            { $or: [{ versionFrom: { $lte: version } }, { versionFrom: { $exists: false } }] },
+            { $or: [{ current: { $ne: false } }, { supersededIn: { $gt: version } }] }
+        ]
+    };
+}
+
+// Whether a version's content is still complete in the index
+function isQueryableVersion(version, currentVersion) {
+    return version <= currentVersion && version > currentVersion - VERSION_RETENTION;
+}
+
+// Superseded vectors that are only needed by versions older than the retention window
+function expiredVectors(supersededVectors, currentVersion) {
+    const oldestKept = currentVersion - VERSION_RETENTION + 1;
+    return supersededVectors.filter(entry => entry.supersededIn <= oldestKept);
+}
+
+module.exports = {
+    VERSION_RETENTION,
+    CURRENT_CONTENT_FILTER,
+    previousVersionState,
+    planVersion,
+    buildManifest,
+    supersededVectorIds,
+    versionFilter,
+    isQueryableVersion,
+    expiredVectors
+};
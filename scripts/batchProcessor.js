@@ -0,0 +1,457 @@
+// server/scripts/batchProcessor.js
+// Ingest every RFP file in a folder, or keep watching the folder and ingest files as they arrive.
+//
+//   node scripts/batchProcessor.js --dir ./rfp_documents --category proposals --concurrency 2
+//   node scripts/batchProcessor.js --dir ./rfp_documents --watch
+//
+// Per-file metadata can be given in a sidecar JSON file next to the RFP, named after it with
+// .json appended (RK_2025.xlsx -> RK_2025.xlsx.json):
+//   { "rfpId": "RK-2025", "title": "Rural King 2025", "category": "retail",
+//     "customer": "Rural King", "year": 2025, "metadata": { "region": "US" },
+//     "mappingProfile": "softeon-standard", "embedAnswers": true }
+//
+// Ingested files move to <dir>/processed. Files that fail move to <dir>/failed, next to an
+// <file>.error.json report, so they aren't retried until someone puts them back.
+const path = require('path');
+const fs = require('fs').promises;
+
+// Load environment variables from the correct path
+const dotenv = require('dotenv');
+const envPath = path.join(__dirname, '..', '.env');
+const result = dotenv.config({ path: envPath });
+
+// The pipeline's logs are for people watching the run, not a log collector
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'pretty';
+const logger = require('../logger');
+
+if (result.error) {
+    // The environment may come from the shell instead
+    logger.debug('No .env file loaded', { path: envPath, error: result.error.message });
+} else {
+    logger.debug('Environment variables loaded', {
+        path: envPath,
+        pineconeApiKey: !!process.env.PINECONE_API_KEY,
+        pineconeEnvironment: !!process.env.PINECONE_ENVIRONMENT,
+        pineconeIndexName: !!process.env.PINECONE_INDEX_NAME
+    });
+}
+
+const _ = require('lodash');
+const { hasSupportedExtension } = require('../spreadsheetLoader');
+const { hasDocumentExtension } = require('../documentLoader');
+const { getMappingProfile } = require('../sheetMapper');
+const { parseCustomMetadata } = require('../queryFilters');
+const { DEFAULT_TENANT, TENANT_ID_PATTERN } = require('../jsonFileStore');
+const { ValidationError } = require('../errors');
+
+const USAGE = `Usage: node scripts/batchProcessor.js [options]
+
+Options:
+  --dir <path>              Folder with the RFP files (default: rfp_documents)
+  --category <name>         Category for files whose sidecar doesn't set one (default: batch-uploaded)
+  --tenant <id>             Tenant to ingest into (default: ${DEFAULT_TENANT})
+  --mapping-profile <name>  Mapping profile for files whose sidecar doesn't set one
+  --concurrency <n>         Files ingested at the same time (default: 1)
+  --dry-run                 Show what would be ingested, with its metadata, without ingesting
+  --watch                   Keep running and ingest new files as they land in the folder
+  --interval <seconds>      How often watch mode looks for new files (default: 5)
+  --help                    Show this help`;
+
+const DEFAULT_OPTIONS = {
+    dir: path.join(__dirname, '../rfp_documents'),
+    category: 'batch-uploaded',
+    tenant: DEFAULT_TENANT,
+    mappingProfile: undefined,
+    concurrency: 1,
+    dryRun: false,
+    watch: false,
+    interval: 5
+};
+
+// Sidecar fields besides the custom metadata fields parseCustomMetadata accepts
+const SIDECAR_FIELDS = ['rfpId', 'title', 'category', 'mappingProfile', 'embedAnswers'];
+const SIDECAR_METADATA_FIELDS = ['customer', 'industry', 'year', 'metadata'];
+
+const PROCESSED_DIR = 'processed';
+const FAILED_DIR = 'failed';
+
+function parseArgs(argv) {
+    const options = { ...DEFAULT_OPTIONS };
+    const errors = [];
+    const args = [...argv];
+
+    while (args.length > 0) {
+        const arg = args.shift();
+        const [flag, inlineValue] = arg.startsWith('--') ? arg.split(/=(.*)/s) : [arg];
+        const value = () => {
+            const next = inlineValue !== undefined ? inlineValue : args.shift();
+            if (next === undefined || next === '') errors.push(`${flag} needs a value`);
+            return next;
+        };
+
+        switch (flag) {
+            case '--dir': options.dir = path.resolve(value() || ''); break;
+            case '--category': options.category = value(); break;
+            case '--tenant': options.tenant = value(); break;
+            case '--mapping-profile': options.mappingProfile = value(); break;
+            case '--concurrency': options.concurrency = Number(value()); break;
+            case '--interval': options.interval = Number(value()); break;
+            case '--dry-run': options.dryRun = true; break;
+            case '--watch': options.watch = true; break;
+            case '--help': case '-h': options.help = true; break;
+            default: errors.push(`Unknown argument: ${arg}`);
+        }
+    }
+
+    if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+        errors.push('--concurrency must be a whole number of at least 1');
+    }
+    if (!(options.interval > 0)) {
+        errors.push('--interval must be a number of seconds');
+    }
+    if (!TENANT_ID_PATTERN.test(options.tenant || '')) {
+        errors.push('--tenant must be 1-63 letters, digits, "-" or "_"');
+    }
+    if (options.mappingProfile && !getMappingProfile(options.mappingProfile)) {
+        errors.push(`Unknown mapping profile: ${options.mappingProfile}`);
+    }
+    if (errors.length > 0) {
+        throw new ValidationError(errors.join('\n'), errors);
+    }
+    return options;
+}
+
+const isRFPFile = (file) => hasSupportedExtension(file) || hasDocumentExtension(file);
+
+// RFP files directly in the folder (not in processed/ or failed/), with their size and modification time
+async function listRFPFiles(dir) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    const files = [];
+    for (const entry of entries) {
+        if (!entry.isFile() || !isRFPFile(entry.name)) continue;
+        const stats = await fs.stat(path.join(dir, entry.name));
+        files.push({ file: entry.name, size: stats.size, mtimeMs: stats.mtimeMs });
+    }
+    return files.sort((a, b) => a.file.localeCompare(b.file));
+}
+
+async function fileExists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Read and validate a file's sidecar; files without one get {}
+async function readSidecar(dir, file) {
+    const sidecarPath = path.join(dir, `${file}.json`);
+    if (!(await fileExists(sidecarPath))) return {};
+
+    let sidecar;
+    try {
+        sidecar = JSON.parse(await fs.readFile(sidecarPath, 'utf8'));
+    } catch (error) {
+        throw new ValidationError(`Invalid sidecar ${file}.json: ${error.message}`, [error.message]);
+    }
+    if (!_.isPlainObject(sidecar)) {
+        throw new ValidationError(`Invalid sidecar ${file}.json: expected a JSON object`, ['sidecar must be a JSON object']);
+    }
+
+    const unknown = Object.keys(sidecar).filter(key => ![...SIDECAR_FIELDS, ...SIDECAR_METADATA_FIELDS].includes(key));
+    if (unknown.length > 0) {
+        const errors = unknown.map(key => `unknown field "${key}"`);
+        throw new ValidationError(`Invalid sidecar ${file}.json: ${errors.join('; ')}`, errors);
+    }
+    return sidecar;
+}
+
+// Upload metadata and ingest options for a file, from its sidecar and the command line defaults
+async function prepareFile(dir, file, options) {
+    const sidecar = await readSidecar(dir, file);
+    const mappingProfile = sidecar.mappingProfile || options.mappingProfile;
+    if (mappingProfile && !getMappingProfile(mappingProfile)) {
+        throw new ValidationError(`Unknown mapping profile: ${mappingProfile}`, ['unknown mapping profile']);
+    }
+    if (sidecar.embedAnswers !== undefined && typeof sidecar.embedAnswers !== 'boolean') {
+        throw new ValidationError('Invalid sidecar: embedAnswers must be true or false', ['embedAnswers must be a boolean']);
+    }
+
+    return {
+        metadata: {
+            ...parseCustomMetadata(_.pick(sidecar, SIDECAR_METADATA_FIELDS)),
+            rfpId: sidecar.rfpId || `RFP-${path.parse(file).name}`,
+            title: sidecar.title || file,
+            uploadDate: new Date().toISOString(),
+            category: sidecar.category || options.category
+        },
+        ingestOptions: {
+            mappingProfile,
+            embedAnswers: sidecar.embedAnswers
+        }
+    };
+}
+
+// Move a file (and its sidecar, if any) into a subfolder
+async function moveWithSidecar(dir, file, subfolder) {
+    const targetDir = path.join(dir, subfolder);
+    await fs.mkdir(targetDir, { recursive: true });
+    await fs.rename(path.join(dir, file), path.join(targetDir, file));
+    if (await fileExists(path.join(dir, `${file}.json`))) {
+        await fs.rename(path.join(dir, `${file}.json`), path.join(targetDir, `${file}.json`));
+    }
+}
+
+// Park a failed file in failed/ with a report of what went wrong
+async function recordFailure(dir, file, error, rfpId) {
+    const report = {
+        file,
+        rfpId: rfpId || null,
+        error: error.message,
+        details: error.details || undefined,
+        failedAt: new Date().toISOString()
+    };
+    try {
+        await moveWithSidecar(dir, file, FAILED_DIR);
+        await fs.writeFile(path.join(dir, FAILED_DIR, `${file}.error.json`), JSON.stringify(report, null, 2));
+    } catch (moveError) {
+        logger.error(`Could not move ${file} to ${FAILED_DIR}/`, { error: moveError });
+    }
+    return report;
+}
+
+// Ingest one file; never throws, the outcome is returned for the summary
+async function ingestFile(dir, file, options) {
+    const startedAt = Date.now();
+    let metadata;
+    try {
+        const prepared = await prepareFile(dir, file, options);
+        metadata = prepared.metadata;
+        logger.info(`Processing ${file}`, { rfpId: metadata.rfpId });
+
+        // Loaded on first use, so --dry-run and --help work without vector store credentials
+        const { processExcelRFP } = require('../excelProcessor');
+        const { runAsSystem } = require('../usageTracker');
+        const fileBuffer = await fs.readFile(path.join(dir, file));
+        const result = await runAsSystem('batch', options.tenant, () => processExcelRFP(fileBuffer, metadata, {
+            ...prepared.ingestOptions,
+            fileName: file,
+            tenant: options.tenant
+        }));
+
+        await moveWithSidecar(dir, file, PROCESSED_DIR);
+        logger.info(`Processed ${file}`, {
+            rfpId: metadata.rfpId,
+            version: result.version,
+            embedded: result.stats.processed,
+            unchanged: result.stats.skipped,
+            errors: result.stats.errors
+        });
+        return {
+            file,
+            status: 'processed',
+            rfpId: metadata.rfpId,
+            version: result.version,
+            changes: result.changes,
+            stats: result.stats,
+            unmappedSheets: result.unmappedSheets,
+            durationMs: Date.now() - startedAt
+        };
+    } catch (error) {
+        logger.error(`Error processing ${file}`, { error: error.message });
+        const report = await recordFailure(dir, file, error, metadata && metadata.rfpId);
+        return { ...report, status: 'failed', durationMs: Date.now() - startedAt };
+    }
+}
+
+// Ingest files with at most `concurrency` running at once
+async function ingestFiles(dir, files, options) {
+    const queue = [...files];
+    const results = [];
+    const worker = async () => {
+        while (queue.length > 0) {
+            results.push(await ingestFile(dir, queue.shift(), options));
+        }
+    };
+    await Promise.all(_.times(Math.min(options.concurrency, files.length), worker));
+    return results;
+}
+
+// Files that share an rfpId would race to create its next version; only the first one is ingested
+async function rejectDuplicateRfpIds(dir, files, options) {
+    const seen = {};
+    const accepted = [];
+    const rejected = [];
+    for (const file of files) {
+        let rfpId;
+        try {
+            ({ metadata: { rfpId } } = await prepareFile(dir, file, options));
+        } catch (error) {
+            // Reported when the file itself is ingested
+            accepted.push(file);
+            continue;
+        }
+        if (seen[rfpId]) {
+            const error = new Error(`${seen[rfpId]} in the same batch has rfpId ${rfpId}; upload this file again once it is ingested`);
+            rejected.push({ ...(await recordFailure(dir, file, error, rfpId)), status: 'failed', durationMs: 0 });
+        } else {
+            seen[rfpId] = file;
+            accepted.push(file);
+        }
+    }
+    return { accepted, rejected };
+}
+
+function summarize(results, startedAt, options) {
+    const processed = results.filter(r => r.status === 'processed');
+    return {
+        dir: options.dir,
+        tenant: options.tenant,
+        startedAt: new Date(startedAt).toISOString(),
+        finishedAt: new Date().toISOString(),
+        files: results.length,
+        processed: processed.length,
+        failed: results.length - processed.length,
+        records: {
+            embedded: _.sumBy(processed, r => r.stats.processed),
+            unchanged: _.sumBy(processed, r => r.stats.skipped),
+            errors: _.sumBy(processed, r => r.stats.errors)
+        },
+        results
+    };
+}
+
+// Print the summary and keep a copy in the folder
+async function writeSummary(summary, options) {
+    logger.info('Batch summary', {
+        processed: summary.processed,
+        failed: summary.failed,
+        recordsEmbedded: summary.records.embedded,
+        recordsUnchanged: summary.records.unchanged,
+        recordErrors: summary.records.errors
+    });
+    for (const failure of summary.results.filter(r => r.status === 'failed')) {
+        logger.warn(`Failed: ${failure.file}`, { error: failure.error });
+    }
+    if (options.dryRun || summary.files === 0) return;
+
+    const summaryPath = path.join(options.dir, `batch-summary-${summary.startedAt.replace(/[:.]/g, '-')}.json`);
+    await fs.writeFile(summaryPath, JSON.stringify(summary, null, 2));
+    logger.info('Summary written', { path: summaryPath });
+}
+
+// Show the metadata each file would be ingested with, and any sidecar problems
+async function dryRun(dir, files, options) {
+    logger.info(`Dry run: ${files.length} files would be ingested`, { tenant: options.tenant });
+    let problems = 0;
+    for (const file of files) {
+        try {
+            const { metadata, ingestOptions } = await prepareFile(dir, file, options);
+            logger.info(`Would ingest ${file}`, { ..._.omit(metadata, 'uploadDate'), ..._.omitBy(ingestOptions, _.isUndefined) });
+        } catch (error) {
+            problems++;
+            logger.warn(`Would fail: ${file}`, { error: error.message });
+        }
+    }
+    return problems;
+}
+
+async function processBatchRFPs(options) {
+    const startedAt = Date.now();
+    await fs.mkdir(options.dir, { recursive: true });
+
+    const files = (await listRFPFiles(options.dir)).map(entry => entry.file);
+    logger.info(`Found ${files.length} RFP files to process`, { dir: options.dir });
+
+    if (options.dryRun) {
+        return { failed: await dryRun(options.dir, files, options) };
+    }
+
+    const { accepted, rejected } = await rejectDuplicateRfpIds(options.dir, files, options);
+    const results = [...rejected, ...(await ingestFiles(options.dir, accepted, options))];
+    const summary = summarize(results, startedAt, options);
+    await writeSummary(summary, options);
+    return summary;
+}
+
+// Poll the folder and ingest files once they have stopped changing, so files that are
+// still being copied in aren't picked up half-written. Copy sidecars in before their RFP.
+async function watchFolder(options) {
+    await fs.mkdir(options.dir, { recursive: true });
+    logger.info(`Watching ${options.dir} for RFP files (every ${options.interval}s, Ctrl+C to stop)`);
+
+    const startedAt = Date.now();
+    const results = [];
+    let lastSeen = {};
+    let stopping = false;
+    let wake = () => {};
+
+    // Finish the files being ingested before stopping; a second Ctrl+C stops right away
+    const stop = () => {
+        if (stopping) process.exit(1);
+        stopping = true;
+        logger.info('Stopping watch mode once the current files are done');
+        wake();
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+
+    while (!stopping) {
+        try {
+            const entries = await listRFPFiles(options.dir);
+            const ready = entries
+                .filter(entry => {
+                    const before = lastSeen[entry.file];
+                    return before && before.size === entry.size && before.mtimeMs === entry.mtimeMs;
+                })
+                .map(entry => entry.file);
+            lastSeen = _.keyBy(entries, 'file');
+
+            if (ready.length > 0) {
+                const { accepted, rejected } = await rejectDuplicateRfpIds(options.dir, ready, options);
+                const batch = [...rejected, ...(await ingestFiles(options.dir, accepted, options))];
+                results.push(...batch);
+                ready.forEach(file => delete lastSeen[file]);
+                logger.info(`Ingested ${batch.filter(r => r.status === 'processed').length}/${batch.length} new files`);
+            }
+        } catch (error) {
+            logger.error('Error scanning folder', { dir: options.dir, error });
+        }
+        if (!stopping) {
+            await new Promise(resolve => {
+                const timer = setTimeout(resolve, options.interval * 1000);
+                wake = () => {
+                    clearTimeout(timer);
+                    resolve();
+                };
+            });
+        }
+    }
+
+    const summary = summarize(results, startedAt, options);
+    await writeSummary(summary, options);
+    return summary;
+}
+
+let options;
+try {
+    options = parseArgs(process.argv.slice(2));
+} catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exit(2);
+}
+if (options.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+// Run the batch processor
+(options.watch ? watchFolder(options) : processBatchRFPs(options)).then(summary => {
+    logger.info('Batch run completed');
+    process.exit(summary.failed > 0 ? 1 : 0);
+}).catch(error => {
+    logger.error('Batch run failed', { error });
+    process.exit(1);
+});
\ No newline at end of file
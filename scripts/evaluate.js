@@ -0,0 +1,310 @@
+// server/scripts/evaluate.js
+// Run a golden set of questions through retrieval and answer generation and report recall@k,
+// MRR, citation accuracy and fact coverage (see evaluation.js for the golden set format).
+//
+//   node scripts/evaluate.js golden/security.json
+//   node scripts/evaluate.js golden/security.json --baseline results/security-main.json
+//   node scripts/evaluate.js diff results/before.json results/after.json
+//
+// Runs offline by default: the golden set's fixtures are ingested into a fresh local vector
+// store in a temporary data directory, with the local embedding and chat models, so results
+// only change when the pipeline does. --live-models uses the configured models instead.
+// Exits with 1 when a metric is below the golden set's thresholds or regressed against --baseline.
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const dotenv = require('dotenv');
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+// The pipeline's logs are for people watching the run, not a log collector
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'pretty';
+
+const _ = require('lodash');
+const {
+    DEFAULT_KS,
+    loadGoldenSet,
+    scoreResponse,
+    summarizeResults,
+    checkThresholds,
+    compareRuns
+} = require('../evaluation');
+
+const USAGE = `Usage:
+  node scripts/evaluate.js <golden-set.json> [options]
+  node scripts/evaluate.js diff <baseline-results.json> <results.json> [--tolerance <n>]
+
+Options:
+  --out <file>        Where to save the results (default: results/<name>-<timestamp>.json next to the golden set)
+  --baseline <file>   Compare with an earlier run and fail when a metric dropped
+  --tolerance <n>     How far a metric may drop before it counts as a regression (default: 0)
+  --k <list>          Cut-offs for recall@k, e.g. 1,3,5,10 (default: ${DEFAULT_KS.join(',')})
+  --live-models       Use the configured embedding and chat models instead of the local ones
+  --keep-data         Keep the temporary data directory with the ingested fixtures
+  --verbose           Show the pipeline's own logging
+  --help              Show this help`;
+
+// Data files the evaluation must never read or write; they follow DATA_DIR instead
+const DATA_PATH_VARIABLES = [
+    'LOCAL_VECTOR_STORE_PATH', 'DOCUMENT_REGISTRY_PATH', 'KEYWORD_INDEX_PATH', 'FEEDBACK_PATH',
+    'APPROVED_ANSWERS_PATH', 'CONVERSATIONS_PATH', 'EMBEDDING_CACHE_PATH', 'INGESTION_JOBS_PATH', 'API_KEYS_PATH', 'USAGE_PATH'
+];
+
+// Fixture fields that aren't custom upload metadata
+const FIXTURE_FIELDS = ['file', 'path', 'rfpId', 'title', 'category', 'mappingProfile', 'embedAnswers'];
+
+// Own output; console.log is silenced while the pipeline runs unless --verbose
+const print = console.log.bind(console);
+
+function parseArgs(argv) {
+    const options = { ks: DEFAULT_KS, tolerance: 0, files: [] };
+    const errors = [];
+    const args = [...argv];
+
+    while (args.length > 0) {
+        const arg = args.shift();
+        const value = () => {
+            const next = args.shift();
+            if (next === undefined || next.startsWith('--')) errors.push(`${arg} needs a value`);
+            return next;
+        };
+        switch (arg) {
+            case '--out': options.out = value(); break;
+            case '--baseline': options.baseline = value(); break;
+            case '--tolerance': options.tolerance = Number(value()); break;
+            case '--k': options.ks = String(value()).split(',').map(Number); break;
+            case '--live-models': options.liveModels = true; break;
+            case '--keep-data': options.keepData = true; break;
+            case '--verbose': options.verbose = true; break;
+            case '--help': case '-h': options.help = true; break;
+            default:
+                if (arg.startsWith('--')) errors.push(`Unknown argument: ${arg}`);
+                else options.files.push(arg);
+        }
+    }
+    if (options.help) return options;
+
+    if (options.files[0] === 'diff') {
+        options.command = 'diff';
+        if (options.files.length !== 3) errors.push('diff needs two results files');
+    } else {
+        options.command = 'run';
+        if (options.files.length !== 1) errors.push('Give one golden set file');
+    }
+    if (!options.ks.every(k => Number.isInteger(k) && k > 0)) {
+        errors.push('--k must be a comma-separated list of whole numbers');
+    }
+    if (!(options.tolerance >= 0)) {
+        errors.push('--tolerance must be a number of at least 0');
+    }
+    if (errors.length > 0) {
+        throw new Error(errors.join('\n'));
+    }
+    return options;
+}
+
+// Point every data file at a fresh temporary directory and, unless asked otherwise, the local models.
+// Has to happen before any pipeline module is loaded, since they read these at load time.
+function configureOfflineEnvironment(options) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rfp-evaluation-'));
+    process.env.DATA_DIR = dataDir;
+    process.env.VECTOR_STORE = 'local';
+    process.env.ANSWER_CACHE = 'false';
+    DATA_PATH_VARIABLES.forEach(variable => delete process.env[variable]);
+    if (!options.liveModels) {
+        process.env.EMBEDDING_PROVIDER = 'local';
+        process.env.CHAT_PROVIDER = 'local';
+        delete process.env.EMBEDDING_MODEL;
+        delete process.env.CHAT_MODEL;
+    }
+    return dataDir;
+}
+
+async function ingestFixtures(fixtures, { processExcelRFP, parseCustomMetadata }) {
+    for (const fixture of fixtures) {
+        const fileName = path.basename(fixture.path);
+        const metadata = {
+            ...parseCustomMetadata(_.omit(fixture, FIXTURE_FIELDS)),
+            rfpId: fixture.rfpId || path.parse(fileName).name,
+            title: fixture.title || fileName,
+            uploadDate: new Date().toISOString(),
+            category: fixture.category || 'uncategorized'
+        };
+        const result = await processExcelRFP(fs.readFileSync(fixture.path), metadata, {
+            fileName,
+            mappingProfile: fixture.mappingProfile,
+            embedAnswers: fixture.embedAnswers
+        });
+        if (result.stats.errors > 0) {
+            throw new Error(`Fixture ${fixture.file} was not fully ingested (${result.stats.errors} errors)`);
+        }
+        print(`Ingested fixture ${fixture.file} as ${metadata.rfpId}: ${result.stats.totalItems} items`);
+    }
+}
+
+async function runQuestions(goldenSet, options, { queryRFPData }) {
+    const { defaults } = goldenSet;
+    const retrieval = { topK: Math.max(...options.ks), ...defaults.retrieval };
+    const results = [];
+
+    for (const goldenQuestion of goldenSet.questions) {
+        const startedAt = Date.now();
+        try {
+            const response = await queryRFPData(goldenQuestion.question, goldenQuestion.filters || defaults.filters || {}, {
+                retrieval: { ...retrieval, ...goldenQuestion.retrieval },
+                promptTemplate: goldenQuestion.promptTemplate || defaults.promptTemplate,
+                cache: false
+            });
+            // queryRFPData answers pipeline failures with an apology rather than an error
+            if (response.error) {
+                throw new Error(response.error);
+            }
+            results.push({
+                id: goldenQuestion.id,
+                question: goldenQuestion.question,
+                ...scoreResponse(goldenQuestion, response, options.ks),
+                answer: response.answer,
+                latencyMs: Date.now() - startedAt
+            });
+        } catch (error) {
+            results.push({ id: goldenQuestion.id, question: goldenQuestion.question, error: error.message, metrics: {}, latencyMs: Date.now() - startedAt });
+        }
+    }
+    return results;
+}
+
+const formatMetric = (value) => (value === undefined || value === null ? '-' : value.toFixed(3));
+
+function printSummary(run) {
+    print(`\n${run.goldenSet.name}: ${run.summary.questions} questions, ${run.summary.errors} errors`);
+    for (const [name, value] of Object.entries(run.summary.metrics)) {
+        print(`  ${name.padEnd(18)} ${formatMetric(value)}`);
+    }
+    for (const result of run.questions.filter(r => r.error || (r.metrics.mrr === 0) || (r.missingFacts || []).length > 0)) {
+        const problems = result.error
+            ? [`error: ${result.error}`]
+            : [
+                result.metrics.mrr === 0 ? 'no expected source retrieved' : null,
+                (result.missingFacts || []).length > 0 ? `missing facts: ${result.missingFacts.map(fact => [].concat(fact)[0]).join(', ')}` : null
+            ].filter(Boolean);
+        print(`  ! ${result.id}: ${problems.join('; ')}`);
+    }
+}
+
+function printComparison(comparison) {
+    print('\nCompared with baseline:');
+    for (const metric of comparison.metrics) {
+        const delta = metric.delta === null ? 'n/a' : `${metric.delta >= 0 ? '+' : ''}${metric.delta.toFixed(3)}`;
+        print(`  ${metric.metric.padEnd(18)} ${formatMetric(metric.baseline)} -> ${formatMetric(metric.current)} (${delta})${metric.regressed ? '  REGRESSED' : ''}`);
+    }
+    for (const question of comparison.questions) {
+        const details = (question.metrics || []).map(m => `${m.metric} ${formatMetric(m.baseline)} -> ${formatMetric(m.current)}`).join(', ');
+        print(`  ${question.change} ${question.id}${details ? `: ${details}` : ''}${question.error ? ` (error: ${question.error})` : ''}`);
+    }
+}
+
+const readResults = (filePath) => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+async function evaluate(options) {
+    const goldenSetPath = path.resolve(options.files[0]);
+    const goldenSet = loadGoldenSet(goldenSetPath);
+    const baseline = options.baseline ? readResults(options.baseline) : null;
+    const dataDir = configureOfflineEnvironment(options);
+
+    const originalLog = console.log;
+    const originalWarn = console.warn;
+    if (!options.verbose) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+    try {
+        const excelProcessor = require('../excelProcessor');
+        const { parseCustomMetadata } = require('../queryFilters');
+        const { createEmbeddingProvider, createChatProvider } = require('../modelProvider');
+
+        await ingestFixtures(goldenSet.fixtures, { ...excelProcessor, parseCustomMetadata });
+        const startedAt = new Date();
+        const questions = await runQuestions(goldenSet, options, excelProcessor);
+
+        const run = {
+            goldenSet: { name: goldenSet.name, path: goldenSetPath, questionCount: goldenSet.questions.length },
+            runAt: startedAt.toISOString(),
+            config: {
+                embeddingModel: createEmbeddingProvider().id,
+                chatModel: createChatProvider().id,
+                liveModels: Boolean(options.liveModels),
+                ks: options.ks,
+                defaults: goldenSet.defaults
+            },
+            summary: summarizeResults(questions),
+            questions
+        };
+
+        const outPath = path.resolve(options.out ||
+            path.join(path.dirname(goldenSetPath), 'results', `${goldenSet.name}-${run.runAt.replace(/[:.]/g, '-')}.json`));
+        fs.mkdirSync(path.dirname(outPath), { recursive: true });
+        fs.writeFileSync(outPath, JSON.stringify(run, null, 2));
+
+        console.log = originalLog;
+        console.warn = originalWarn;
+        printSummary(run);
+        print(`\nResults saved to ${outPath}`);
+
+        let passed = run.summary.errors === 0;
+        const belowThreshold = checkThresholds(run.summary, goldenSet.thresholds);
+        for (const failure of belowThreshold) {
+            print(`FAILED: ${failure.metric} is ${formatMetric(failure.actual)}, below the threshold of ${failure.minimum}`);
+            passed = false;
+        }
+        if (baseline) {
+            const comparison = compareRuns(baseline, run, { tolerance: options.tolerance });
+            printComparison(comparison);
+            if (comparison.regressed) {
+                print('FAILED: metrics regressed against the baseline');
+                passed = false;
+            }
+        }
+        return passed ? 0 : 1;
+    } finally {
+        console.log = originalLog;
+        console.warn = originalWarn;
+        // Write out pending cache entries now, or the exit handler would recreate the directory
+        require('../cache').flushEmbeddingCache();
+        require('../usageTracker').flushUsage();
+        require('../keywordIndex').flushKeywordIndex();
+        if (options.keepData) {
+            print(`Evaluation data kept in ${dataDir}`);
+        } else {
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    }
+}
+
+function diff(options) {
+    const comparison = compareRuns(readResults(options.files[1]), readResults(options.files[2]), { tolerance: options.tolerance });
+    printComparison(comparison);
+    return comparison.regressed ? 1 : 0;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        return 2;
+    }
+    if (options.help) {
+        print(USAGE);
+        return 0;
+    }
+    return options.command === 'diff' ? diff(options) : evaluate(options);
+}
+
+main().then(code => {
+    process.exit(code);
+}).catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
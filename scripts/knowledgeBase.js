@@ -0,0 +1,162 @@
+// server/scripts/knowledgeBase.js
+// Export the knowledge base to a file, or import an export - to back it up, audit it, or move
+// it to another vector store or embedding model.
+//
+//   node scripts/knowledgeBase.js export --out backup.jsonl
+//   node scripts/knowledgeBase.js export --out audit.xlsx --rfp RK-2025
+//   node scripts/knowledgeBase.js import backup.jsonl --tenant acme
+//
+// Imports go into whichever vector store and embedding model are configured; items whose
+// embeddings came from another model (or were left out of the export) are embedded again.
+const path = require('path');
+const fs = require('fs');
+
+const dotenv = require('dotenv');
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+// The pipeline's logs are for people watching the run, not a log collector
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'pretty';
+
+const { DEFAULT_TENANT, TENANT_ID_PATTERN } = require('../jsonFileStore');
+const { EXPORT_FORMATS, writeJsonLines, readJsonLines, buildExportWorkbook } = require('../knowledgeBaseExport');
+const { runAsSystem } = require('../usageTracker');
+
+const USAGE = `Usage:
+  node scripts/knowledgeBase.js export --out <file.jsonl|file.xlsx> [options]
+  node scripts/knowledgeBase.js import <file.jsonl> [options]
+
+Options:
+  --tenant <id>       Tenant to export from or import into (default: ${DEFAULT_TENANT})
+  --rfp <rfpId>       Export only this RFP
+  --format <format>   jsonl or xlsx (default: from the --out extension)
+  --no-embeddings     Leave embeddings out of a JSON Lines export (imports then re-embed everything)
+  --help              Show this help`;
+
+function parseArgs(argv) {
+    const options = { tenant: DEFAULT_TENANT, includeEmbeddings: true, files: [] };
+    const errors = [];
+    const args = [...argv];
+
+    while (args.length > 0) {
+        const arg = args.shift();
+        const value = () => {
+            const next = args.shift();
+            if (next === undefined || next.startsWith('--')) errors.push(`${arg} needs a value`);
+            return next;
+        };
+        switch (arg) {
+            case '--out': options.out = value(); break;
+            case '--tenant': options.tenant = value(); break;
+            case '--rfp': options.rfpId = value(); break;
+            case '--format': options.format = value(); break;
+            case '--no-embeddings': options.includeEmbeddings = false; break;
+            case '--help': case '-h': options.help = true; break;
+            default:
+                if (arg.startsWith('--')) errors.push(`Unknown argument: ${arg}`);
+                else options.files.push(arg);
+        }
+    }
+    if (options.help) return options;
+
+    options.command = options.files.shift();
+    if (options.command === 'export') {
+        if (!options.out) errors.push('export needs --out <file>');
+        options.format = options.format || (options.out && /\.xlsx$/i.test(options.out) ? 'xlsx' : 'jsonl');
+        if (!EXPORT_FORMATS.includes(options.format)) errors.push(`--format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+    } else if (options.command === 'import') {
+        options.file = options.files.shift();
+        if (!options.file) errors.push('import needs the file to import');
+    } else {
+        errors.push('The first argument must be export or import');
+    }
+    if (!TENANT_ID_PATTERN.test(options.tenant || '')) {
+        errors.push('--tenant must be 1-63 letters, digits, "-" or "_"');
+    }
+    if (errors.length > 0) {
+        throw new Error(errors.join('\n'));
+    }
+    return options;
+}
+
+async function exportToFile(options, { exportKnowledgeBase }) {
+    const entries = exportKnowledgeBase({
+        tenant: options.tenant,
+        rfpId: options.rfpId,
+        includeEmbeddings: options.includeEmbeddings
+    });
+
+    // Written to a temporary file first, so a failed export never replaces a good one
+    const tempPath = `${options.out}.${process.pid}.tmp`;
+    let counts = null;
+    if (options.format === 'xlsx') {
+        const workbook = await buildExportWorkbook(entries);
+        await workbook.xlsx.writeFile(tempPath);
+    } else {
+        const stream = fs.createWriteStream(tempPath);
+        await writeJsonLines((async function* () {
+            for await (const entry of entries) {
+                if (entry.type === 'end') counts = entry.counts;
+                yield entry;
+            }
+        })(), chunk => (stream.write(chunk) ? null : new Promise(resolve => stream.once('drain', resolve))));
+        await new Promise((resolve, reject) => stream.end(error => (error ? reject(error) : resolve())));
+    }
+    fs.renameSync(tempPath, options.out);
+
+    console.log(`Exported the knowledge base of tenant ${options.tenant} to ${options.out}${counts ? `: ${counts.rfps} RFPs, ${counts.items} items, ${counts.approvedAnswers} approved answers` : ''}`);
+    if (counts && counts.missingItems > 0) {
+        console.warn(`${counts.missingItems} items listed in the registry are missing from the vector store`);
+    }
+}
+
+async function importFromFile(options, { importKnowledgeBase }) {
+    const data = await readJsonLines(options.file);
+    if (!data.complete) {
+        console.warn('WARNING: the export has no end line and may be incomplete');
+    }
+    console.log(`Importing ${data.rfps.length} RFPs, ${data.items.length} items and ${data.approvedAnswers.length} approved answers into tenant ${options.tenant}`);
+
+    let lastReported = 0;
+    const result = await runAsSystem('import', options.tenant, () => importKnowledgeBase(data, {
+        tenant: options.tenant,
+        onProgress: (progress) => {
+            if (progress.processed - lastReported >= 500) {
+                lastReported = progress.processed;
+                console.log(`  ${progress.processed}/${progress.totalItems} items`);
+            }
+        }
+    }));
+    console.log(`Import completed: ${result.stats.reused} embeddings reused, ${result.stats.reembedded} items re-embedded, ${result.stats.errors} errors, ${result.removedVectors} outdated vectors removed`);
+    return result;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        process.exit(2);
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    // Needs the vector store and model configuration, so it's loaded once the arguments are known
+    const excelProcessor = require('../excelProcessor');
+    if (options.command === 'export') {
+        await exportToFile(options, excelProcessor);
+        return 0;
+    }
+    const result = await importFromFile(options, excelProcessor);
+    return result.stats.errors > 0 ? 1 : 0;
+}
+
+main().then(code => {
+    process.exit(code);
+}).catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
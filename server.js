@@ -7,18 +7,94 @@ const cors = require('cors');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { processExcelRFP, queryRFPData } = require('./excelProcessor');
+const crypto = require('crypto');
+const {
+    processExcelRFP,
+    queryRFPData,
+    streamRFPData,
+    resolveRetrievalOptions,
+    deleteRFP,
+    reingestRFP,
+    approveAnswer,
+    deleteApprovedAnswer,
+    exportKnowledgeBase,
+    importKnowledgeBase
+} = require('./excelProcessor');
+const { answerQuestionnaire } = require('./questionnaireProcessor');
+const { loadMappingProfiles, getMappingProfile } = require('./sheetMapper');
+const documentRegistry = require('./documentRegistry');
+const rfpVersions = require('./rfpVersions');
+const ingestionJobs = require('./ingestionJobs');
+const conversationStore = require('./conversationStore');
+const { openEventStream } = require('./serverSentEvents');
+const { buildQueryFilter, parseCustomMetadata } = require('./queryFilters');
+const answerLibrary = require('./answerLibrary');
+const { FileFormatError } = require('./errors');
+const auth = require('./auth');
+const promptTemplates = require('./promptTemplates');
+const cache = require('./cache');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const usageTracker = require('./usageTracker');
+const healthMonitor = require('./healthMonitor');
+const { limitRequests, limitQueries, limitIngestion } = require('./rateLimiter');
+const { EXPORT_FORMATS, IMPORT_MAX_BYTES, writeJsonLines, readJsonLines, buildExportWorkbook } = require('./knowledgeBaseExport');
+const {
+    SUPPORTED_EXTENSIONS,
+    SUPPORTED_MIME_TYPES,
+    hasSupportedExtension,
+    loadWorkbook
+} = require('./spreadsheetLoader');
+const {
+    DOCUMENT_EXTENSIONS,
+    DOCUMENT_MIME_TYPES,
+    hasDocumentExtension,
+    detectDocumentFormat,
+    loadDocument
+} = require('./documentLoader');
 
 // Verify environment variables
-console.log('Environment variables check:');
-console.log('OPENAI_API_KEY exists:', !!process.env.OPENAI_API_KEY);
-console.log('PINECONE_API_KEY exists:', !!process.env.PINECONE_API_KEY);
-console.log('PINECONE_ENVIRONMENT exists:', !!process.env.PINECONE_ENVIRONMENT);
-console.log('PINECONE_INDEX_NAME exists:', !!process.env.PINECONE_INDEX_NAME);
+logger.info('Environment variables check', {
+    openaiApiKeySet: !!process.env.OPENAI_API_KEY,
+    pineconeApiKeySet: !!process.env.PINECONE_API_KEY,
+    pineconeEnvironmentSet: !!process.env.PINECONE_ENVIRONMENT,
+    pineconeIndexNameSet: !!process.env.PINECONE_INDEX_NAME
+});
+logger.info(auth.describeAuthConfiguration());
 
 // Initialize Express app
 const app = express();
 
+// Request IDs: a caller's X-Request-Id is kept (so IDs can span services), otherwise one is generated.
+// Every log entry written while handling the request carries it, and the completion entry adds
+// the time spent in each pipeline stage (embedding, vector store, chat).
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+app.use((req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const context = { requestId, stages: {} };
+    const start = process.hrtime.bigint();
+    res.setHeader('X-Request-Id', requestId);
+
+    res.on('finish', () => {
+        const seconds = metrics.secondsSince(start);
+        // Label by route pattern (/api/rfps/:rfpId), not path, to keep the number of series bounded
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        metrics.observeHttpRequest({ method: req.method, route, status: res.statusCode }, seconds);
+        logger.runWithContext(context, () => logger.info('Request completed', {
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            status: res.statusCode,
+            durationMs: Math.round(seconds * 1000),
+            tenant: req.auth ? req.auth.tenant : undefined,
+            stages: Object.keys(context.stages).length > 0 ? context.stages : undefined
+        }));
+    });
+
+    logger.runWithContext(context, next);
+});
+
 // Configure CORS
 // In production, replace with your actual Render URL
 const FRONTEND_URL = process.env.NODE_ENV === 'production' 
@@ -27,14 +103,37 @@ const FRONTEND_URL = process.env.NODE_ENV === 'production'
 
 app.use(cors({
     origin: [FRONTEND_URL, 'http://localhost:3000'],
-    methods: ['GET', 'POST', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id'],
+    exposedHeaders: ['Content-Disposition', 'X-RFP-Stats', 'X-Request-Id'],
     credentials: true
 }));
 
 // Middleware
 app.use(express.json());
 
+// Every /api route needs an API key; req.auth.tenant scopes all data access to the caller's tenant.
+// Each key is rate limited (see rateLimiter.js).
+app.use('/api', auth.authenticate, limitRequests);
+const canQuery = auth.requireRole('query');
+const canUpload = auth.requireRole('uploader');
+const isAdmin = auth.requireRole('admin');
+const isGlobalAdmin = auth.requireGlobalAdmin;
+
+// Routes that call models check the caller's spending budgets and record their usage (see usageTracker.js)
+const meter = usageTracker.meter;
+
+// Refuse work that can't be done while a dependency is down (503), rather than accept it and fail later
+const requireDependencies = (dependencies) => (req, res, next) => {
+    healthMonitor.whenChecked()
+        .then(() => {
+            healthMonitor.assertAvailable(dependencies);
+            next();
+        })
+        .catch(next);
+};
+const canStore = requireDependencies(['vectorStore', 'embedding']);
+
 // Configure multer for file uploads
 const uploadDir = path.join(__dirname, 'uploads');
 if (!fs.existsSync(uploadDir)) {
@@ -52,15 +151,13 @@ const storage = multer.diskStorage({
 const upload = multer({
     storage,
     fileFilter: (req, file, cb) => {
-        const allowedTypes = [
-            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-            'application/vnd.ms-excel'
-        ];
-        if (allowedTypes.includes(file.mimetype) || 
-            file.originalname.match(/\.(xlsx|xls)$/)) {
+        // The content is checked properly by the spreadsheet and document loaders once the file is uploaded
+        if ([...SUPPORTED_MIME_TYPES, ...DOCUMENT_MIME_TYPES].includes(file.mimetype) ||
+            hasSupportedExtension(file.originalname) || hasDocumentExtension(file.originalname)) {
             cb(null, true);
         } else {
-            cb(new Error('Only Excel files are allowed!'), false);
+            const formats = [...SUPPORTED_EXTENSIONS, ...DOCUMENT_EXTENSIONS].join(', ');
+            cb(new FileFormatError(`Unsupported file "${file.originalname}". Supported formats: ${formats}`, file.originalname, 415), false);
         }
     },
     limits: {
@@ -68,33 +165,103 @@ const upload = multer({
     }
 });
 
+// Knowledge base imports are JSON Lines exports, which are far larger than RFP files when they include embeddings
+const importUpload = multer({
+    storage,
+    fileFilter: (req, file, cb) => {
+        if (/\.jsonl?$/i.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new FileFormatError(`Unsupported file "${file.originalname}". Import a .jsonl knowledge base export`, file.originalname, 415), false);
+        }
+    },
+    limits: {
+        fileSize: IMPORT_MAX_BYTES
+    }
+});
+
 // API Routes
-app.post('/api/upload', upload.single('file'), async (req, res) => {
+app.post('/api/upload', canUpload, limitIngestion, meter('upload'), canStore, upload.single('file'), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({ error: 'No file uploaded' });
         }
 
+        const { mappingProfile } = req.body;
+        if (mappingProfile && !getMappingProfile(mappingProfile)) {
+            fs.unlinkSync(req.file.path);
+            return res.status(400).json({ error: `Unknown mapping profile: ${mappingProfile}` });
+        }
+
+        // Custom fields (customer, industry, year, ...) are stored with every vector for filtering
+        let customMetadata;
+        try {
+            customMetadata = parseCustomMetadata(req.body);
+        } catch (error) {
+            fs.unlinkSync(req.file.path);
+            return res.status(error.status || 500).json({ error: error.message, details: error.details });
+        }
+
         const metadata = {
+            ...customMetadata,
             rfpId: req.body.rfpId || `RFP-${Date.now()}`,
             title: req.body.title || req.file.originalname,
             uploadDate: new Date().toISOString(),
             category: req.body.category || 'uncategorized'
         };
 
-        const fileBuffer = fs.readFileSync(req.file.path);
-        const result = await processExcelRFP(fileBuffer, metadata);
+        // Parse the file now, so unsupported or corrupt files are rejected before queueing
+        const fileName = req.file.originalname;
+        let fileBuffer;
+        let workbook;
+        let document;
+        try {
+            fileBuffer = fs.readFileSync(req.file.path);
+            if (detectDocumentFormat(fileBuffer, fileName)) {
+                document = await loadDocument(fileBuffer, fileName);
+            } else {
+                ({ workbook } = await loadWorkbook(fileBuffer, fileName));
+            }
+        } catch (error) {
+            if (!error.fileName) throw error;
+            return res.status(error.status).json({ error: error.message, fileName });
+        } finally {
+            // Clean up uploaded file
+            fs.unlinkSync(req.file.path);
+        }
 
-        // Clean up uploaded file
-        fs.unlinkSync(req.file.path);
+        const ingestOptions = {
+            fileName,
+            workbook,
+            document,
+            mappingProfile,
+            embedAnswers: req.body.embedAnswers !== undefined ? req.body.embedAnswers === 'true' : undefined
+        };
 
-        res.json({
+        // Process in the background; the client follows progress through /api/jobs/:id
+        const { tenant } = req.auth;
+        logger.info('Received upload', { rfpId: metadata.rfpId, fileName, bytes: fileBuffer.length, tenant });
+        const job = ingestionJobs.createJob('upload', {
+            tenant,
+            rfpId: metadata.rfpId,
+            fileName
+        }, ({ reportProgress, isCancelled }) =>
+            processExcelRFP(fileBuffer, metadata, {
+                ...ingestOptions,
+                tenant,
+                onProgress: reportProgress,
+                isCancelled
+            })
+        );
+
+        res.status(202).json({
             success: true,
-            message: 'Excel RFP processed successfully',
-            details: result
+            message: 'RFP queued for processing',
+            jobId: job.id,
+            job
         });
     } catch (error) {
-        console.error('Error processing upload:', error);
+        logger.error('Error processing upload', { error });
         res.status(500).json({ 
             error: error.message || 'Error processing file',
             details: process.env.NODE_ENV === 'development' ? error.stack : undefined
@@ -102,33 +269,719 @@ app.post('/api/upload', upload.single('file'), async (req, res) => {
     }
 });
 
-app.post('/api/query', async (req, res) => {
+app.post('/api/query', canQuery, limitQueries, meter('query'), async (req, res) => {
+    const { question, filters, retrieval, promptTemplate, cache: useCache } = req.body;
+    if (!question || typeof question !== 'string') {
+        return res.status(400).json({ error: 'A question is required' });
+    }
+
     try {
-        console.log('Received query:', req.body.question);
-        const { question, filters } = req.body;
-        const response = await queryRFPData(question, filters);
+        logger.info('Received query', { question });
+        const response = await queryRFPData(question, filters, {
+            retrieval,
+            promptTemplate,
+            cache: useCache,
+            tenant: req.auth.tenant
+        });
         res.json(response);
     } catch (error) {
-        console.error('Error processing query:', error);
-        res.status(500).json({ 
+        logger.error('Error processing query', { error });
+        res.status(error.status || 500).json({ 
             error: error.message || 'Error processing query',
             details: process.env.NODE_ENV === 'development' ? error.stack : undefined
         });
     }
 });
 
-// Health check endpoint
+// Streaming variant of /api/query over server-sent events:
+// 'sources' first, then 'token' events as the answer is generated, then 'done' (or 'error')
+app.post('/api/query/stream', canQuery, limitQueries, meter('query'), async (req, res) => {
+    const { question, filters, retrieval, promptTemplate, cache: useCache } = req.body;
+    if (!question || typeof question !== 'string') {
+        return res.status(400).json({ error: 'A question is required' });
+    }
+
+    // Reject bad options before the event stream starts, while we can still send a 400
+    try {
+        resolveRetrievalOptions(retrieval);
+        buildQueryFilter(filters);
+        promptTemplates.resolveTemplate(promptTemplate, req.auth.tenant);
+    } catch (error) {
+        return res.status(error.status || 500).json({ error: error.message, details: error.details });
+    }
+
+    logger.info('Received streaming query', { question });
+    const stream = openEventStream(res);
+
+    // Stop generating (and paying for) tokens nobody will read
+    const abortController = new AbortController();
+    stream.onClose(({ clientDisconnected }) => {
+        if (clientDisconnected) abortController.abort();
+    });
+
+    try {
+        const result = await streamRFPData(question, filters, {
+            retrieval,
+            promptTemplate,
+            cache: useCache,
+            tenant: req.auth.tenant,
+            signal: abortController.signal,
+            onSources: (sources) => stream.send('sources', { sources }),
+            onToken: (token) => stream.send('token', { text: token })
+        });
+        stream.send('done', {
+            status: result.status,
+            responseId: result.responseId,
+            // The streamed tokens may include citation markers that were dropped from the final answer
+            answer: result.answer,
+            citations: result.citations,
+            promptTemplate: result.promptTemplate,
+            ...(result.cached ? { cached: result.cached } : {}),
+            finishReason: result.finishReason,
+            usage: result.usage,
+            ...(result.degraded ? { degraded: result.degraded } : {})
+        });
+    } catch (error) {
+        logger.error('Error processing streaming query', { error });
+        stream.send('error', { error: error.message || 'Error processing query' });
+    } finally {
+        stream.close();
+    }
+});
+
+// Answer one turn of a conversation and record it in the history
+async function answerConversationTurn(conversation, question, { filters, retrieval, promptTemplate, tenant }) {
+    const response = await queryRFPData(question, { ...conversation.filters, ...filters }, {
+        history: conversationStore.getHistory(conversation),
+        retrieval,
+        promptTemplate,
+        tenant
+    });
+
+    // Failed turns, and turns the chat model was down for, aren't recorded, so they don't confuse later follow-ups
+    const unanswered = response.error || (response.degraded && response.degraded.unavailable.includes('chat'));
+    if (!unanswered) {
+        conversationStore.appendMessages(conversation.id, [
+            { role: 'user', content: question },
+            {
+                role: 'assistant',
+                content: response.answer,
+                standaloneQuestion: response.standaloneQuestion,
+                sources: response.sources.map(source => ({
+                    rfpId: source.rfpId,
+                    title: source.title,
+                    sheetName: source.sheetName,
+                    rowNumber: source.rowNumber,
+                    cellRange: source.cellRange,
+                    category: source.category,
+                    similarity: source.similarity
+                })),
+                citations: response.citations
+            }
+        ], tenant);
+    }
+    return response;
+}
+
+// Conversations
+app.post('/api/conversations', canQuery, limitQueries, meter('conversation'), async (req, res) => {
+    try {
+        const { title, filters, question, retrieval, promptTemplate } = req.body;
+        const { tenant } = req.auth;
+        // Filters are stored with the conversation, so check them before saving it
+        buildQueryFilter(filters);
+        promptTemplates.resolveTemplate(promptTemplate, tenant);
+        const conversation = conversationStore.createConversation({ title, filters }, tenant);
+
+        // Optionally answer the first question in the same request
+        if (question) {
+            const response = await answerConversationTurn(conversation, question, { retrieval, promptTemplate, tenant });
+            return res.status(201).json({ conversationId: conversation.id, ...response });
+        }
+        res.status(201).json(conversation);
+    } catch (error) {
+        logger.error('Error creating conversation', { error });
+        res.status(error.status || 500).json({ error: error.message || 'Error creating conversation' });
+    }
+});
+
+app.get('/api/conversations', canQuery, (req, res) => {
+    try {
+        res.json({ conversations: conversationStore.listConversations(req.auth.tenant) });
+    } catch (error) {
+        logger.error('Error listing conversations', { error });
+        res.status(500).json({ error: error.message || 'Error listing conversations' });
+    }
+});
+
+app.get('/api/conversations/:id', canQuery, (req, res) => {
+    const conversation = conversationStore.getConversation(req.params.id, req.auth.tenant);
+    if (!conversation) {
+        return res.status(404).json({ error: `Conversation not found: ${req.params.id}` });
+    }
+    res.json(conversation);
+});
+
+app.post('/api/conversations/:id/messages', canQuery, limitQueries, meter('conversation'), async (req, res) => {
+    try {
+        const { question, filters, retrieval, promptTemplate } = req.body;
+        if (!question || typeof question !== 'string') {
+            return res.status(400).json({ error: 'A question is required' });
+        }
+
+        const { tenant } = req.auth;
+        const conversation = conversationStore.getConversation(req.params.id, tenant);
+        if (!conversation) {
+            return res.status(404).json({ error: `Conversation not found: ${req.params.id}` });
+        }
+
+        const response = await answerConversationTurn(conversation, question, { filters, retrieval, promptTemplate, tenant });
+        res.json({ conversationId: conversation.id, ...response });
+    } catch (error) {
+        logger.error('Error continuing conversation', { error });
+        res.status(error.status || 500).json({ 
+            error: error.message || 'Error continuing conversation',
+            details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+        });
+    }
+});
+
+app.delete('/api/conversations/:id', canQuery, (req, res) => {
+    if (!conversationStore.deleteConversation(req.params.id, req.auth.tenant)) {
+        return res.status(404).json({ error: `Conversation not found: ${req.params.id}` });
+    }
+    res.json({ success: true, id: req.params.id });
+});
+
+app.post('/api/answer', canQuery, limitIngestion, meter('questionnaire'), upload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const { mappingProfile } = req.body;
+        if (mappingProfile && !getMappingProfile(mappingProfile)) {
+            fs.unlinkSync(req.file.path);
+            return res.status(400).json({ error: `Unknown mapping profile: ${mappingProfile}` });
+        }
+
+        // Filters arrive as a JSON form field; a plain category field is still accepted
+        let filters = {};
+        try {
+            filters = (req.body.filters && JSON.parse(req.body.filters)) || {};
+            if (req.body.category) filters.category = req.body.category;
+            buildQueryFilter(filters);
+            promptTemplates.resolveTemplate(req.body.promptTemplate, req.auth.tenant);
+        } catch (error) {
+            fs.unlinkSync(req.file.path);
+            return res.status(400).json({ error: error instanceof SyntaxError ? 'filters must be valid JSON' : error.message });
+        }
+
+        const fileBuffer = fs.readFileSync(req.file.path);
+        // Clean up uploaded file
+        fs.unlinkSync(req.file.path);
+
+        const result = await answerQuestionnaire(fileBuffer, filters, {
+            mappingProfile,
+            fileName: req.file.originalname,
+            promptTemplate: req.body.promptTemplate,
+            tenant: req.auth.tenant
+        });
+
+        const outputName = `${path.parse(req.file.originalname).name}-answered.xlsx`;
+        // res.attachment adds an RFC 5987 filename* for names that aren't plain ASCII
+        res.attachment(outputName);
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        // Base64 JSON: sheet names can hold characters a header value can't carry
+        res.setHeader('X-RFP-Stats', Buffer.from(JSON.stringify({
+            stats: result.stats,
+            sheets: result.sheets,
+            skippedSheets: result.skippedSheets
+        })).toString('base64'));
+        res.send(result.buffer);
+    } catch (error) {
+        logger.error('Error answering questionnaire', { error });
+        res.status(error.status || 500).json({ 
+            error: error.message || 'Error answering questionnaire',
+            details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+        });
+    }
+});
+
+// RFP document management
+app.get('/api/rfps', canQuery, (req, res) => {
+    try {
+        res.json({ rfps: documentRegistry.listRFPs(req.auth.tenant) });
+    } catch (error) {
+        logger.error('Error listing RFPs', { error });
+        res.status(500).json({ error: error.message || 'Error listing RFPs' });
+    }
+});
+
+app.get('/api/rfps/:rfpId', canQuery, (req, res) => {
+    try {
+        const record = documentRegistry.getRFP(req.params.rfpId, req.auth.tenant);
+        if (!record) {
+            return res.status(404).json({ error: `RFP not found: ${req.params.rfpId}` });
+        }
+        res.json(record);
+    } catch (error) {
+        logger.error('Error loading RFP', { error });
+        res.status(500).json({ error: error.message || 'Error loading RFP' });
+    }
+});
+
+// Version history of an RFP; queryable versions can be asked about with filters { rfpId, version }
+app.get('/api/rfps/:rfpId/versions', canQuery, (req, res) => {
+    try {
+        const record = documentRegistry.getRFP(req.params.rfpId, req.auth.tenant);
+        if (!record) {
+            return res.status(404).json({ error: `RFP not found: ${req.params.rfpId}` });
+        }
+        const { version: currentVersion, versions } = rfpVersions.previousVersionState(record);
+        res.json({
+            rfpId: record.rfpId,
+            currentVersion,
+            versions: versions.map(version => ({
+                ...version,
+                current: version.version === currentVersion,
+                queryable: rfpVersions.isQueryableVersion(version.version, currentVersion)
+            })).reverse()
+        });
+    } catch (error) {
+        logger.error('Error loading RFP versions', { error });
+        res.status(500).json({ error: error.message || 'Error loading RFP versions' });
+    }
+});
+
+app.delete('/api/rfps/:rfpId', canUpload, async (req, res) => {
+    try {
+        const result = await deleteRFP(req.params.rfpId, { tenant: req.auth.tenant });
+        if (!result) {
+            return res.status(404).json({ error: `RFP not found: ${req.params.rfpId}` });
+        }
+        res.json({ success: true, ...result });
+    } catch (error) {
+        logger.error('Error deleting RFP', { error });
+        res.status(500).json({ 
+            error: error.message || 'Error deleting RFP',
+            details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+        });
+    }
+});
+
+app.post('/api/rfps/:rfpId/reingest', canUpload, limitIngestion, meter('reingest'), canStore, async (req, res) => {
+    try {
+        const { mappingProfile, embedAnswers } = req.body;
+        if (mappingProfile && !getMappingProfile(mappingProfile)) {
+            return res.status(400).json({ error: `Unknown mapping profile: ${mappingProfile}` });
+        }
+
+        const { tenant } = req.auth;
+        const record = documentRegistry.getRFP(req.params.rfpId, tenant);
+        if (!record) {
+            return res.status(404).json({ error: `RFP not found: ${req.params.rfpId}` });
+        }
+        if (!record.originalFile) {
+            return res.status(409).json({ error: `No original file stored for RFP ${req.params.rfpId}` });
+        }
+
+        const overrides = {
+            mappingProfile,
+            embedAnswers: typeof embedAnswers === 'boolean' ? embedAnswers : undefined
+        };
+        const job = ingestionJobs.createJob('reingest', {
+            tenant,
+            rfpId: record.rfpId,
+            fileName: record.originalFile.fileName
+        }, ({ reportProgress, isCancelled }) =>
+            reingestRFP(record.rfpId, overrides, { tenant, onProgress: reportProgress, isCancelled })
+        );
+
+        res.status(202).json({
+            success: true,
+            message: 'RFP queued for re-ingestion',
+            jobId: job.id,
+            job
+        });
+    } catch (error) {
+        logger.error('Error re-ingesting RFP', { error });
+        res.status(500).json({ 
+            error: error.message || 'Error re-ingesting RFP',
+            details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+        });
+    }
+});
+
+// Ingestion jobs
+app.get('/api/jobs', canUpload, (req, res) => {
+    res.json({
+        jobs: ingestionJobs.listJobs({ status: req.query.status, type: req.query.type, tenant: req.auth.tenant })
+    });
+});
+
+app.get('/api/jobs/:id', canUpload, (req, res) => {
+    const job = ingestionJobs.getJob(req.params.id, req.auth.tenant);
+    if (!job) {
+        return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+    }
+    res.json(job);
+});
+
+// Live job progress over server-sent events: a 'snapshot', then 'progress' events, then 'done'
+app.get('/api/jobs/:id/events', canUpload, (req, res) => {
+    const job = ingestionJobs.getJob(req.params.id, req.auth.tenant);
+    if (!job) {
+        return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+    }
+
+    const stream = openEventStream(res);
+    stream.send('snapshot', job);
+    if (ingestionJobs.isFinished(job)) {
+        stream.send('done', job);
+        return stream.close();
+    }
+
+    const unsubscribe = ingestionJobs.subscribeToJob(job.id, (event, update) => {
+        stream.send(event, update);
+        if (event === 'done') {
+            stream.close();
+        }
+    });
+    stream.onClose(unsubscribe);
+});
+
+app.post('/api/jobs/:id/cancel', canUpload, (req, res) => {
+    const job = ingestionJobs.cancelJob(req.params.id, req.auth.tenant);
+    if (!job) {
+        return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+    }
+    res.json(job);
+});
+
+// Feedback on query responses
+app.post('/api/feedback', canQuery, (req, res) => {
+    try {
+        const entry = answerLibrary.recordFeedback(req.body, req.auth.tenant);
+        res.status(201).json(entry);
+    } catch (error) {
+        logger.error('Error saving feedback', { error });
+        res.status(error.status || 500).json({ error: error.message || 'Error saving feedback', details: error.details });
+    }
+});
+
+app.get('/api/feedback', canUpload, (req, res) => {
+    res.json({ feedback: answerLibrary.listFeedback({ rating: req.query.rating }, req.auth.tenant) });
+});
+
+// Approved answers: edited answers the proposal team has signed off on
+app.post('/api/approved-answers', canUpload, meter('approved-answer'), canStore, async (req, res) => {
+    try {
+        const { question, answer, author, comments, category, responseId } = req.body;
+        const record = await approveAnswer(
+            { question, answer, author, comments, category, responseId },
+            { tenant: req.auth.tenant }
+        );
+        res.status(201).json(record);
+    } catch (error) {
+        logger.error('Error saving approved answer', { error });
+        res.status(error.status || 500).json({ 
+            error: error.message || 'Error saving approved answer',
+            details: error.details || (process.env.NODE_ENV === 'development' ? error.stack : undefined)
+        });
+    }
+});
+
+app.get('/api/approved-answers', canQuery, (req, res) => {
+    res.json({ answers: answerLibrary.listApprovedAnswers(req.auth.tenant) });
+});
+
+app.get('/api/approved-answers/:id', canQuery, (req, res) => {
+    const record = answerLibrary.getApprovedAnswer(req.params.id, req.auth.tenant);
+    if (!record) {
+        return res.status(404).json({ error: `Approved answer not found: ${req.params.id}` });
+    }
+    res.json(record);
+});
+
+app.delete('/api/approved-answers/:id', canUpload, async (req, res) => {
+    try {
+        const record = await deleteApprovedAnswer(req.params.id, { tenant: req.auth.tenant });
+        if (!record) {
+            return res.status(404).json({ error: `Approved answer not found: ${req.params.id}` });
+        }
+        res.json({ success: true, id: record.id });
+    } catch (error) {
+        logger.error('Error deleting approved answer', { error });
+        res.status(500).json({ error: error.message || 'Error deleting approved answer' });
+    }
+});
+
+app.get('/api/mapping-profiles', canQuery, (req, res) => {
+    try {
+        res.json({ profiles: loadMappingProfiles() });
+    } catch (error) {
+        logger.error('Error loading mapping profiles', { error });
+        res.status(500).json({ error: error.message || 'Error loading mapping profiles' });
+    }
+});
+
+// Prompt templates: versioned company/product profiles, tone, answer format and refusal wording
+app.get('/api/prompt-templates', canQuery, (req, res) => {
+    res.json({ templates: promptTemplates.listTemplates(req.auth.tenant) });
+});
+
+app.get('/api/prompt-templates/:name', canQuery, (req, res) => {
+    const template = promptTemplates.getTemplate(req.params.name, req.auth.tenant);
+    if (!template) {
+        return res.status(404).json({ error: `Prompt template not found: ${req.params.name}` });
+    }
+    res.json(template);
+});
+
+// Save a new version of a template and make it active
+app.post('/api/prompt-templates', canUpload, (req, res) => {
+    try {
+        const template = promptTemplates.saveTemplate(req.body, { tenant: req.auth.tenant, author: req.auth.name });
+        res.status(201).json(template);
+    } catch (error) {
+        logger.error('Error saving prompt template', { error });
+        res.status(error.status || 500).json({ error: error.message || 'Error saving prompt template', details: error.details });
+    }
+});
+
+// Render the system prompt for a saved template version, or for unsaved changes to it
+app.post('/api/prompt-templates/preview', canQuery, (req, res) => {
+    try {
+        const { name, version, template: changes } = req.body;
+        const selected = promptTemplates.resolveTemplate({ name, version }, req.auth.tenant);
+        const template = changes
+            ? { name: selected.name, version: null, ...promptTemplates.validateTemplate(changes, selected) }
+            : selected;
+        res.json({
+            name: template.name,
+            version: template.version,
+            systemPrompt: promptTemplates.renderSystemPrompt(template)
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message || 'Error rendering prompt template', details: error.details });
+    }
+});
+
+app.post('/api/prompt-templates/:name/rollback', canUpload, (req, res) => {
+    try {
+        const version = Number(req.body.version);
+        if (!Number.isInteger(version)) {
+            return res.status(400).json({ error: 'version must be a version number' });
+        }
+        const template = promptTemplates.rollbackTemplate(req.params.name, version, req.auth.tenant);
+        if (!template) {
+            return res.status(404).json({ error: `Prompt template not found: ${req.params.name}` });
+        }
+        res.json(template);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message || 'Error rolling back prompt template' });
+    }
+});
+
+// Answer the tenant's queries with this template unless a request names another
+app.post('/api/prompt-templates/:name/default', canUpload, (req, res) => {
+    const template = promptTemplates.setDefaultTemplate(req.params.name, req.auth.tenant);
+    if (!template) {
+        return res.status(404).json({ error: `Prompt template not found: ${req.params.name}` });
+    }
+    res.json({ success: true, defaultTemplate: template.name });
+});
+
+app.delete('/api/prompt-templates/:name', canUpload, (req, res) => {
+    if (req.params.name === promptTemplates.BUILT_IN_TEMPLATE_NAME) {
+        return res.status(409).json({ error: 'The built-in prompt template cannot be deleted' });
+    }
+    const template = promptTemplates.deleteTemplate(req.params.name, req.auth.tenant);
+    if (!template) {
+        return res.status(404).json({ error: `Prompt template not found: ${req.params.name}` });
+    }
+    res.json({ success: true, name: template.name });
+});
+
+// Cache statistics and invalidation
+app.get('/api/cache/stats', canQuery, (req, res) => {
+    res.json(cache.getCacheStats(req.auth.tenant));
+});
+
+app.delete('/api/cache/answers', canUpload, (req, res) => {
+    const cleared = cache.invalidateAnswers(req.auth.tenant, `cleared by ${req.auth.name}`);
+    res.json({ success: true, cleared });
+});
+
+// The embedding cache is shared by all tenants, so only the global admin may clear it
+app.delete('/api/cache/embeddings', isGlobalAdmin, (req, res) => {
+    try {
+        res.json({ success: true, cleared: cache.clearEmbeddingCache() });
+    } catch (error) {
+        logger.error('Error clearing embedding cache', { error });
+        res.status(500).json({ error: error.message || 'Error clearing embedding cache' });
+    }
+});
+
+// Knowledge base export: every stored item with its metadata and original row data, as
+// JSON Lines (restorable through /api/import) or a readable .xlsx workbook
+app.get('/api/export', canUpload, async (req, res) => {
+    const format = req.query.format || 'jsonl';
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+    const { tenant } = req.auth;
+    const rfpId = req.query.rfpId;
+    if (rfpId && !documentRegistry.getRFP(rfpId, tenant)) {
+        return res.status(404).json({ error: `RFP not found: ${rfpId}` });
+    }
+
+    const entries = exportKnowledgeBase({ tenant, rfpId, includeEmbeddings: req.query.embeddings !== 'false' });
+    const fileName = `knowledge-base-${rfpId || tenant}-${new Date().toISOString().slice(0, 10)}`.replace(/[^A-Za-z0-9_.-]/g, '_');
+    try {
+        if (format === 'xlsx') {
+            const workbook = await buildExportWorkbook(entries);
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.setHeader('Content-Disposition', `attachment; filename="${fileName}.xlsx"`);
+            return res.send(await workbook.xlsx.writeBuffer());
+        }
+
+        // Streamed line by line; an export that fails midway has no end line, so it can't be mistaken for a complete one
+        res.setHeader('Content-Type', 'application/x-ndjson');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}.jsonl"`);
+        await writeJsonLines(entries, chunk => {
+            if (!res.write(chunk)) {
+                return new Promise(resolve => res.once('drain', resolve));
+            }
+        });
+        res.end();
+    } catch (error) {
+        logger.error('Error exporting knowledge base', { error });
+        if (res.headersSent) {
+            return res.end();
+        }
+        res.status(500).json({ error: error.message || 'Error exporting knowledge base' });
+    }
+});
+
+// Restore a JSON Lines export into this tenant's vector store, re-embedding items whose
+// embeddings are missing or from another model. Runs as a job like uploads do.
+app.post('/api/import', isAdmin, limitIngestion, meter('import'), canStore, importUpload.single('file'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+    try {
+        const data = await readJsonLines(req.file.path);
+        const { tenant } = req.auth;
+        const job = ingestionJobs.createJob('import', {
+            tenant,
+            fileName: req.file.originalname
+        }, async ({ reportProgress, isCancelled }) => ({
+            ...(await importKnowledgeBase(data, { tenant, onProgress: reportProgress, isCancelled })),
+            ...(data.complete ? {} : { warning: 'The export has no end line and may be incomplete' })
+        }));
+
+        res.status(202).json({
+            success: true,
+            message: `Importing ${data.rfps.length} RFPs and ${data.items.length} items`,
+            jobId: job.id,
+            job
+        });
+    } catch (error) {
+        logger.error('Error importing knowledge base', { error });
+        res.status(error.status || 500).json({ error: error.message || 'Error importing knowledge base', details: error.details });
+    } finally {
+        fs.unlinkSync(req.file.path);
+    }
+});
+
+// Model usage and estimated spend for the current month, or ?from=YYYY-MM-DD&to=YYYY-MM-DD.
+// Admins see every key in their tenant (or one with ?user=<keyId>); other callers only their own usage.
+app.get('/api/usage', canQuery, (req, res) => {
+    try {
+        const { from, to, user } = req.query;
+        const isTenantAdmin = req.auth.role === 'admin';
+        const userId = isTenantAdmin ? user : (req.auth.keyId || 'anonymous');
+        res.json({
+            ...usageTracker.getUsageReport(req.auth.tenant, { from, to, userId }),
+            budgets: usageTracker.getBudgetStatus(req.auth)
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message || 'Error building usage report', details: error.details });
+    }
+});
+
+// API keys (admin only). The plain key is only included in the creation response. Tenant
+// admins manage the keys of their own tenant; the global admin manages every tenant's keys.
+app.post('/api/keys', isAdmin, (req, res) => {
+    try {
+        const { name, tenant, role } = req.body;
+        res.status(201).json(auth.createApiKey({ name, tenant, role }, req.auth));
+    } catch (error) {
+        logger.error('Error creating API key', { error });
+        res.status(error.status || 500).json({ error: error.message || 'Error creating API key', details: error.details });
+    }
+});
+
+app.get('/api/keys', isAdmin, (req, res) => {
+    res.json({ keys: auth.listApiKeys(req.auth) });
+});
+
+app.delete('/api/keys/:id', isAdmin, (req, res) => {
+    const record = auth.revokeApiKey(req.params.id, req.auth);
+    if (!record) {
+        return res.status(404).json({ error: `API key not found: ${req.params.id}` });
+    }
+    res.json({ success: true, id: record.id });
+});
+
+// Health check endpoint (liveness): answers while the process runs, and says whether it is
+// degraded. Load balancers should use /ready instead.
 app.get('/health', (req, res) => {
     res.json({ 
-        status: 'ok', 
+        status: healthMonitor.getReport().status === 'degraded' ? 'degraded' : 'ok',
         environment: process.env.NODE_ENV,
         timestamp: new Date().toISOString()
     });
 });
 
+// Readiness: 200 once the first dependency checks passed and nothing is down, 503 otherwise,
+// with the state of each dependency and its circuit breaker
+app.get('/ready', (req, res) => {
+    const report = healthMonitor.getReport();
+    res.status(report.status === 'ready' ? 200 : 503).json({
+        ...report,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Prometheus metrics. Open like /health unless METRICS_TOKEN is set, in which case the scraper
+// must send it as a bearer token.
+app.get('/metrics', (req, res) => {
+    if (process.env.METRICS_TOKEN && req.get('Authorization') !== `Bearer ${process.env.METRICS_TOKEN}`) {
+        return res.status(401).json({ error: 'A valid metrics token is required' });
+    }
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(metrics.render());
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
-    console.error(err.stack);
+    // Errors raised while accepting a request, such as rejected upload formats or an unavailable
+    // dependency, carry their own status
+    if (err.status && err.status !== 500) {
+        logger.warn('Request rejected', { status: err.status, error: err });
+        if (err.retryAfter) {
+            res.setHeader('Retry-After', err.retryAfter);
+        }
+        return res.status(err.status).json({
+            error: err.message,
+            ...(err.details ? { details: err.details } : {}),
+            ...(err.dependencies ? { unavailable: err.dependencies } : {})
+        });
+    }
+    logger.error('Unhandled request error', { error: err });
     res.status(500).json({ 
         error: 'Something broke!',
         details: process.env.NODE_ENV === 'development' ? err.stack : undefined
@@ -138,18 +991,18 @@ app.use((err, req, res, next) => {
 // Start server
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, '0.0.0.0', () => {
-    console.log(`Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
-    console.log(`Health check available at: http://localhost:${PORT}/health`);
+    logger.info('Server running', { environment: process.env.NODE_ENV || 'development', port: Number(PORT) });
+    logger.info(`Health check available at: http://localhost:${PORT}/health, metrics at /metrics`);
 });
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
-    console.error('Uncaught Exception:', error);
+    logger.error('Uncaught exception', { error });
     // Implement your error notification service here if needed
 });
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (reason, promise) => {
-    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+    logger.error('Unhandled rejection', { error: reason });
     // Implement your error notification service here if needed
 });
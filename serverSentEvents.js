@@ -0,0 +1,50 @@
+// server/serverSentEvents.js
+// Minimal helper for streaming server-sent events over an Express response
+
+// Switch the response into event-stream mode and return a sender
+function openEventStream(res) {
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    // Stop reverse proxies (nginx, Render) from buffering the stream
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+
+    let closed = false;
+    const closeListeners = [];
+
+    // Comment lines keep idle connections from being dropped by proxies
+    const heartbeat = setInterval(() => {
+        if (!closed) res.write(': keep-alive\n\n');
+    }, 15000);
+
+    // Fires when we end the stream and when the client goes away
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        const clientDisconnected = !res.writableEnded;
+        closed = true;
+        closeListeners.forEach(listener => listener({ clientDisconnected }));
+    });
+
+    return {
+        isClosed: () => closed,
+        send: (event, data) => {
+            if (closed) return;
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        },
+        close: () => {
+            if (!closed) {
+                closed = true;
+                res.end();
+            }
+        },
+        onClose: (listener) => {
+            closeListeners.push(listener);
+        }
+    };
+}
+
+module.exports = {
+    openEventStream
+};
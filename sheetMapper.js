@@ -0,0 +1,185 @@
+// server/sheetMapper.js
+// Header row detection and column-mapping profiles for RFP worksheets.
+//
+// A mapping profile says which header names identify each column role:
+//   {
+//     name: 'ariba-export',
+//     sheetNamePattern: '^Q&A',          // optional: auto-select for matching sheet names
+//     headerRow: 3,                      // optional: skip detection and use this row
+//     columns: {
+//       question: ['Question', 'Requirement'],
+//       answer: ['Response'],
+//       category: ['Section', 'Functional Area'],
+//       comments: ['Comments']
+//     }
+//   }
+// Custom profiles are read from MAPPING_PROFILES_PATH (a JSON array) and are
+// tried before the built-in default profile.
+const { dataPath, readJson } = require('./jsonFileStore');
+
+const COLUMN_ROLES = ['question', 'answer', 'category', 'comments'];
+
+const DEFAULT_PROFILE = {
+    name: 'default',
+    columns: {
+        question: ['Question', 'Questions', 'Requirement', 'Requirements', 'Requirement Description', 'Description', 'Query'],
+        answer: ['Answer', 'Response', 'Responses', 'Vendor Response', 'Supplier Response', 'Softeon Response', 'Reply'],
+        category: ['Category', 'Section', 'Functional Area', 'Module', 'Area', 'Topic'],
+        comments: ['Comments', 'Comment', 'Notes', 'Remarks', 'Additional Comments', 'Additional Information']
+    }
+};
+
+// Only look this far down a sheet for the header row
+const HEADER_SCAN_ROWS = 20;
+
+const normalizeHeader = (text) => (text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+function loadMappingProfiles() {
+    const customProfiles = readJson(process.env.MAPPING_PROFILES_PATH || dataPath('mappingProfiles.json'), []);
+    if (!Array.isArray(customProfiles)) {
+        throw new Error('Mapping profiles file must contain a JSON array of profiles');
+    }
+    return [...customProfiles, DEFAULT_PROFILE];
+}
+
+function getMappingProfile(name) {
+    return loadMappingProfiles().find(profile => profile.name === name) || null;
+}
+
+// Pick the explicitly requested profile, else the first one whose pattern matches the sheet name
+function selectProfile(sheetName, profiles, requestedProfile) {
+    if (requestedProfile) {
+        const profile = profiles.find(p => p.name === requestedProfile);
+        if (!profile) {
+            throw new Error(`Unknown mapping profile "${requestedProfile}". Available profiles: ${profiles.map(p => p.name).join(', ')}`);
+        }
+        return profile;
+    }
+    return profiles.find(profile =>
+        profile.sheetNamePattern && new RegExp(profile.sheetNamePattern, 'i').test(sheetName)
+    ) || DEFAULT_PROFILE;
+}
+
+// Read one row's header texts, resolving merged cells and two-row headers
+function readHeaders(worksheet, rowNumber) {
+    const headers = {};
+    const row = worksheet.getRow(rowNumber);
+    const rowAbove = rowNumber > 1 ? worksheet.getRow(rowNumber - 1) : null;
+
+    for (let colNumber = 1; colNumber <= worksheet.columnCount; colNumber++) {
+        const cell = row.getCell(colNumber);
+
+        // Cells merged into a header to their left belong to that header
+        if (cell.isMerged && cell.master.address !== cell.address && cell.master.row === rowNumber) {
+            continue;
+        }
+
+        let text = cell.text.trim();
+
+        // A blank header under a merged group title (e.g. "Vendor Response" spanning two columns) takes the group title
+        if (!text && rowAbove) {
+            const aboveCell = rowAbove.getCell(colNumber);
+            if (aboveCell.isMerged) {
+                text = aboveCell.text.trim();
+            }
+        }
+
+        if (text) {
+            headers[colNumber] = text;
+        }
+    }
+    return headers;
+}
+
+// Match headers to column roles. Exact alias matches win over partial ones.
+function matchColumns(headers, profile) {
+    const columns = {};
+    const used = new Set();
+
+    for (const exact of [true, false]) {
+        for (const role of COLUMN_ROLES) {
+            if (columns[role]) continue;
+            const aliases = (profile.columns[role] || []).map(normalizeHeader).filter(Boolean);
+
+            for (const [colNumber, header] of Object.entries(headers)) {
+                if (used.has(colNumber)) continue;
+                const normalized = normalizeHeader(header);
+                const matched = exact
+                    ? aliases.includes(normalized)
+                    : aliases.some(alias => normalized.split(' ').length <= 6 && normalized.includes(alias));
+                if (matched) {
+                    columns[role] = Number(colNumber);
+                    used.add(colNumber);
+                    break;
+                }
+            }
+        }
+    }
+    return columns;
+}
+
+// Score a candidate header row: roles found, with the question and answer columns weighted highest
+const scoreColumns = (columns) =>
+    (columns.question ? 3 : 0) + (columns.answer ? 3 : 0) + (columns.category ? 1 : 0) + (columns.comments ? 1 : 0);
+
+// Find the header row and the column for each role on a worksheet.
+// Returns { headerRow, headers, columns, profile } or { error } when the sheet can't be mapped.
+function mapWorksheet(worksheet, options = {}) {
+    const profiles = options.profiles || loadMappingProfiles();
+    const profile = selectProfile(worksheet.name, profiles, options.mappingProfile);
+    const requiredRoles = options.requiredRoles || ['question', 'answer'];
+
+    if (worksheet.rowCount === 0) {
+        return { error: 'Worksheet is empty', profile: profile.name };
+    }
+
+    // The best-scoring row with every required role, and the best row overall for the error message
+    let best = null;
+    let bestPartial = null;
+    const candidateRows = profile.headerRow
+        ? [profile.headerRow]
+        : Array.from({ length: Math.min(worksheet.rowCount, HEADER_SCAN_ROWS) }, (_, i) => i + 1);
+
+    for (const rowNumber of candidateRows) {
+        const headers = readHeaders(worksheet, rowNumber);
+        const columns = matchColumns(headers, profile);
+        const score = scoreColumns(columns);
+        if (score === 0) continue;
+        const candidate = { headerRow: rowNumber, headers, columns, score };
+        // A title row like "RFP Response" partially matches an alias, but has no question column
+        if (requiredRoles.every(role => columns[role])) {
+            if (!best || score > best.score) best = candidate;
+        } else if (!bestPartial || score > bestPartial.score) {
+            bestPartial = candidate;
+        }
+    }
+
+    if (!best && !bestPartial) {
+        return { error: `No header row matched the "${profile.name}" mapping profile`, profile: profile.name };
+    }
+
+    if (!best) {
+        const missing = requiredRoles.filter(role => !bestPartial.columns[role]);
+        return {
+            error: `Header row ${bestPartial.headerRow} has no ${missing.join(' or ')} column`,
+            profile: profile.name
+        };
+    }
+
+    return {
+        headerRow: best.headerRow,
+        headers: best.headers,
+        columns: best.columns,
+        profile: profile.name
+    };
+}
+
+module.exports = {
+    COLUMN_ROLES,
+    loadMappingProfiles,
+    getMappingProfile,
+    mapWorksheet
+};
@@ -0,0 +1,124 @@
+// server/spreadsheetLoader.js
+// Format detection in front of ingestion. Every supported spreadsheet format is
+// loaded into an ExcelJS workbook, so the rest of the pipeline sees one sheet/row model.
+//
+//   xlsx - ExcelJS
+//   xls  - legacy Excel (BIFF), via SheetJS
+//   ods  - OpenDocument spreadsheets, via SheetJS
+//   csv  - comma/semicolon/tab separated text, via SheetJS
+//
+// SheetJS parses untrusted uploads, so package.json installs it from the vendor's CDN: the
+// releases on the npm registry (0.18.5 and older) have known prototype pollution and ReDoS bugs.
+const path = require('path');
+const ExcelJS = require('exceljs');
+const XLSX = require('xlsx');
+const { FileFormatError } = require('./errors');
+
+const SUPPORTED_EXTENSIONS = ['.xlsx', '.xls', '.ods', '.csv'];
+
+const SUPPORTED_MIME_TYPES = [
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-excel',
+    'application/vnd.oasis.opendocument.spreadsheet',
+    'text/csv'
+];
+
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const OLE2_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+const hasSupportedExtension = (fileName) =>
+    SUPPORTED_EXTENSIONS.includes(path.extname(fileName || '').toLowerCase());
+
+// Text files have no NUL bytes in their first few kilobytes
+const looksLikeText = (buffer) => !buffer.subarray(0, 8192).includes(0);
+
+// Work out the format from the file's content; the extension only decides how text is read.
+// Throws a FileFormatError naming the file when it isn't a spreadsheet we can read.
+function detectFormat(buffer, fileName) {
+    const extension = path.extname(fileName || '').toLowerCase();
+
+    if (!buffer || buffer.length === 0) {
+        throw new FileFormatError(`"${fileName}" is empty`, fileName);
+    }
+    if (buffer.subarray(0, 4).equals(ZIP_SIGNATURE)) {
+        // Both are ZIP packages; entry names are stored uncompressed, so look for each format's main part
+        if (buffer.includes('xl/workbook.xml')) return 'xlsx';
+        if (buffer.includes('content.xml')) return 'ods';
+        // Probably a damaged package; loading it reports what is wrong
+        if (extension === '.xlsx' || extension === '.ods') return extension.slice(1);
+    }
+    if (buffer.subarray(0, 8).equals(OLE2_SIGNATURE)) {
+        return 'xls';
+    }
+    if (extension === '.csv' && looksLikeText(buffer)) {
+        return 'csv';
+    }
+
+    const expected = extension ? `a ${extension} spreadsheet` : 'a spreadsheet';
+    throw new FileFormatError(
+        `"${fileName}" is not ${expected}. Supported formats: ${SUPPORTED_EXTENSIONS.join(', ')}`,
+        fileName,
+        415
+    );
+}
+
+// Copy a SheetJS workbook into an ExcelJS workbook, keeping row numbers and merged cells
+function toExcelJSWorkbook(sheetJSWorkbook) {
+    const workbook = new ExcelJS.Workbook();
+
+    for (const sheetName of sheetJSWorkbook.SheetNames) {
+        const source = sheetJSWorkbook.Sheets[sheetName];
+        const worksheet = workbook.addWorksheet(sheetName);
+        if (!source['!ref']) continue;
+
+        const range = XLSX.utils.decode_range(source['!ref']);
+        for (let r = range.s.r; r <= range.e.r; r++) {
+            for (let c = range.s.c; c <= range.e.c; c++) {
+                const cell = source[XLSX.utils.encode_cell({ r, c })];
+                if (!cell || cell.v === undefined || cell.v === null || cell.v === '') continue;
+                // Formatted text, as the user sees it in the spreadsheet
+                worksheet.getCell(r + 1, c + 1).value = cell.w !== undefined ? cell.w : String(cell.v);
+            }
+        }
+        for (const merge of source['!merges'] || []) {
+            worksheet.mergeCells(merge.s.r + 1, merge.s.c + 1, merge.e.r + 1, merge.e.c + 1);
+        }
+    }
+    return workbook;
+}
+
+function readWithSheetJS(buffer, format) {
+    if (format === 'csv') {
+        // Decode as UTF-8 ourselves (SheetJS would read the bytes as Latin-1) and keep values as typed
+        const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+        return XLSX.read(text, { type: 'string', raw: true });
+    }
+    return XLSX.read(buffer, { type: 'buffer', cellDates: true });
+}
+
+// Load any supported spreadsheet into an ExcelJS workbook. Returns { workbook, format }.
+async function loadWorkbook(buffer, fileName) {
+    const format = detectFormat(buffer, fileName);
+
+    try {
+        if (format === 'xlsx') {
+            const workbook = new ExcelJS.Workbook();
+            await workbook.xlsx.load(buffer);
+            return { workbook, format };
+        }
+        return { workbook: toExcelJSWorkbook(readWithSheetJS(buffer, format)), format };
+    } catch (error) {
+        throw new FileFormatError(
+            `"${fileName}" could not be read as ${format.toUpperCase()}; the file may be corrupt or password protected (${error.message})`,
+            fileName
+        );
+    }
+}
+
+module.exports = {
+    SUPPORTED_EXTENSIONS,
+    SUPPORTED_MIME_TYPES,
+    hasSupportedExtension,
+    detectFormat,
+    loadWorkbook
+};
@@ -0,0 +1,70 @@
+// server/test/auth.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Set before loading modules that resolve their data paths when loaded
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rfp-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.ADMIN_API_KEY = 'global-admin-test-key';
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+const auth = require('../auth');
+
+// The req.auth identity the authenticate middleware sets for `key`
+function identify(key) {
+    const headers = { 'x-api-key': key };
+    const req = { method: 'GET', path: '/api/keys', query: {}, get: name => headers[name.toLowerCase()] };
+    let failure;
+    auth.authenticate(req, {}, error => { failure = error; });
+    if (failure) throw failure;
+    return req.auth;
+}
+
+const globalAdmin = identify('global-admin-test-key');
+const acmeAdmin = identify(auth.createApiKey({ name: 'acme admin', tenant: 'acme', role: 'admin' }, globalAdmin).key);
+const globexAdmin = identify(auth.createApiKey({ name: 'globex admin', tenant: 'globex', role: 'admin' }, globalAdmin).key);
+
+test('only ADMIN_API_KEY is the global admin', () => {
+    assert.strictEqual(globalAdmin.global, true);
+    assert.deepStrictEqual({ tenant: acmeAdmin.tenant, role: acmeAdmin.role, global: acmeAdmin.global },
+        { tenant: 'acme', role: 'admin', global: false });
+});
+
+test('tenant admins create keys for their own tenant only', () => {
+    const created = auth.createApiKey({ name: 'acme query', role: 'query' }, acmeAdmin);
+    assert.strictEqual(created.tenant, 'acme');
+    assert.strictEqual(identify(created.key).tenant, 'acme');
+
+    assert.throws(() => auth.createApiKey({ name: 'sneaky', tenant: 'globex', role: 'admin' }, acmeAdmin),
+        { name: 'PermissionError', status: 403 });
+    assert.ok(!auth.listApiKeys(globalAdmin).some(key => key.name === 'sneaky'));
+});
+
+test('tenant admins list only their own tenant\'s keys', () => {
+    const tenants = keys => [...new Set(keys.map(key => key.tenant))].sort();
+    assert.deepStrictEqual(tenants(auth.listApiKeys(acmeAdmin)), ['acme']);
+    assert.deepStrictEqual(tenants(auth.listApiKeys(globexAdmin)), ['globex']);
+    assert.deepStrictEqual(tenants(auth.listApiKeys(globalAdmin)), ['acme', 'globex']);
+});
+
+test('tenant admins can\'t revoke another tenant\'s keys', () => {
+    const globexKey = auth.createApiKey({ name: 'globex uploader', role: 'uploader' }, globexAdmin);
+
+    assert.strictEqual(auth.revokeApiKey(globexKey.id, acmeAdmin), null);
+    assert.ok(auth.listApiKeys(globexAdmin).some(key => key.id === globexKey.id));
+
+    assert.strictEqual(auth.revokeApiKey(globexKey.id, globexAdmin).id, globexKey.id);
+    assert.throws(() => identify(globexKey.key), { name: 'AuthenticationError' });
+});
+
+test('requireGlobalAdmin rejects tenant admins', () => {
+    const outcome = caller => {
+        let result;
+        auth.requireGlobalAdmin({ auth: caller }, {}, error => { result = error; });
+        return result;
+    };
+    assert.strictEqual(outcome(globalAdmin), undefined);
+    assert.strictEqual(outcome(acmeAdmin).status, 403);
+});
@@ -0,0 +1,75 @@
+// server/test/cache.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Set before loading modules that resolve their data paths when loaded
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rfp-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.EMBEDDING_CACHE_MAX_ENTRIES = '10';
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+const cachePath = path.join(dataDir, 'embeddingCache.jsonl');
+
+// A fresh copy of the module, as after a restart
+function loadCache() {
+    delete require.cache[require.resolve('../cache')];
+    return require('../cache');
+}
+
+const fileLines = () => fs.readFileSync(cachePath, 'utf8').split('\n').filter(Boolean);
+
+let embedCalls = 0;
+const embed = async (text) => {
+    embedCalls++;
+    return [text.length, 0.5, -1];
+};
+
+test('appends new embeddings and serves repeats from the cache', async () => {
+    const cache = loadCache();
+    assert.deepStrictEqual(await cache.cachedEmbedding('model', 'one', embed), [3, 0.5, -1]);
+    await cache.cachedEmbedding('model', 'three', embed);
+    cache.flushEmbeddingCache();
+    assert.strictEqual(fileLines().length, 2);
+
+    await cache.cachedEmbedding('model', 'one', embed);
+    await cache.cachedEmbedding('model', 'four', embed);
+    cache.flushEmbeddingCache();
+    assert.strictEqual(embedCalls, 3);
+    assert.strictEqual(fileLines().length, 3);
+});
+
+test('reloads the file after a restart, skipping a line cut short by a crash', async () => {
+    fs.appendFileSync(cachePath, '{"key":"abc","embed');
+    const cache = loadCache();
+    const before = embedCalls;
+    await cache.cachedEmbedding('model', 'three', embed);
+    assert.strictEqual(embedCalls, before);
+    assert.strictEqual(cache.getCacheStats().embeddings.entries, 3);
+});
+
+test('rewrites the file once most of its lines were evicted', async () => {
+    const cache = loadCache();
+    for (let i = 0; i < 30; i++) {
+        await cache.cachedEmbedding('model', `text ${i}`, embed);
+    }
+    cache.flushEmbeddingCache();
+    const { entries } = cache.getCacheStats().embeddings;
+    assert.ok(entries <= 10);
+    assert.ok(fileLines().length <= 2 * entries);
+
+    // The entries used last survive a restart
+    const before = embedCalls;
+    await loadCache().cachedEmbedding('model', 'text 29', embed);
+    assert.strictEqual(embedCalls, before);
+});
+
+test('clearing empties the file', async () => {
+    const cache = loadCache();
+    await cache.cachedEmbedding('model', 'five', embed);
+    assert.ok(cache.clearEmbeddingCache() > 0);
+    cache.flushEmbeddingCache();
+    assert.deepStrictEqual(fileLines(), []);
+    assert.strictEqual(loadCache().getCacheStats().embeddings.entries, 0);
+});
@@ -0,0 +1,56 @@
+// server/test/keywordIndex.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Set before loading modules that resolve their data paths when loaded
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rfp-test-'));
+process.env.DATA_DIR = dataDir;
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+const keywordIndex = require('../keywordIndex');
+
+keywordIndex.addDocuments([
+    { id: 'edi', text: 'Question: Describe your EDI 856 support.\nAnswer: ASNs are generated as EDI 856.', metadata: { rfpId: 'RK', originalData: '{"Question":"..."}' } },
+    { id: 'lpn', text: 'Question: Do you support LPN receiving?\nAnswer: Yes, RF-based LPN receiving.', metadata: { rfpId: 'RK' } },
+    { id: 'wave', text: 'Question: Do you support wave picking?\nAnswer: Yes, wave and zone picking.', metadata: { rfpId: 'CDW' } },
+    { id: 'de', text: 'Frage: Unterstützen Sie Kommissionierung?\nAntwort: Ja, Wellenkommissionierung.', metadata: { rfpId: 'DE' } },
+    { id: 'zh', text: '问题: 在线 支持\n回答: 是', metadata: { rfpId: 'ZH' } }
+]);
+
+test('tokenize keeps acronyms and letters of any script, without stopwords', () => {
+    assert.deepStrictEqual(keywordIndex.tokenize('Do you support EDI 856?'), ['support', 'edi', '856']);
+    assert.deepStrictEqual(keywordIndex.tokenize('Unterstützen Sie RF?'), ['unterstützen', 'sie', 'rf']);
+    assert.deepStrictEqual(keywordIndex.tokenize('在线 支持'), ['在线', '支持']);
+});
+
+test('ranks documents containing the rare query terms first', () => {
+    const results = keywordIndex.search('EDI 856 transactions');
+    assert.strictEqual(results[0].id, 'edi');
+    assert.ok(results.every(result => result.score > 0));
+});
+
+test('matches accented and non-Latin terms', () => {
+    assert.strictEqual(keywordIndex.search('unterstützen')[0].id, 'de');
+    assert.strictEqual(keywordIndex.search('在线')[0].id, 'zh');
+});
+
+test('applies metadata filters', () => {
+    const results = keywordIndex.search('support', 5, { rfpId: { $in: ['CDW'] } });
+    assert.deepStrictEqual(results.map(result => result.id), ['wave']);
+});
+
+test('removed documents are no longer found', () => {
+    keywordIndex.addDocuments([{ id: 'temp', text: 'cross docking', metadata: {} }]);
+    assert.strictEqual(keywordIndex.search('cross docking')[0].id, 'temp');
+    assert.strictEqual(keywordIndex.removeDocuments(['temp']), 1);
+    assert.deepStrictEqual(keywordIndex.search('cross docking'), []);
+});
+
+test('persists term statistics and filter metadata, not the original row data', () => {
+    keywordIndex.flushKeywordIndex();
+    const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'keywordIndex.json'), 'utf8'));
+    assert.deepStrictEqual(stored.docs.edi.metadata, { rfpId: 'RK' });
+    assert.strictEqual(stored.docs.edi.terms['856'], 2);
+});
@@ -0,0 +1,51 @@
+// server/test/knowledgeBaseExport.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeJsonLines, readJsonLines } = require('../knowledgeBaseExport');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rfp-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const header = { type: 'header', format: 'rfp-knowledge-base', version: 1, tenant: 'default' };
+const rfp = { type: 'rfp', record: { rfpId: 'RK', title: 'Rural King 2025' } };
+const item = { type: 'item', id: 'v1', metadata: { rfpId: 'RK', question: 'Do you support EDI?' }, embedding: [0.1, 0.2] };
+const approvedAnswer = { type: 'approvedAnswer', record: { id: 'a1', question: 'Is SSO supported?', answer: 'Yes' } };
+const end = { type: 'end', counts: { rfps: 1, items: 1, approvedAnswers: 1 } };
+
+async function writeExport(name, entries) {
+    const filePath = path.join(dir, name);
+    let text = '';
+    await writeJsonLines(entries, chunk => { text += chunk; });
+    fs.writeFileSync(filePath, text);
+    return filePath;
+}
+
+test('reads back what was exported', async () => {
+    const data = await readJsonLines(await writeExport('full.jsonl', [header, rfp, item, approvedAnswer, end]));
+
+    assert.deepStrictEqual(data.header, header);
+    assert.deepStrictEqual(data.rfps, [{ ...rfp.record, vectorIds: [] }]);
+    assert.deepStrictEqual(data.items, [item]);
+    assert.deepStrictEqual(data.approvedAnswers, [approvedAnswer.record]);
+    assert.strictEqual(data.complete, true);
+});
+
+test('an export without its end line is incomplete', async () => {
+    const data = await readJsonLines(await writeExport('cut.jsonl', [header, rfp, item]));
+    assert.strictEqual(data.complete, false);
+    assert.strictEqual(data.items.length, 1);
+});
+
+test('rejects files that are not knowledge base exports', async () => {
+    const notAnExport = path.join(dir, 'other.jsonl');
+    fs.writeFileSync(notAnExport, '{"type":"item","id":"x","metadata":{}}\nnot json\n');
+    await assert.rejects(readJsonLines(notAnExport), error =>
+        error.name === 'ValidationError' && /first line must be the header/.test(error.message) && /line 2 is not valid JSON/.test(error.message));
+
+    const empty = path.join(dir, 'empty.jsonl');
+    fs.writeFileSync(empty, '\n');
+    await assert.rejects(readJsonLines(empty), /the file is empty/);
+});
@@ -0,0 +1,37 @@
+// server/test/metadataFilter.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { matchesFilter } = require('../metadataFilter');
+
+const metadata = { rfpId: 'RK', category: 'Security', year: 2024, tags: ['sso', 'saml'], current: true };
+
+test('shorthand equality and list-valued metadata', () => {
+    assert.ok(matchesFilter(metadata, { category: 'Security' }));
+    assert.ok(matchesFilter(metadata, { tags: 'saml' }));
+    assert.ok(!matchesFilter(metadata, { category: 'Receiving' }));
+    assert.ok(matchesFilter(metadata, {}));
+});
+
+test('comparison and set operators', () => {
+    assert.ok(matchesFilter(metadata, { year: { $gte: 2024, $lt: 2025 } }));
+    assert.ok(!matchesFilter(metadata, { year: { $gt: 2024 } }));
+    assert.ok(matchesFilter(metadata, { rfpId: { $in: ['CDW', 'RK'] } }));
+    assert.ok(!matchesFilter(metadata, { tags: { $nin: ['sso'] } }));
+});
+
+test('missing fields only match $exists: false, $ne and $nin', () => {
+    assert.ok(matchesFilter(metadata, { supersededIn: { $exists: false } }));
+    assert.ok(matchesFilter(metadata, { customer: { $ne: 'Acme' } }));
+    assert.ok(matchesFilter(metadata, { customer: { $nin: ['Acme'] } }));
+    assert.ok(!matchesFilter(metadata, { customer: { $in: ['Acme'] } }));
+    assert.ok(!matchesFilter(metadata, { supersededIn: { $gt: 1 } }));
+});
+
+test('$and and $or combine filters', () => {
+    assert.ok(matchesFilter(metadata, { $or: [{ rfpId: 'CDW' }, { rfpId: 'RK' }], current: { $ne: false } }));
+    assert.ok(!matchesFilter(metadata, { $and: [{ rfpId: 'RK' }, { year: 2023 }] }));
+});
+
+test('rejects unknown operators', () => {
+    assert.throws(() => matchesFilter(metadata, { year: { $between: [2020, 2025] } }), /Unsupported filter operator/);
+});
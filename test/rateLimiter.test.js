@@ -0,0 +1,40 @@
+// server/test/rateLimiter.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter } = require('../rateLimiter');
+
+// Send a request through `limiter` and return the error it passed on (if any) and its headers
+function send(limiter, auth) {
+    const headers = {};
+    let outcome;
+    limiter({ auth, ip: '10.0.0.1' }, { setHeader: (name, value) => { headers[name] = value; } }, error => { outcome = error; });
+    return { error: outcome, headers };
+}
+
+test('allows `limit` requests per window, then answers 429 with Retry-After', () => {
+    const limiter = createRateLimiter({ name: 'requests', limit: 2, windowMs: 60000 });
+    const caller = { keyId: 'k1' };
+
+    assert.strictEqual(send(limiter, caller).headers['RateLimit-Remaining'], 1);
+    assert.strictEqual(send(limiter, caller).error, undefined);
+
+    const limited = send(limiter, caller);
+    assert.strictEqual(limited.error.status, 429);
+    assert.ok(limited.headers['Retry-After'] > 0);
+    assert.strictEqual(limited.error.retryAfter, limited.headers['Retry-After']);
+});
+
+test('counts each API key separately', () => {
+    const limiter = createRateLimiter({ name: 'requests', limit: 1, windowMs: 60000 });
+
+    assert.strictEqual(send(limiter, { keyId: 'k1' }).error, undefined);
+    assert.strictEqual(send(limiter, { keyId: 'k2' }).error, undefined);
+    assert.strictEqual(send(limiter, { keyId: 'k1' }).error.status, 429);
+});
+
+test('a limit of 0 turns the limiter off', () => {
+    const limiter = createRateLimiter({ name: 'requests', limit: 0, windowMs: 60000 });
+    for (let i = 0; i < 5; i++) {
+        assert.strictEqual(send(limiter, { keyId: 'k1' }).error, undefined);
+    }
+});
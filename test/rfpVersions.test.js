@@ -0,0 +1,81 @@
+// server/test/rfpVersions.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const rfpVersions = require('../rfpVersions');
+
+const metadata = { rfpId: 'RK' };
+
+const row = (rowNumber, text, sheetName = 'Requirements') => ({
+    recordType: 'row', sheetName, rowNumber, text, fields: { answer: text }
+});
+const question = (rowNumber, questionText, answer) => ({
+    recordType: 'question', sheetName: 'Q&A', rowNumber, text: questionText, fields: { question: questionText, answer }
+});
+
+// Ingest `items` as the first version and return the state the next upload compares with
+function firstVersion(items) {
+    const previous = rfpVersions.previousVersionState(null);
+    const plan = rfpVersions.planVersion(metadata, items, previous, 1);
+    const manifest = rfpVersions.buildManifest(plan.items, new Set(plan.items.map(item => item.vectorId)), previous);
+    return rfpVersions.previousVersionState({ currentVersion: 1, manifest, versions: [], supersededVectors: [] });
+}
+
+const changesOf = (plan) => plan.items.map(item => `${item.rowNumber}:${item.change}`);
+
+const v1Rows = [row(2, 'RF receiving'), row(3, 'Wave picking'), row(4, 'Cycle counting')];
+
+test('an edited row is changed, not removed and added', () => {
+    const plan = rfpVersions.planVersion(metadata,
+        [row(2, 'RF receiving'), row(3, 'Wave and zone picking'), row(4, 'Cycle counting')], firstVersion(v1Rows), 2);
+
+    assert.deepStrictEqual(changesOf(plan), ['2:unchanged', '3:changed', '4:unchanged']);
+    assert.deepStrictEqual(plan.changes, { added: 0, changed: 1, removed: 0, unchanged: 2 });
+});
+
+test('rows below an inserted row stay unchanged and keep their vectors', () => {
+    const previous = firstVersion(v1Rows);
+    const plan = rfpVersions.planVersion(metadata,
+        [row(2, 'RF receiving'), row(3, 'Cross docking'), row(4, 'Wave picking'), row(5, 'Cycle counting')], previous, 2);
+
+    assert.deepStrictEqual(changesOf(plan), ['2:unchanged', '3:added', '4:unchanged', '5:unchanged']);
+    assert.deepStrictEqual(plan.changes, { added: 1, changed: 0, removed: 0, unchanged: 3 });
+    const previousIds = Object.values(previous.manifest).map(entry => entry.vectorId).sort();
+    assert.deepStrictEqual(plan.items.filter(item => item.change === 'unchanged').map(item => item.vectorId).sort(), previousIds);
+});
+
+test('a deleted row is removed and the rows below it move up unchanged', () => {
+    const previous = firstVersion(v1Rows);
+    const plan = rfpVersions.planVersion(metadata, [row(2, 'RF receiving'), row(3, 'Cycle counting')], previous, 2);
+
+    assert.deepStrictEqual(changesOf(plan), ['2:unchanged', '3:unchanged']);
+    assert.deepStrictEqual(plan.changes, { added: 0, changed: 0, removed: 1, unchanged: 2 });
+
+    const manifest = rfpVersions.buildManifest(plan.items, new Set(plan.items.map(item => item.vectorId)), previous);
+    const superseded = rfpVersions.supersededVectorIds(previous, manifest);
+    assert.deepStrictEqual(superseded, [previous.manifest['row|Requirements|3'].vectorId]);
+});
+
+test('rows only match moved content on the same sheet', () => {
+    const plan = rfpVersions.planVersion(metadata,
+        [row(2, 'RF receiving'), row(3, 'Cycle counting'), row(2, 'Wave picking', 'Outbound')], firstVersion(v1Rows), 2);
+
+    assert.deepStrictEqual(plan.changes, { added: 1, changed: 0, removed: 1, unchanged: 2 });
+});
+
+test('question records are keyed by their question wherever they are', () => {
+    const previous = firstVersion([question(2, 'Do you support EDI?', 'Yes'), question(3, 'Is SSO supported?', 'Yes')]);
+    const plan = rfpVersions.planVersion(metadata,
+        [question(2, 'Is SSO supported?', 'Yes, SAML and OIDC'), question(5, 'Do you support EDI?', 'Yes')], previous, 2);
+
+    assert.deepStrictEqual(changesOf(plan), ['2:changed', '5:unchanged']);
+    assert.deepStrictEqual(plan.changes, { added: 0, changed: 1, removed: 0, unchanged: 1 });
+});
+
+test('a changed row that failed to embed keeps its previous vector', () => {
+    const previous = firstVersion(v1Rows);
+    const plan = rfpVersions.planVersion(metadata,
+        [row(2, 'RF receiving'), row(3, 'Batch picking'), row(4, 'Cycle counting')], previous, 2);
+    const storedIds = new Set(plan.items.filter(item => item.change === 'unchanged').map(item => item.vectorId));
+
+    assert.deepStrictEqual(rfpVersions.buildManifest(plan.items, storedIds, previous), previous.manifest);
+});
@@ -0,0 +1,54 @@
+// server/test/sheetMapper.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const ExcelJS = require('exceljs');
+const { mapWorksheet } = require('../sheetMapper');
+
+const DEFAULT_PROFILES = [];
+
+function sheetWith(rows, name = 'Sheet1') {
+    const worksheet = new ExcelJS.Workbook().addWorksheet(name);
+    rows.forEach(row => worksheet.addRow(row));
+    return worksheet;
+}
+
+test('finds a header row below a title block', () => {
+    const mapping = mapWorksheet(sheetWith([
+        ['Acme RFP 2025'],
+        [],
+        ['Section', 'Requirement', 'Vendor Response', 'Notes'],
+        ['Receiving', 'Do you support LPN receiving?', 'Yes', '']
+    ]), { profiles: DEFAULT_PROFILES });
+
+    assert.strictEqual(mapping.error, undefined);
+    assert.strictEqual(mapping.headerRow, 3);
+    assert.deepStrictEqual(mapping.columns, { question: 2, answer: 3, category: 1, comments: 4 });
+});
+
+test('does not map a sheet whose only match is a title row', () => {
+    const mapping = mapWorksheet(sheetWith([
+        ['RFP Response'],
+        ['Thank you for the opportunity to respond.']
+    ]), { profiles: DEFAULT_PROFILES });
+
+    assert.match(mapping.error, /no question column/);
+});
+
+test('requires both the question and the answer column by default', () => {
+    const rows = [['Question', 'Owner'], ['Do you support wave picking?', 'Ops']];
+
+    assert.match(mapWorksheet(sheetWith(rows), { profiles: DEFAULT_PROFILES }).error, /no answer column/);
+    assert.strictEqual(mapWorksheet(sheetWith(rows), { profiles: DEFAULT_PROFILES, requiredRoles: ['question'] }).headerRow, 1);
+});
+
+test('uses a custom profile selected by sheet name', () => {
+    const profiles = [{
+        name: 'ariba-export',
+        sheetNamePattern: '^Q&A',
+        columns: { question: ['Ask'], answer: ['Supplier Reply'] }
+    }];
+    const mapping = mapWorksheet(sheetWith([['Ask', 'Supplier Reply'], ['Is SSO supported?', 'Yes']], 'Q&A Security'), { profiles });
+
+    assert.strictEqual(mapping.profile, 'ariba-export');
+    assert.deepStrictEqual(mapping.columns, { question: 1, answer: 2 });
+});
@@ -0,0 +1,295 @@
+// server/usageTracker.js
+// Token accounting and spending budgets for model calls.
+//
+// Every embedding and chat call is recorded against the caller (API key), the API operation it
+// served (query, upload, ...), the pipeline stage (embedding, answer, rewrite, rerank) and the
+// model, with its estimated cost. Usage is kept per tenant and per UTC day under DATA_DIR.
+// Calls made outside an API request (CLI runs) are recorded for the 'system' user, in the tenant
+// given to runAsSystem (the default tenant otherwise).
+//
+// Costs are estimates from MODEL_PRICES: USD per 1,000 tokens. The built-in table covers the
+// common OpenAI models; MODEL_PRICES='{"my-model": {"prompt": 0.001, "completion": 0.002}}'
+// adds or overrides entries. Local models cost nothing; other unknown models are counted as free
+// (with a warning), so set prices for self-hosted models you pay for.
+//
+// Budgets in USD, checked before each operation that calls a model; unset means unlimited:
+//   BUDGET_USER_DAILY_USD, BUDGET_USER_MONTHLY_USD      per API key
+//   BUDGET_TENANT_DAILY_USD, BUDGET_TENANT_MONTHLY_USD  for the whole tenant
+// The check happens up front, so the request that crosses a budget still completes; the
+// ones after it are refused with 402 until the day or month is over.
+const _ = require('lodash');
+const { DEFAULT_TENANT, tenantFilePath, readJson, writeJson } = require('./jsonFileStore');
+const { ValidationError, BudgetExceededError } = require('./errors');
+const logger = require('./logger');
+
+const USAGE_PATH = (tenant) => tenantFilePath(tenant, 'usage.json', process.env.USAGE_PATH);
+const USAGE_RETENTION_DAYS = parseInt(process.env.USAGE_RETENTION_DAYS, 10) || 400;
+
+// Usage arrives with every model call, so writes to disk are batched
+const PERSIST_DELAY_MS = 2000;
+
+// USD per 1,000 tokens
+const DEFAULT_MODEL_PRICES = {
+    'gpt-4': { prompt: 0.03, completion: 0.06 },
+    'gpt-4-32k': { prompt: 0.06, completion: 0.12 },
+    'gpt-4-turbo': { prompt: 0.01, completion: 0.03 },
+    'gpt-4o': { prompt: 0.0025, completion: 0.01 },
+    'gpt-4o-mini': { prompt: 0.00015, completion: 0.0006 },
+    'gpt-3.5-turbo': { prompt: 0.0005, completion: 0.0015 },
+    'text-embedding-ada-002': { prompt: 0.0001 },
+    'text-embedding-3-small': { prompt: 0.00002 },
+    'text-embedding-3-large': { prompt: 0.00013 },
+    'local-hash-embedding': { prompt: 0 },
+    'local-extractive': { prompt: 0, completion: 0 }
+};
+
+const BUDGET_SETTINGS = {
+    user: { daily: 'BUDGET_USER_DAILY_USD', monthly: 'BUDGET_USER_MONTHLY_USD' },
+    tenant: { daily: 'BUDGET_TENANT_DAILY_USD', monthly: 'BUDGET_TENANT_MONTHLY_USD' }
+};
+
+const SYSTEM_USER = { keyId: 'system', name: 'system', tenant: DEFAULT_TENANT };
+
+let modelPrices = null;
+const unpricedModels = new Set();
+
+function getModelPrices() {
+    if (!modelPrices) {
+        let overrides = {};
+        if (process.env.MODEL_PRICES) {
+            try {
+                overrides = JSON.parse(process.env.MODEL_PRICES);
+            } catch (error) {
+                throw new Error(`MODEL_PRICES must be JSON like {"model": {"prompt": 0.01, "completion": 0.03}}: ${error.message}`);
+            }
+        }
+        modelPrices = { ...DEFAULT_MODEL_PRICES, ...overrides };
+    }
+    return modelPrices;
+}
+
+// The price entry for a model. Embedding model IDs may carry a dimension suffix (model@1536),
+// and dated versions (gpt-4-0613) use the price of the longest matching model name.
+function findPrice(model) {
+    const prices = getModelPrices();
+    const name = String(model).split('@')[0];
+    if (prices[name]) return prices[name];
+    const prefix = Object.keys(prices)
+        .filter(candidate => name.startsWith(`${candidate}-`))
+        .sort((a, b) => b.length - a.length)[0];
+    return prefix ? prices[prefix] : null;
+}
+
+function estimateCost(model, { promptTokens = 0, completionTokens = 0 } = {}) {
+    const price = findPrice(model);
+    if (!price) {
+        if (!unpricedModels.has(model)) {
+            unpricedModels.add(model);
+            logger.warn('No price configured for model, counting its cost as 0 (set MODEL_PRICES)', { model });
+        }
+        return 0;
+    }
+    return (promptTokens * (price.prompt || 0) + completionTokens * (price.completion || 0)) / 1000;
+}
+
+// Ledgers by tenant: { users: { [userId]: name }, days: { [YYYY-MM-DD]: { [entryKey]: totals } } }
+const ledgers = {};
+const dirtyTenants = new Set();
+let persistTimer = null;
+
+function loadLedger(tenant) {
+    if (!ledgers[tenant]) {
+        ledgers[tenant] = readJson(USAGE_PATH(tenant), { users: {}, days: {} });
+    }
+    return ledgers[tenant];
+}
+
+function flushUsage() {
+    if (persistTimer) {
+        clearTimeout(persistTimer);
+        persistTimer = null;
+    }
+    for (const tenant of dirtyTenants) {
+        writeJson(USAGE_PATH(tenant), ledgers[tenant]);
+    }
+    dirtyTenants.clear();
+}
+
+function schedulePersist(tenant) {
+    dirtyTenants.add(tenant);
+    if (persistTimer) return;
+    persistTimer = setTimeout(flushUsage, PERSIST_DELAY_MS);
+    persistTimer.unref();
+}
+
+process.on('exit', () => {
+    if (persistTimer) flushUsage();
+});
+
+const dayOf = (date) => date.toISOString().slice(0, 10);
+
+// Entries are keyed by user, operation, stage and model
+const ENTRY_FIELDS = ['user', 'operation', 'stage', 'model'];
+const entryKey = (entry) => ENTRY_FIELDS.map(field => entry[field]).join('\t');
+const parseEntryKey = (key) => _.zipObject(ENTRY_FIELDS, key.split('\t'));
+
+function pruneDays(ledger, now) {
+    const cutoff = dayOf(new Date(now.getTime() - USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000));
+    Object.keys(ledger.days).filter(day => day < cutoff).forEach(day => delete ledger.days[day]);
+}
+
+// Record one model call for whoever the current request (or job) runs for
+function recordModelCall(stage, model, usage) {
+    if (!usage) return;
+    const { user = SYSTEM_USER, operation = 'other' } = logger.getContext();
+    const tenant = user.tenant || DEFAULT_TENANT;
+    const now = new Date();
+    const ledger = loadLedger(tenant);
+    const day = dayOf(now);
+    if (!ledger.days[day]) {
+        ledger.days[day] = {};
+        pruneDays(ledger, now);
+    }
+
+    const userId = user.keyId || 'anonymous';
+    ledger.users[userId] = user.name || userId;
+
+    const key = entryKey({ user: userId, operation, stage, model });
+    const totals = ledger.days[day][key] || { calls: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+    totals.calls++;
+    totals.promptTokens += usage.promptTokens || 0;
+    totals.completionTokens += usage.completionTokens || 0;
+    totals.cost += estimateCost(model, usage);
+    ledger.days[day][key] = totals;
+    schedulePersist(tenant);
+}
+
+// Run `fn` with its model usage recorded for the system user of `tenant`
+function runAsSystem(operation, tenant, fn) {
+    return logger.runWithContext({ ...logger.getContext(), user: { ...SYSTEM_USER, tenant }, operation }, fn);
+}
+
+// Entries for a tenant between two days (inclusive), optionally for one user
+function entriesBetween(tenant, from, to, userId) {
+    const ledger = loadLedger(tenant);
+    return Object.entries(ledger.days)
+        .filter(([day]) => day >= from && day <= to)
+        .flatMap(([day, entries]) => Object.entries(entries).map(([key, totals]) => ({ day, ...parseEntryKey(key), ...totals })))
+        .filter(entry => !userId || entry.user === userId);
+}
+
+const sumCost = (entries) => entries.reduce((sum, entry) => sum + entry.cost, 0);
+
+const roundCost = (cost) => Number(cost.toFixed(6));
+
+const parseBudget = (variable) => {
+    const value = process.env[variable];
+    if (value === undefined || value === '') return null;
+    const budget = Number(value);
+    if (Number.isNaN(budget) || budget < 0) {
+        throw new Error(`${variable} must be an amount in USD, got "${value}"`);
+    }
+    return budget;
+};
+
+// Spend against every configured budget for a caller: [{ scope, period, limit, spent, remaining, resetsAt }]
+function getBudgetStatus(user) {
+    const now = new Date();
+    const today = dayOf(now);
+    const monthStart = `${today.slice(0, 7)}-01`;
+    const periods = {
+        daily: { from: today, resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)) },
+        monthly: { from: monthStart, resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)) }
+    };
+    const tenant = user.tenant || DEFAULT_TENANT;
+    const userId = user.keyId || 'anonymous';
+
+    const status = [];
+    for (const [scope, settings] of Object.entries(BUDGET_SETTINGS)) {
+        for (const [period, variable] of Object.entries(settings)) {
+            const limit = parseBudget(variable);
+            if (limit === null) continue;
+            const spent = sumCost(entriesBetween(tenant, periods[period].from, today, scope === 'user' ? userId : null));
+            status.push({
+                scope,
+                period,
+                limit,
+                spent: roundCost(spent),
+                remaining: roundCost(Math.max(0, limit - spent)),
+                resetsAt: periods[period].resetsAt.toISOString()
+            });
+        }
+    }
+    return status;
+}
+
+// Middleware for routes that call models: refuses the request once a budget is used up and
+// attributes the request's model usage to the caller and `operation`
+function meter(operation) {
+    return (req, res, next) => {
+        const user = { keyId: req.auth.keyId, name: req.auth.name, tenant: req.auth.tenant };
+        const exceeded = getBudgetStatus(user).find(budget => budget.spent >= budget.limit);
+        if (exceeded) {
+            const owner = exceeded.scope === 'user' ? 'your API key' : `tenant ${user.tenant}`;
+            return next(new BudgetExceededError(
+                `The ${exceeded.period} model budget of $${exceeded.limit} for ${owner} is used up ($${exceeded.spent} spent). It resets at ${exceeded.resetsAt}`,
+                exceeded
+            ));
+        }
+        Object.assign(logger.getContext(), { user, operation });
+        next();
+    };
+}
+
+const summarizeGroup = (entries) => ({
+    calls: _.sumBy(entries, 'calls'),
+    promptTokens: _.sumBy(entries, 'promptTokens'),
+    completionTokens: _.sumBy(entries, 'completionTokens'),
+    cost: roundCost(sumCost(entries))
+});
+
+const groupTotals = (entries, fields) => Object.values(_.groupBy(entries, entry => fields.map(field => entry[field]).join('\t')))
+    .map(group => ({ ..._.pick(group[0], fields), ...summarizeGroup(group) }))
+    .sort((a, b) => b.cost - a.cost || b.promptTokens - a.promptTokens);
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Usage report for a tenant: totals, and spend by user, operation, model and day.
+// `from` and `to` are UTC days (YYYY-MM-DD); the default is the current month.
+function getUsageReport(tenant = DEFAULT_TENANT, { from, to, userId } = {}) {
+    const today = dayOf(new Date());
+    const range = { from: from || `${today.slice(0, 7)}-01`, to: to || today };
+    const errors = Object.entries(range)
+        .filter(([, day]) => !DAY_PATTERN.test(day) || Number.isNaN(Date.parse(day)))
+        .map(([field]) => `${field} must be a date (YYYY-MM-DD)`);
+    if (errors.length === 0 && range.from > range.to) {
+        errors.push('from must not be after to');
+    }
+    if (errors.length > 0) {
+        throw new ValidationError(`Invalid usage report range: ${errors.join('; ')}`, errors);
+    }
+
+    const { users } = loadLedger(tenant);
+    const entries = entriesBetween(tenant, range.from, range.to, userId);
+    return {
+        tenant,
+        ...range,
+        currency: 'USD',
+        total: summarizeGroup(entries),
+        byUser: groupTotals(entries, ['user']).map(entry => ({ ...entry, name: users[entry.user] || entry.user })),
+        byOperation: groupTotals(entries, ['operation']),
+        byStage: groupTotals(entries, ['stage']),
+        byModel: groupTotals(entries, ['model']),
+        byDay: groupTotals(entries, ['day']).sort((a, b) => a.day.localeCompare(b.day))
+    };
+}
+
+module.exports = {
+    estimateCost,
+    recordModelCall,
+    runAsSystem,
+    flushUsage,
+    getBudgetStatus,
+    meter,
+    getUsageReport
+};
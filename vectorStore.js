@@ -0,0 +1,86 @@
+// server/vectorStore.js
+// Selects the vector store adapter from configuration.
+//
+// Every adapter exposes the same interface, using Pinecone's response shapes:
+//   upsert(vectors, namespace)                -> { upsertedCount }
+//   fetch(ids, namespace)                     -> { vectors: { [id]: { id, values, metadata } } }
+//   query(embedding, topK, filter, namespace) -> { matches: [{ id, score, metadata }] }
+//   delete(ids, namespace)                    -> {}
+//   testConnectivity()                        -> boolean
+//
+// Each tenant's vectors live in their own namespace; the default tenant uses the
+// default ('') namespace, so vectors written before tenants existed stay visible to it.
+//
+// Every call is timed as a vector_<method> stage in metrics.js.
+const { createPineconeStore } = require('./pineconeStore');
+const { createLocalVectorStore } = require('./localVectorStore');
+const { DEFAULT_TENANT } = require('./jsonFileStore');
+const metrics = require('./metrics');
+
+const adapters = {
+    pinecone: createPineconeStore,
+    local: createLocalVectorStore
+};
+
+// VECTOR_STORE picks the adapter; without it we use Pinecone only when it is configured
+function getVectorStoreType() {
+    if (process.env.VECTOR_STORE) {
+        return process.env.VECTOR_STORE.toLowerCase();
+    }
+    return process.env.PINECONE_API_KEY ? 'pinecone' : 'local';
+}
+
+function createVectorStore(type = getVectorStoreType()) {
+    const createAdapter = adapters[type];
+    if (!createAdapter) {
+        throw new Error(`Unknown VECTOR_STORE "${type}". Expected one of: ${Object.keys(adapters).join(', ')}`);
+    }
+    return instrument(createAdapter());
+}
+
+// Time every call; the namespace and batch size go into the stage's log entry
+function instrument(store) {
+    const timed = (method, describe) => (...args) =>
+        metrics.timeStage(`vector_${method}`, () => store[method](...args), { vectorStore: store.name, ...describe(...args) });
+    return {
+        ...store,
+        upsert: timed('upsert', (vectors, namespace) => ({ namespace, count: vectors.length })),
+        fetch: timed('fetch', (ids, namespace) => ({ namespace, count: ids.length })),
+        query: timed('query', (embedding, topK, filter, namespace) => ({ namespace, topK })),
+        delete: timed('delete', (ids, namespace) => ({ namespace, count: ids.length }))
+    };
+}
+
+// Shared store instance used by the ingestion and query pipelines
+let sharedStore = null;
+function getVectorStore() {
+    if (!sharedStore) {
+        sharedStore = createVectorStore();
+    }
+    return sharedStore;
+}
+
+const tenantNamespace = (tenant) => (!tenant || tenant === DEFAULT_TENANT ? '' : tenant);
+
+// The shared store limited to one tenant's namespace. Callers use the plain interface
+// and can't reach another tenant's vectors.
+function getTenantVectorStore(tenant) {
+    const store = getVectorStore();
+    const namespace = tenantNamespace(tenant);
+    return {
+        name: store.name,
+        namespace,
+        upsert: (vectors) => store.upsert(vectors, namespace),
+        fetch: (ids) => store.fetch(ids, namespace),
+        query: (embedding, topK, filter) => store.query(embedding, topK, filter, namespace),
+        delete: (ids) => store.delete(ids, namespace),
+        testConnectivity: () => store.testConnectivity()
+    };
+}
+
+module.exports = {
+    createVectorStore,
+    getVectorStore,
+    getTenantVectorStore,
+    getVectorStoreType
+};